@@ -3,6 +3,7 @@ const express = require('express');
 const cors = require('cors');
 const fileUpload = require('express-fileupload');
 const connectDB = require('./config/database');
+const { MAX_UPLOAD_SIZE, getDefaultDriver } = require('./utils/storage');
 
 // Connect to database
 connectDB();
@@ -41,7 +42,8 @@ app.use(cors({
     'Authorization', 
     'X-Requested-With',
     'Accept',
-    'Origin'
+    'Origin',
+    'X-Group-Id' // Scopes a request to a shared group
   ]
 }));
 
@@ -59,7 +61,7 @@ app.use(express.urlencoded({
 
 app.use(fileUpload({
   limits: { 
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: MAX_UPLOAD_SIZE
   },
   abortOnLimit: true,
   createParentPath: true,
@@ -80,6 +82,18 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/incomes', require('./routes/income'));
 app.use('/api/expenses', require('./routes/expense'));
 app.use('/api/dashboard', require('./routes/dashboard'));
+app.use('/api/categories', require('./routes/category'));
+app.use('/api/tags', require('./routes/tag'));
+app.use('/api/budgets', require('./routes/budget'));
+app.use('/api/goals', require('./routes/goal'));
+app.use('/api/groups', require('./routes/group'));
+app.use('/api/accounts', require('./routes/account'));
+app.use('/api/transfers', require('./routes/transfer'));
+app.use('/api/recurring', require('./routes/recurring'));
+app.use('/api/exchange-rates', require('./routes/exchangeRate'));
+app.use('/api/imports', require('./routes/import'));
+app.use('/api/files', require('./routes/file'));
+app.use('/api/admin', require('./routes/admin'));
 app.use('/api/ai', require('./routes/ai'));
 app.use('/api/ai', require('./routes/aiManagement'));
 
@@ -106,7 +120,8 @@ app.get('/api/health', (req, res) => {
     upload: {
       enabled: true,
       maxFileSize: '5MB',
-      supportedTypes: 'images'
+      supportedTypes: 'images, PDF receipts',
+      storage: getDefaultDriver()
     },
     services: {
       cloudinary: !!process.env.CLOUDINARY_CLOUD_NAME,
@@ -116,7 +131,19 @@ app.get('/api/health', (req, res) => {
       incomes: '/api/incomes',
       expenses: '/api/expenses',
       auth: '/api/auth',
-      dashboard: '/api/dashboard'
+      dashboard: '/api/dashboard',
+      categories: '/api/categories',
+      tags: '/api/tags',
+      budgets: '/api/budgets',
+      goals: '/api/goals',
+      groups: '/api/groups',
+      accounts: '/api/accounts',
+      transfers: '/api/transfers',
+      recurring: '/api/recurring',
+      exchangeRates: '/api/exchange-rates',
+      imports: '/api/imports',
+      files: '/api/files',
+      admin: '/api/admin'
     }
   };
   
@@ -326,10 +353,75 @@ app.use('*', (req, res) => {
       'POST /api/incomes',
       'PUT /api/incomes/:id',
       'DELETE /api/incomes/:id',
+      'GET /api/incomes/export',
       'GET /api/expenses',
       'POST /api/expenses',
+      'GET /api/expenses/export',
+      'POST /api/expenses/scan',
+      'GET /api/categories',
+      'POST /api/categories',
+      'PUT /api/categories/:id',
+      'DELETE /api/categories/:id',
+      'GET /api/tags',
+      'PUT /api/tags/:tag',
+      'POST /api/tags/merge',
+      'GET /api/budgets',
+      'POST /api/budgets',
+      'GET /api/budgets/status',
+      'GET /api/goals',
+      'POST /api/goals',
+      'GET /api/goals/progress',
+      'GET /api/goals/:id/progress',
+      'POST /api/goals/:id/contributions',
+      'GET /api/groups',
+      'POST /api/groups',
+      'GET /api/groups/invitations',
+      'POST /api/groups/:id/invitations',
+      'POST /api/groups/:id/accept',
+      'GET /api/accounts',
+      'POST /api/accounts',
+      'GET /api/accounts/:id/ledger',
+      'POST /api/accounts/:id/reconcile',
+      'GET /api/transfers',
+      'POST /api/transfers',
+      'GET /api/recurring',
+      'POST /api/recurring',
+      'GET /api/recurring/upcoming',
+      'POST /api/recurring/materialize',
+      'GET /api/exchange-rates',
+      'POST /api/exchange-rates',
+      'GET /api/exchange-rates/convert',
+      'GET /api/imports',
+      'POST /api/imports/csv/preview',
+      'POST /api/imports/csv',
+      'POST /api/imports/statement/preview',
+      'POST /api/imports/statement',
+      'GET /api/files/*',
+      'GET /api/admin/users',
+      'GET /api/admin/users/:id',
+      'POST /api/admin/users/:id/suspend',
+      'POST /api/admin/users/:id/reactivate',
+      'POST /api/admin/users/:id/logout',
+      'GET /api/admin/stats',
+      'GET /api/admin/audit',
       'POST /api/auth/register',
       'POST /api/auth/login',
+      'POST /api/auth/login/2fa',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'GET /api/auth/sessions',
+      'DELETE /api/auth/sessions',
+      'DELETE /api/auth/sessions/:id',
+      'POST /api/auth/verify-email/request',
+      'POST /api/auth/verify-email',
+      'POST /api/auth/forgot-password',
+      'POST /api/auth/reset-password',
+      'PUT /api/auth/password',
+      'GET /api/auth/2fa',
+      'POST /api/auth/2fa/setup',
+      'POST /api/auth/2fa/enable',
+      'POST /api/auth/2fa/recovery-codes',
+      'POST /api/auth/2fa/disable',
       'POST /api/test-upload',
       'GET /api/test-cloudinary'
     ]
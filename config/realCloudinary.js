@@ -15,15 +15,16 @@ const uploadToCloudinary = async (fileBuffer, options = {}) => {
     try {
       console.log(`☁️ Cloudinary upload attempt ${attempt}/${maxRetries}...`);
       
+      const { mimeType = 'image/jpeg', ...uploadOverrides } = options;
       const base64Image = fileBuffer.toString('base64');
-      const dataURI = `data:image/jpeg;base64,${base64Image}`;
+      const dataURI = `data:${mimeType};base64,${base64Image}`;
 
       const uploadOptions = {
         folder: 'expense-tracker/profiles',
         public_id: `profile-${Date.now()}`,
         resource_type: 'image',
         timeout: 30000, 
-        ...options
+        ...uploadOverrides
       };
 
       const result = await cloudinary.uploader.upload(dataURI, uploadOptions);
@@ -0,0 +1,253 @@
+const moment = require('moment');
+const Account = require('../models/Account');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const Transfer = require('../models/Transfer');
+const { calculateAccountBalances, getAccountLedger } = require('../utils/accounts');
+const { parseDate } = require('../utils/dateRange');
+const { normalizeCurrency, roundAmount } = require('../utils/currency');
+const { badRequest } = require('../utils/httpError');
+
+// Differences smaller than this are rounding, not missing transactions
+const RECONCILE_TOLERANCE = 0.005;
+
+// @desc    Get the user's accounts with their current balances
+// @route   GET /api/accounts?includeArchived=true
+// @access  Private
+exports.getAccounts = async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.includeArchived !== 'true') filter.archived = false;
+
+    const accounts = await Account.find(filter).sort({ archived: 1, name: 1 });
+    const balances = await calculateAccountBalances(accounts);
+
+    res.json({
+      success: true,
+      data: accounts.map(account => ({
+        ...account.toObject(),
+        balance: balances.get(account._id.toString())
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Get a single account with its current balance
+// @route   GET /api/accounts/:id
+// @access  Private
+exports.getAccount = async (req, res) => {
+  try {
+    const account = await findOwnedAccount(req, res);
+    if (!account) return;
+
+    const balances = await calculateAccountBalances([account]);
+
+    res.json({
+      success: true,
+      data: {
+        ...account.toObject(),
+        balance: balances.get(account._id.toString())
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Create an account
+// @route   POST /api/accounts
+// @access  Private
+exports.createAccount = async (req, res) => {
+  try {
+    const { name, type, currency, openingBalance, openingDate } = req.body;
+
+    const account = await Account.create({
+      user: req.user._id,
+      name,
+      type,
+      currency: normalizeCurrency(currency, req.user.baseCurrency),
+      openingBalance,
+      openingDate
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: account
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'You already have an account with this name' });
+    }
+
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Update an account
+// @route   PUT /api/accounts/:id
+// @access  Private
+exports.updateAccount = async (req, res) => {
+  try {
+    const { name, type, currency, openingBalance, openingDate, archived } = req.body;
+
+    const account = await findOwnedAccount(req, res);
+    if (!account) return;
+
+    if (currency && normalizeCurrency(currency) !== account.currency && await hasActivity(account)) {
+      throw badRequest('The currency of an account with transactions or transfers cannot be changed');
+    }
+
+    account.name = name || account.name;
+    account.type = type || account.type;
+    account.currency = currency ? normalizeCurrency(currency) : account.currency;
+    account.openingBalance = openingBalance !== undefined ? openingBalance : account.openingBalance;
+    account.openingDate = openingDate || account.openingDate;
+    account.archived = archived !== undefined ? archived : account.archived;
+
+    const updatedAccount = await account.save();
+
+    res.json({
+      success: true,
+      message: 'Account updated successfully',
+      data: updatedAccount
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'You already have an account with this name' });
+    }
+
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Delete an account that has no transactions or transfers
+// @route   DELETE /api/accounts/:id
+// @access  Private
+exports.deleteAccount = async (req, res) => {
+  try {
+    const account = await findOwnedAccount(req, res);
+    if (!account) return;
+
+    if (await hasActivity(account)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account has transactions or transfers. Archive it instead so its history is kept'
+      });
+    }
+
+    await Account.findByIdAndDelete(req.params.id);
+    res.json({ success: true, message: 'Account removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Transactions and transfers on an account with a running balance
+// @route   GET /api/accounts/:id/ledger?from=&to=
+// @access  Private
+exports.getAccountLedger = async (req, res) => {
+  try {
+    const account = await findOwnedAccount(req, res);
+    if (!account) return;
+
+    const to = req.query.to ? parseDate(req.query.to, 'to', true) : new Date();
+    const from = req.query.from
+      ? parseDate(req.query.from, 'from')
+      : moment(to).subtract(3, 'months').startOf('day').toDate();
+    if (from > to) {
+      throw badRequest('from date must be before to date');
+    }
+
+    const ledger = await getAccountLedger(account, { from, to });
+
+    res.json({
+      success: true,
+      data: {
+        account: { _id: account._id, name: account.name, type: account.type, currency: account.currency },
+        from,
+        to,
+        ...ledger
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Compare a bank statement's closing balance with the computed one
+// @route   POST /api/accounts/:id/reconcile
+// @access  Private
+exports.reconcileAccount = async (req, res) => {
+  try {
+    const { statementBalance, date } = req.body;
+
+    const account = await findOwnedAccount(req, res);
+    if (!account) return;
+
+    const stated = Number(statementBalance);
+    if (statementBalance === undefined || statementBalance === '' || !Number.isFinite(stated)) {
+      throw badRequest('statementBalance must be a number');
+    }
+    // A bare statement date covers that whole day
+    const asOf = date ? parseDate(date, 'date', true) : new Date();
+
+    const balances = await calculateAccountBalances([account], asOf);
+    const computedBalance = balances.get(account._id.toString());
+    const difference = roundAmount(stated - computedBalance);
+    const reconciled = Math.abs(difference) < RECONCILE_TOLERANCE;
+
+    if (reconciled) {
+      account.lastReconciledAt = asOf;
+      account.lastReconciledBalance = stated;
+      await account.save();
+    }
+
+    res.json({
+      success: true,
+      message: reconciled
+        ? 'Account reconciled: the statement matches your records'
+        : `Your records are ${difference > 0 ? 'lower' : 'higher'} than the statement by ${Math.abs(difference).toFixed(2)} ${account.currency}`,
+      data: {
+        accountId: account._id,
+        currency: account.currency,
+        asOf,
+        statementBalance: stated,
+        computedBalance,
+        difference,
+        reconciled,
+        // Narrow the search to what changed since the last good reconciliation
+        lastReconciledAt: account.lastReconciledAt || null
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+async function findOwnedAccount(req, res) {
+  const account = await Account.findById(req.params.id);
+
+  if (!account) {
+    res.status(404).json({ success: false, message: 'Account not found' });
+    return null;
+  }
+
+  if (account.user.toString() !== req.user._id.toString()) {
+    res.status(401).json({ success: false, message: 'Not authorized' });
+    return null;
+  }
+
+  return account;
+}
+
+async function hasActivity(account) {
+  const [income, expense, transfer] = await Promise.all([
+    Income.exists({ account: account._id }),
+    Expense.exists({ account: account._id }),
+    Transfer.exists({ $or: [{ fromAccount: account._id }, { toAccount: account._id }] })
+  ]);
+  return Boolean(income || expense || transfer);
+}
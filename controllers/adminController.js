@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const User = require('../models/User');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const Group = require('../models/Group');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { revokeUserSessions } = require('../utils/sessions');
+const { recordAudit, ADMIN_ACTIONS } = require('../utils/audit');
+const { escapeRegex, parsePositiveInt, DEFAULT_LIMIT, MAX_LIMIT } = require('../utils/listQuery');
+const { DEFAULT_CURRENCY, roundAmount } = require('../utils/currency');
+const { badRequest } = require('../utils/httpError');
+
+const USER_FIELDS = 'firstName lastName email role status suspendedAt suspendedReason emailVerified twoFactor.enabled baseCurrency createdAt';
+const ACTOR_FIELDS = 'firstName lastName email';
+
+// @desc    List users; `search` matches name or email, `status` and `role` filter
+// @route   GET /api/admin/users
+// @access  Private (admin)
+exports.getUsers = async (req, res) => {
+  try {
+    const { search, status, role } = req.query;
+    const { page, limit } = pageParams(req.query);
+
+    const filter = {};
+    if (search && String(search).trim()) {
+      const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+      filter.$or = [{ firstName: pattern }, { lastName: pattern }, { email: pattern }];
+    }
+    if (status) {
+      if (!['active', 'suspended'].includes(status)) throw badRequest('status must be active or suspended');
+      filter.status = status === 'active' ? { $ne: 'suspended' } : 'suspended';
+    }
+    if (role) {
+      if (!['user', 'admin'].includes(role)) throw badRequest('role must be user or admin');
+      filter.role = role === 'user' ? { $ne: 'admin' } : 'admin';
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select(USER_FIELDS).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    await recordAudit(req, 'users.list', { details: { search, status, role, page, limit } });
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: paginationFor(total, users.length, page, limit)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    One user with their record counts and active sessions
+// @route   GET /api/admin/users/:id
+// @access  Private (admin)
+exports.getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const [incomeCount, expenseCount, groupCount, sessions] = await Promise.all([
+      Income.countDocuments({ user: user._id }),
+      Expense.countDocuments({ user: user._id }),
+      Group.countDocuments({ 'members.user': user._id }),
+      Session.find({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('-tokenHash')
+        .sort({ lastUsedAt: -1 })
+    ]);
+
+    await recordAudit(req, 'user.view', { targetUser: user._id });
+
+    res.json({
+      success: true,
+      data: {
+        ...user.toObject(),
+        stats: { incomeCount, expenseCount, groupCount },
+        sessions
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Suspend a user and sign them out everywhere
+// @route   POST /api/admin/users/:id/suspend
+// @access  Private (admin)
+exports.suspendUser = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      throw badRequest('You cannot suspend your own account');
+    }
+    if (user.status === 'suspended') {
+      throw badRequest('User is already suspended');
+    }
+
+    user.status = 'suspended';
+    user.suspendedAt = new Date();
+    user.suspendedReason = reason ? String(reason).trim() : null;
+    await user.save();
+    const revoked = await revokeUserSessions(user._id, { reason: 'admin' });
+
+    await recordAudit(req, 'user.suspend', {
+      targetUser: user._id,
+      details: { reason: user.suspendedReason, sessionsRevoked: revoked.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: `${user.email} suspended`,
+      data: await User.findById(user._id).select(USER_FIELDS)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Lift a suspension; the user logs in again as normal
+// @route   POST /api/admin/users/:id/reactivate
+// @access  Private (admin)
+exports.reactivateUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.status !== 'suspended') {
+      throw badRequest('User is not suspended');
+    }
+
+    const previousReason = user.suspendedReason;
+    user.status = 'active';
+    user.suspendedAt = null;
+    user.suspendedReason = null;
+    await user.save();
+
+    await recordAudit(req, 'user.reactivate', {
+      targetUser: user._id,
+      details: { previousReason }
+    });
+
+    res.json({
+      success: true,
+      message: `${user.email} reactivated`,
+      data: await User.findById(user._id).select(USER_FIELDS)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Revoke every session a user has, signing them out on all devices
+// @route   POST /api/admin/users/:id/logout
+// @access  Private (admin)
+exports.forceLogout = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const revoked = await revokeUserSessions(user._id, { reason: 'admin' });
+
+    await recordAudit(req, 'user.logout', {
+      targetUser: user._id,
+      details: { sessionsRevoked: revoked.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: `${revoked.modifiedCount} session(s) revoked for ${user.email}`
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    System-wide totals: users, sessions, groups and transactions.
+//          Amounts are summed per transaction currency, never converted.
+// @route   GET /api/admin/stats
+// @access  Private (admin)
+exports.getStats = async (req, res) => {
+  try {
+    const now = new Date();
+    const since = moment().subtract(30, 'days').toDate();
+    const monthsFrom = moment().subtract(11, 'months').startOf('month').toDate();
+
+    const [userStats, signupsByMonth, activeSessions, groups, income, expense] = await Promise.all([
+      User.aggregate([
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            suspended: { $sum: { $cond: [{ $eq: ['$status', 'suspended'] }, 1, 0] } },
+            admins: { $sum: { $cond: [{ $eq: ['$role', 'admin'] }, 1, 0] } },
+            emailVerified: { $sum: { $cond: ['$emailVerified', 1, 0] } },
+            twoFactorEnabled: { $sum: { $cond: ['$twoFactor.enabled', 1, 0] } },
+            newLast30Days: { $sum: { $cond: [{ $gte: ['$createdAt', since] }, 1, 0] } }
+          }
+        }
+      ]),
+      User.aggregate([
+        { $match: { createdAt: { $gte: monthsFrom } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]),
+      Session.countDocuments({ revokedAt: null, expiresAt: { $gt: now } }),
+      Group.countDocuments(),
+      transactionTotals(Income),
+      transactionTotals(Expense)
+    ]);
+
+    const users = userStats[0] || { total: 0, suspended: 0, admins: 0, emailVerified: 0, twoFactorEnabled: 0, newLast30Days: 0 };
+    delete users._id;
+
+    await recordAudit(req, 'stats.view');
+
+    res.json({
+      success: true,
+      data: {
+        users: { ...users, active: users.total - users.suspended },
+        signupsByMonth: signupsByMonth.map(month => ({ month: month._id, count: month.count })),
+        activeSessions,
+        groups,
+        income,
+        expense,
+        generatedAt: now
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Audit entries, newest first; filter by action, actor or targetUser
+// @route   GET /api/admin/audit
+// @access  Private (admin)
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { action, actor, targetUser } = req.query;
+    const { page, limit } = pageParams(req.query);
+
+    const filter = {};
+    if (action) {
+      if (!ADMIN_ACTIONS.includes(action)) throw badRequest(`action must be one of: ${ADMIN_ACTIONS.join(', ')}`);
+      filter.action = action;
+    }
+    for (const [field, value] of Object.entries({ actor, targetUser })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) throw badRequest(`Invalid ${field} id`);
+      filter[field] = value;
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', ACTOR_FIELDS)
+        .populate('targetUser', ACTOR_FIELDS)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    await recordAudit(req, 'audit.list', { details: { action, actor, targetUser, page, limit } });
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: paginationFor(total, entries.length, page, limit)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+async function findTargetUser(req, res) {
+  const user = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await User.findById(req.params.id).select(USER_FIELDS)
+    : null;
+
+  if (!user) {
+    res.status(404).json({ success: false, message: 'User not found' });
+    return null;
+  }
+
+  return user;
+}
+
+function pageParams(query) {
+  return {
+    page: parsePositiveInt(query.page, 'page', 1),
+    limit: Math.min(parsePositiveInt(query.limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT)
+  };
+}
+
+// Same shape as the transaction lists' page mode
+function paginationFor(total, count, page, limit) {
+  return {
+    total,
+    count,
+    limit,
+    page,
+    totalPages: Math.ceil(total / limit),
+    hasNextPage: page * limit < total
+  };
+}
+
+async function transactionTotals(Model) {
+  const [count, byCurrency] = await Promise.all([
+    Model.estimatedDocumentCount(),
+    Model.aggregate([
+      {
+        $group: {
+          _id: { $ifNull: ['$currency', DEFAULT_CURRENCY] },
+          count: { $sum: 1 },
+          total: { $sum: '$amount' }
+        }
+      },
+      { $sort: { count: -1 } }
+    ])
+  ]);
+
+  return {
+    count,
+    byCurrency: byCurrency.map(entry => ({ currency: entry._id, count: entry.count, total: roundAmount(entry.total) }))
+  };
+}
@@ -1,6 +1,8 @@
 const Income = require('../models/Income');
 const Expense = require('../models/Expense');
 const moment = require('moment');
+const { DEFAULT_CURRENCY, formatMoney, toBaseCurrency } = require('../utils/currency');
+const { expandSplits } = require('../utils/splits');
 
 // @desc    Get AI-powered financial insights
 // @route   POST /api/ai/insights
@@ -10,9 +12,12 @@ exports.getFinancialInsights = async (req, res) => {
     const userId = req.user._id;
     
     // Fetch user's financial data
+    const currency = req.user.baseCurrency || DEFAULT_CURRENCY;
+    
+    // All amounts are analysed in the user's base currency
     const [incomes, expenses] = await Promise.all([
-      Income.find({ user: userId }),
-      Expense.find({ user: userId })
+      Income.find({ user: userId, group: null }).then(toBaseCurrency),
+      Expense.find({ user: userId, group: null }).then(toBaseCurrency)
     ]);
 
     if ((!incomes || incomes.length === 0) && (!expenses || expenses.length === 0)) {
@@ -35,7 +40,7 @@ exports.getFinancialInsights = async (req, res) => {
     }
 
     // Calculate financial metrics
-    const financialData = calculateFinancialMetrics(incomes || [], expenses || []);
+    const financialData = calculateFinancialMetrics(incomes || [], expenses || [], currency);
     
     // Generate AI insights
     const insights = await generateAIInsights(financialData, incomes || [], expenses || []);
@@ -63,12 +68,15 @@ exports.getPersonalizedTips = async (req, res) => {
     const userId = req.user._id;
     const { category } = req.body; // 'income', 'expense', 'saving'
 
+    const currency = req.user.baseCurrency || DEFAULT_CURRENCY;
+    
+    // All amounts are analysed in the user's base currency
     const [incomes, expenses] = await Promise.all([
-      Income.find({ user: userId }),
-      Expense.find({ user: userId })
+      Income.find({ user: userId, group: null }).then(toBaseCurrency),
+      Expense.find({ user: userId, group: null }).then(toBaseCurrency)
     ]);
 
-    const financialData = calculateFinancialMetrics(incomes || [], expenses || []);
+    const financialData = calculateFinancialMetrics(incomes || [], expenses || [], currency);
     
     let tips = [];
     switch (category) {
@@ -112,14 +120,17 @@ exports.getSpendingAnalysis = async (req, res) => {
   try {
     const userId = req.user._id;
     
+    const currency = req.user.baseCurrency || DEFAULT_CURRENCY;
+    
+    // All amounts are analysed in the user's base currency
     const [incomes, expenses] = await Promise.all([
-      Income.find({ user: userId }),
-      Expense.find({ user: userId })
+      Income.find({ user: userId, group: null }).then(toBaseCurrency),
+      Expense.find({ user: userId, group: null }).then(toBaseCurrency)
     ]);
 
-    const analysis = analyzeSpendingPatterns(incomes || [], expenses || []);
+    const analysis = analyzeSpendingPatterns(incomes || [], expenses || [], currency);
     const predictions = predictFutureSpending(expenses || []);
-    const opportunities = identifySavingsOpportunities(expenses || []);
+    const opportunities = identifySavingsOpportunities(expenses || [], currency);
 
     res.json({
       success: true,
@@ -148,10 +159,11 @@ exports.getInvestmentSuggestions = async (req, res) => {
   try {
     const userId = req.user._id;
     
-    const incomes = await Income.find({ user: userId });
-    const expenses = await Expense.find({ user: userId });
+    const currency = req.user.baseCurrency || DEFAULT_CURRENCY;
+    const incomes = toBaseCurrency(await Income.find({ user: userId, group: null }));
+    const expenses = toBaseCurrency(await Expense.find({ user: userId, group: null }));
 
-    const financialData = calculateFinancialMetrics(incomes || [], expenses || []);
+    const financialData = calculateFinancialMetrics(incomes || [], expenses || [], currency);
     const suggestions = generateInvestmentSuggestions(financialData);
 
     res.json({
@@ -169,7 +181,7 @@ exports.getInvestmentSuggestions = async (req, res) => {
   }
 };
 
-function calculateFinancialMetrics(incomes = [], expenses = []) {
+function calculateFinancialMetrics(incomes = [], expenses = [], currency = DEFAULT_CURRENCY) {
   const safeIncomes = Array.isArray(incomes) ? incomes : [];
   const safeExpenses = Array.isArray(expenses) ? expenses : [];
   
@@ -201,6 +213,7 @@ function calculateFinancialMetrics(incomes = [], expenses = []) {
   const expenseByCategory = analyzeByCategory(safeExpenses, 'expense');
 
   return {
+    currency,
     totalIncome,
     totalExpenses,
     netSavings,
@@ -223,7 +236,8 @@ function analyzeByCategory(transactions = [], type) {
     return categoryMap;
   }
   
-  transactions.forEach(transaction => {
+  // Lines of a split expense are counted under their own categories
+  expandSplits(transactions).forEach(transaction => {
     if (!transaction || !transaction.category) return;
     
     const category = transaction.category;
@@ -264,7 +278,7 @@ async function generateAIInsights(financialData, incomes = [], expenses = []) {
     analysis,
     riskLevel: assessFinancialRisk(incomes, expenses),
     monthlyProjection: projectNextMonth(financialData, expenses),
-    quickWins: identifyQuickWins(expenses)
+    quickWins: identifyQuickWins(expenses, financialData.currency)
   };
 }
 
@@ -334,7 +348,7 @@ function generateExpenseTips(financialData, expenses = []) {
         priority: 'HIGH',
         action: `Review ${category.toLowerCase()} expenses and identify areas to cut back`,
         potentialImpact: 'High',
-        currentSpending: `$${data.total.toLocaleString()}`
+        currentSpending: formatMoney(data.total, financialData.currency)
       });
     }
   });
@@ -351,7 +365,7 @@ function generateExpenseTips(financialData, expenses = []) {
     tips.push({
       type: 'SUBSCRIPTION',
       title: 'Review Subscriptions',
-      message: `You have ${subscriptionExpenses.length} subscriptions costing $${totalSubscriptions.toLocaleString()} monthly`,
+      message: `You have ${subscriptionExpenses.length} subscriptions costing ${formatMoney(totalSubscriptions, financialData.currency)} monthly`,
       priority: 'MEDIUM',
       action: 'Cancel unused subscriptions and bundle services',
       potentialImpact: 'Medium'
@@ -441,14 +455,14 @@ function generateFinancialAnalysis(financialData) {
     analysis.push({
       aspect: 'Financial Health',
       status: 'POSITIVE',
-      message: `You're saving $${netSavings.toLocaleString()} (${savingsRate.toFixed(1)}% of income)`,
+      message: `You're saving ${formatMoney(netSavings, financialData.currency)} (${savingsRate.toFixed(1)}% of income)`,
       details: 'Your income exceeds expenses, which is excellent for financial growth'
     });
   } else {
     analysis.push({
       aspect: 'Financial Health',
       status: 'NEGATIVE',
-      message: `You're spending $${Math.abs(netSavings).toLocaleString()} more than you earn`,
+      message: `You're spending ${formatMoney(Math.abs(netSavings), financialData.currency)} more than you earn`,
       details: 'Focus on reducing expenses or increasing income to achieve balance'
     });
   }
@@ -489,7 +503,7 @@ function generateFinancialAnalysis(financialData) {
   return analysis;
 }
 
-function analyzeSpendingPatterns(incomes = [], expenses = []) {
+function analyzeSpendingPatterns(incomes = [], expenses = [], currency = DEFAULT_CURRENCY) {
   const patterns = [];
   
   const weeklySpending = {};
@@ -508,7 +522,7 @@ function analyzeSpendingPatterns(incomes = [], expenses = []) {
     pattern: 'WEEKLY_SPENDING',
     average: avgWeeklySpending,
     trend: 'STABLE',
-    insight: `You spend about $${avgWeeklySpending.toFixed(2)} weekly on average`
+    insight: `You spend about ${formatMoney(avgWeeklySpending, currency)} weekly on average`
   });
 
   const categoryPatterns = {};
@@ -575,7 +589,7 @@ function predictFutureSpending(expenses = []) {
   };
 }
 
-function identifySavingsOpportunities(expenses = []) {
+function identifySavingsOpportunities(expenses = [], currency = DEFAULT_CURRENCY) {
   const opportunities = [];
 
   const recurringTitles = {};
@@ -599,7 +613,7 @@ function identifySavingsOpportunities(expenses = []) {
         frequency: `${count} times`,
         totalAmount: totalAmount,
         suggestion: 'Consider if this recurring expense can be reduced or eliminated',
-        potentialSavings: `Up to $${(totalAmount * 0.2).toFixed(2)} monthly`
+        potentialSavings: `Up to ${formatMoney(totalAmount * 0.2, currency)} monthly`
       });
     });
 
@@ -678,7 +692,7 @@ function generateInvestmentSuggestions(financialData) {
   return suggestions;
 }
 
-function identifyQuickWins(expenses = []) {
+function identifyQuickWins(expenses = [], currency = DEFAULT_CURRENCY) {
   const quickWins = [];
   
   const subscriptionKeywords = ['netflix', 'spotify', 'prime', 'disney', 'hulu', 'subscription'];
@@ -697,7 +711,7 @@ function identifyQuickWins(expenses = []) {
     quickWins.push({
       type: 'SUBSCRIPTION_REVIEW',
       title: 'Review Subscriptions',
-      potentialSavings: `$${(monthlySubscriptions * 0.3).toFixed(2)} monthly`,
+      potentialSavings: `${formatMoney(monthlySubscriptions * 0.3, currency)} monthly`,
       effort: 'LOW',
       impact: 'MEDIUM',
       action: 'Cancel 1-2 unused subscriptions'
@@ -717,7 +731,7 @@ function identifyQuickWins(expenses = []) {
     quickWins.push({
       type: 'DINING_REDUCTION',
       title: 'Reduce Dining Out',
-      potentialSavings: `$${(diningTotal * 0.2).toFixed(2)} monthly`,
+      potentialSavings: `${formatMoney(diningTotal * 0.2, currency)} monthly`,
       effort: 'MEDIUM',
       impact: 'HIGH',
       action: 'Cook at home 2 more times per week'
@@ -785,4 +799,7 @@ function getDefaultSavingTips() {
       potentialImpact: 'High'
     }
   ];
-}
\ No newline at end of file
+}
+
+// Shared with the savings goal projections
+exports.calculateFinancialMetrics = calculateFinancialMetrics;
@@ -1,7 +1,19 @@
 const Income = require('../models/Income');
 const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
 const axios = require('axios');
 const moment = require('moment');
+const { DEFAULT_CURRENCY, convertToBase, formatMoney, toBaseCurrency } = require('../utils/currency');
+const { allocateIncome } = require('../utils/goalAllocation');
+const {
+  getUserCategories,
+  resolveCategoryName,
+  matchCategory,
+  suggestExpenseCategory,
+  suggestIncomeCategory
+} = require('../utils/categories');
+const { normalizeTags } = require('../utils/tags');
+const { expandSplits } = require('../utils/splits');
 
 // @desc    AI-powered financial management and analysis
 // @route   POST /api/ai/manage
@@ -9,16 +21,17 @@ const moment = require('moment');
 exports.aiFinancialManagement = async (req, res) => {
   try {
     const userId = req.user._id;
+    const currency = req.user.baseCurrency || DEFAULT_CURRENCY;
     const { message, action, data } = req.body;
 
-    // Get user's financial data
+    // Get user's financial data, valued in the base currency
     const [incomes, expenses] = await Promise.all([
-      Income.find({ user: userId }).sort({ date: -1 }),
-      Expense.find({ user: userId }).sort({ date: -1 })
+      Income.find({ user: userId, group: null }).sort({ date: -1 }).then(toBaseCurrency),
+      Expense.find({ user: userId, group: null }).sort({ date: -1 }).then(toBaseCurrency)
     ]);
 
     // Process AI request
-    const result = await processAIManagementRequest(userId, message, action, data, incomes, expenses);
+    const result = await processAIManagementRequest(userId, message, action, data, incomes, expenses, currency);
     
     res.json({
       success: true,
@@ -39,11 +52,11 @@ exports.getAIRecommendations = async (req, res) => {
     const userId = req.user._id;
     
     const [incomes, expenses] = await Promise.all([
-      Income.find({ user: userId }),
-      Expense.find({ user: userId })
+      Income.find({ user: userId, group: null }).then(toBaseCurrency),
+      Expense.find({ user: userId, group: null }).then(toBaseCurrency)
     ]);
 
-    const recommendations = await generateAIRecommendations(incomes, expenses);
+    const recommendations = await generateAIRecommendations(incomes, expenses, req.user.baseCurrency);
     
     res.json({
       success: true,
@@ -65,7 +78,8 @@ exports.aiCategorizeExpense = async (req, res) => {
   try {
     const { title, amount, description } = req.body;
     
-    const suggestedCategory = await suggestExpenseCategory(title, amount, description);
+    const categories = await getUserCategories(req.user._id, 'expense');
+    const suggestedCategory = suggestExpenseCategory(title, amount, description, categories);
     
     res.json({
       success: true,
@@ -100,8 +114,8 @@ exports.checkAIHealth = async (req, res) => {
   }
 };
 
-async function processAIManagementRequest(userId, message, action, data, incomes, expenses) {
-  const financialSummary = generateFinancialSummary(incomes, expenses);
+async function processAIManagementRequest(userId, message, action, data, incomes, expenses, currency) {
+  const financialSummary = generateFinancialSummary(incomes, expenses, currency);
   
   if (action) {
     return await handleSpecificAction(userId, action, data, financialSummary);
@@ -138,6 +152,9 @@ async function handleSpecificAction(userId, action, data, financialSummary) {
     case 'budget_suggestions':
       return await handleBudgetSuggestions(financialSummary);
     
+    case 'apply_budget_suggestions':
+      return await handleBudgetSuggestions(financialSummary, { userId, apply: true });
+    
     case 'financial_health':
       return await handleFinancialHealthCheck(financialSummary);
     
@@ -162,7 +179,7 @@ async function handleNaturalLanguageRequest(userId, message, financialSummary, i
   }
   
   if (lowerMessage.includes('how much') || lowerMessage.includes('show me') || lowerMessage.includes('tell me') || lowerMessage.includes('what is my')) {
-    return await handleQueryRequest(message, financialSummary, incomes, expenses);
+    return await handleQueryRequest(userId, message, financialSummary, incomes, expenses);
   }
   
   if (lowerMessage.includes('savings') || lowerMessage.includes('save money') || lowerMessage.includes('save more')) {
@@ -184,23 +201,40 @@ async function handleNaturalLanguageRequest(userId, message, financialSummary, i
 // Income Management
 async function handleAddIncome(userId, data, financialSummary) {
   try {
+    const category = data.category
+      ? await resolveCategoryName(userId, 'income', data.category)
+      : suggestIncomeCategory(data.title, data.description, await getUserCategories(userId, 'income')).category;
+
+    const date = data.date || new Date();
+    const conversion = await convertToBase(
+      { _id: userId, baseCurrency: financialSummary.currency },
+      data.amount,
+      data.currency,
+      date
+    );
+
     const income = await Income.create({
       user: userId,
       title: data.title,
       amount: data.amount,
-      category: data.category || 'Other',
+      ...conversion,
+      category,
       description: data.description,
-      date: data.date || new Date()
+      tags: normalizeTags(data.tags),
+      date
     });
+    const goalAllocations = await allocateIncome({ baseCurrency: financialSummary.currency }, income);
 
     const updatedSummary = generateFinancialSummary(
-      [...(financialSummary.incomes || []), income],
-      financialSummary.expenses || []
+      [...(financialSummary.incomes || []), ...toBaseCurrency([income])],
+      financialSummary.expenses || [],
+      financialSummary.currency
     );
 
     return {
-      message: `✅ Income added successfully! ${data.title} - $${data.amount}`,
+      message: `✅ Income added successfully! ${data.title} - ${formatMoney(data.amount, income.currency)}`,
       data: income,
+      goalAllocations,
       summary: updatedSummary,
       suggestion: generateIncomeSuggestion(updatedSummary)
     };
@@ -215,24 +249,18 @@ async function handleAddIncomeFromText(userId, message, financialSummary) {
   const amount = amountMatch ? parseFloat(amountMatch[1]) : null;
   
   let title = 'Income';
-  let category = 'Other';
   
-  // Enhanced category detection
+  // The category itself is matched against the user's income categories in handleAddIncome
   if (message.includes('salary') || message.includes('paycheck') || message.includes('wage')) {
     title = 'Salary';
-    category = 'Salary';
   } else if (message.includes('freelance') || message.includes('contract') || message.includes('gig')) {
     title = 'Freelance Work';
-    category = 'Freelance';
   } else if (message.includes('investment') || message.includes('dividend') || message.includes('stock')) {
     title = 'Investment Income';
-    category = 'Investment';
   } else if (message.includes('bonus') || message.includes('commission')) {
     title = 'Bonus';
-    category = 'Bonus';
   } else if (message.includes('business') || message.includes('side hustle')) {
     title = 'Business Income';
-    category = 'Business';
   }
 
   if (!amount) {
@@ -250,7 +278,6 @@ async function handleAddIncomeFromText(userId, message, financialSummary) {
   return await handleAddIncome(userId, {
     title,
     amount,
-    category,
     description: `Added via AI: ${message}`
   }, financialSummary);
 }
@@ -259,31 +286,46 @@ async function handleAddIncomeFromText(userId, message, financialSummary) {
 async function handleAddExpense(userId, data, financialSummary) {
   try {
     // Auto-categorize if not provided
-    let category = data.category;
-    if (!category) {
-      const suggested = await suggestExpenseCategory(data.title, data.amount, data.description);
+    let category;
+    if (data.category) {
+      category = await resolveCategoryName(userId, 'expense', data.category);
+    } else {
+      const categories = await getUserCategories(userId, 'expense');
+      const suggested = suggestExpenseCategory(data.title, data.amount, data.description, categories);
       category = suggested.category;
     }
 
+    const date = data.date || new Date();
+    const conversion = await convertToBase(
+      { _id: userId, baseCurrency: financialSummary.currency },
+      data.amount,
+      data.currency,
+      date
+    );
+
     const expense = await Expense.create({
       user: userId,
       title: data.title,
       amount: data.amount,
+      ...conversion,
       category: category,
       description: data.description,
-      date: data.date || new Date()
+      tags: normalizeTags(data.tags),
+      date
     });
+    const [baseExpense] = toBaseCurrency([expense]);
 
     const updatedSummary = generateFinancialSummary(
       financialSummary.incomes || [],
-      [...(financialSummary.expenses || []), expense]
+      [...(financialSummary.expenses || []), baseExpense],
+      financialSummary.currency
     );
 
     return {
-      message: `✅ Expense recorded! ${data.title} - $${data.amount} (${category})`,
+      message: `✅ Expense recorded! ${data.title} - ${formatMoney(data.amount, expense.currency)} (${category})`,
       data: expense,
       summary: updatedSummary,
-      warning: checkExpenseWarning(updatedSummary, expense),
+      warning: checkExpenseWarning(updatedSummary, baseExpense),
       suggestion: generateExpenseSuggestion(updatedSummary)
     };
   } catch (error) {
@@ -295,27 +337,20 @@ async function handleAddExpenseFromText(userId, message, financialSummary) {
   const amountMatch = message.match(/\$?(\d+(?:\.\d{2})?)/);
   const amount = amountMatch ? parseFloat(amountMatch[1]) : null;
   
-  let category = 'Other';
   let title = 'Expense';
   
-  // Enhanced category detection
+  // The category itself is suggested from the user's expense categories in handleAddExpense
   if (message.includes('food') || message.includes('restaurant') || message.includes('grocery') || message.includes('lunch') || message.includes('dinner')) {
-    category = 'Food';
     title = 'Food Expense';
   } else if (message.includes('transport') || message.includes('fuel') || message.includes('gas') || message.includes('uber') || message.includes('taxi') || message.includes('bus')) {
-    category = 'Transport';
     title = 'Transportation';
   } else if (message.includes('bill') || message.includes('utility') || message.includes('electric') || message.includes('water') || message.includes('internet') || message.includes('phone')) {
-    category = 'Bills';
     title = 'Utility Bill';
   } else if (message.includes('shopping') || message.includes('buy') || message.includes('purchase') || message.includes('amazon') || message.includes('mall')) {
-    category = 'Shopping';
     title = 'Shopping';
   } else if (message.includes('entertainment') || message.includes('movie') || message.includes('netflix') || message.includes('game') || message.includes('concert')) {
-    category = 'Entertainment';
     title = 'Entertainment';
   } else if (message.includes('health') || message.includes('medical') || message.includes('doctor') || message.includes('hospital') || message.includes('medicine')) {
-    category = 'Healthcare';
     title = 'Healthcare';
   }
 
@@ -334,7 +369,6 @@ async function handleAddExpenseFromText(userId, message, financialSummary) {
   return await handleAddExpense(userId, {
     title,
     amount,
-    category,
     description: `Added via AI: ${message}`
   }, financialSummary);
 }
@@ -477,32 +511,6 @@ async function handleFinancialHealthCheck(financialSummary) {
   };
 }
 
-async function suggestExpenseCategory(title, amount, description) {
-  const expenseKeywords = {
-    Food: ['food', 'grocery', 'restaurant', 'dining', 'meal', 'cafe', 'supermarket', 'lunch', 'dinner', 'breakfast', 'coffee'],
-    Transport: ['transport', 'fuel', 'gas', 'uber', 'lyft', 'taxi', 'bus', 'train', 'metro', 'subway', 'parking', 'toll'],
-    Bills: ['bill', 'utility', 'electric', 'water', 'internet', 'phone', 'rent', 'mortgage', 'insurance', 'subscription'],
-    Shopping: ['shopping', 'buy', 'purchase', 'mall', 'store', 'amazon', 'online', 'clothing', 'electronics', 'fashion'],
-    Entertainment: ['movie', 'concert', 'game', 'netflix', 'spotify', 'entertainment', 'hobby', 'sports', 'vacation', 'travel'],
-    Healthcare: ['medical', 'doctor', 'hospital', 'medicine', 'pharmacy', 'health', 'dental', 'vision', 'insurance'],
-    Education: ['education', 'course', 'book', 'tuition', 'school', 'learning', 'training', 'workshop', 'seminar']
-  };
-
-  const text = `${title} ${description}`.toLowerCase();
-  
-  for (const [category, keywords] of Object.entries(expenseKeywords)) {
-    if (keywords.some(keyword => text.includes(keyword))) {
-      return { category, confidence: 'high' };
-    }
-  }
-
-  // Amount-based categorization for fallback
-  if (amount < 30) return { category: 'Food', confidence: 'low' };
-  if (amount < 100) return { category: 'Shopping', confidence: 'medium' };
-  if (amount < 500) return { category: 'Bills', confidence: 'medium' };
-  return { category: 'Other', confidence: 'low' };
-}
-
 // Enhanced AI Query Function with better error handling and prompts
 async function handleAIQuery(message, financialSummary, incomes, expenses) {
   try {
@@ -570,11 +578,11 @@ function createEnhancedPrompt(message, financialSummary, incomes, expenses) {
   
   // Format recent transactions better
   const recentIncomes = incomes.slice(0, 5).map(inc => 
-    `- ${inc.title}: $${inc.amount} (${moment(inc.date).format('MMM DD')})`
+    `- ${inc.title}: ${formatMoney(inc.amount, financialSummary.currency)} (${moment(inc.date).format('MMM DD')})`
   ).join('\n') || 'No recent income';
   
   const recentExpenses = expenses.slice(0, 5).map(exp => 
-    `- ${exp.title}: $${exp.amount} (${exp.category}) - ${moment(exp.date).format('MMM DD')}`
+    `- ${exp.title}: ${formatMoney(exp.amount, financialSummary.currency)} (${exp.category}) - ${moment(exp.date).format('MMM DD')}`
   ).join('\n') || 'No recent expenses';
 
   // Calculate additional metrics
@@ -585,15 +593,15 @@ function createEnhancedPrompt(message, financialSummary, incomes, expenses) {
 USER FINANCIAL DATA (${currentDate}):
 
 INCOME & EXPENSES:
-- Monthly Income: $${financialSummary.currentMonthIncome}
-- Monthly Expenses: $${financialSummary.currentMonthExpense}
-- Monthly Savings: $${financialSummary.currentMonthSavings}
+- Monthly Income: ${formatMoney(financialSummary.currentMonthIncome, financialSummary.currency)}
+- Monthly Expenses: ${formatMoney(financialSummary.currentMonthExpense, financialSummary.currency)}
+- Monthly Savings: ${formatMoney(financialSummary.currentMonthSavings, financialSummary.currency)}
 - Savings Rate: ${savingsRate}%
 - Spending Rate: ${spendingRate}%
 
 TOP SPENDING CATEGORIES (this month):
 ${financialSummary.expenseByCategory.slice(0, 5).map(cat => 
-  `- ${cat.category}: $${cat.total} (${cat.percentage}% of expenses)`
+  `- ${cat.category}: ${formatMoney(cat.total, financialSummary.currency)} (${cat.percentage}% of expenses)`
 ).join('\n')}
 
 RECENT INCOME (last 5):
@@ -629,7 +637,7 @@ function getEnhancedFallbackResponse(message, financialSummary) {
   // More intelligent fallback responses based on message content
   if (lowerMessage.includes('investment') || lowerMessage.includes('invest') || lowerMessage.includes('stock')) {
     return {
-      message: `Based on your current savings of $${currentMonthSavings}, consider speaking with a financial advisor about investment options. You're saving ${((currentMonthSavings / currentMonthIncome) * 100).toFixed(1)}% of your income. For investments, typically aim to have 3-6 months of emergency savings first.`,
+      message: `Based on your current savings of ${formatMoney(currentMonthSavings, financialSummary.currency)}, consider speaking with a financial advisor about investment options. You're saving ${((currentMonthSavings / currentMonthIncome) * 100).toFixed(1)}% of your income. For investments, typically aim to have 3-6 months of emergency savings first.`,
       type: 'fallback_advice'
     };
   }
@@ -664,7 +672,7 @@ function getEnhancedFallbackResponse(message, financialSummary) {
   const savingsRate = ((currentMonthSavings / currentMonthIncome) * 100).toFixed(1);
   
   return {
-    message: `I can help you manage your finances! This month you've earned $${currentMonthIncome} and spent $${currentMonthExpense}, saving $${currentMonthSavings} (${savingsRate}% savings rate). Try: "Add $50 expense for lunch" or "How can I save more money?" or "Analyze my spending".`,
+    message: `I can help you manage your finances! This month you've earned ${formatMoney(currentMonthIncome, financialSummary.currency)} and spent ${formatMoney(currentMonthExpense, financialSummary.currency)}, saving ${formatMoney(currentMonthSavings, financialSummary.currency)} (${savingsRate}% savings rate). Try: "Add $50 expense for lunch" or "How can I save more money?" or "Analyze my spending".`,
     type: 'fallback_general',
     examples: [
       "Add income $500 freelance work",
@@ -677,7 +685,7 @@ function getEnhancedFallbackResponse(message, financialSummary) {
   };
 }
 
-function generateFinancialSummary(incomes, expenses) {
+function generateFinancialSummary(incomes, expenses, currency = DEFAULT_CURRENCY) {
   const currentMonthStart = moment().startOf('month');
   const currentMonthEnd = moment().endOf('month');
   
@@ -691,9 +699,9 @@ function generateFinancialSummary(incomes, expenses) {
   
   const currentMonthSavings = currentMonthIncome - currentMonthExpense;
   
-  // Category breakdown
+  // Category breakdown, with each line of a split expense in its own category
   const categoryMap = {};
-  expenses.forEach(exp => {
+  expandSplits(expenses).forEach(exp => {
     categoryMap[exp.category] = (categoryMap[exp.category] || 0) + exp.amount;
   });
   
@@ -706,6 +714,7 @@ function generateFinancialSummary(incomes, expenses) {
     .sort((a, b) => b.total - a.total);
 
   return {
+    currency,
     currentMonthIncome,
     currentMonthExpense,
     currentMonthSavings,
@@ -726,7 +735,7 @@ function generateInitialResponse(summary) {
   
   const savingsRate = currentMonthIncome > 0 ? ((currentMonthSavings / currentMonthIncome) * 100).toFixed(1) : '0';
   
-  return `Hello! I'm monitoring your finances. This month you've earned $${currentMonthIncome} and spent $${currentMonthExpense}, saving $${currentMonthSavings} (${savingsRate}% savings rate). How can I help you today? You can ask me to add transactions, analyze spending, or get financial advice.`;
+  return `Hello! I'm monitoring your finances. This month you've earned ${formatMoney(currentMonthIncome, summary.currency)} and spent ${formatMoney(currentMonthExpense, summary.currency)}, saving ${formatMoney(currentMonthSavings, summary.currency)} (${savingsRate}% savings rate). How can I help you today? You can ask me to add transactions, analyze spending, or get financial advice.`;
 }
 
 function generateQuickSuggestions(summary) {
@@ -770,6 +779,7 @@ function getAvailableActions() {
     { action: 'analyze_spending', label: 'Analyze Spending', description: 'Get spending analysis' },
     { action: 'savings_advice', label: 'Savings Advice', description: 'Get savings tips' },
     { action: 'budget_suggestions', label: 'Budget Tips', description: 'Get budgeting advice' },
+    { action: 'apply_budget_suggestions', label: 'Create Budgets', description: 'Save suggested budgets as monthly limits' },
     { action: 'financial_health', label: 'Financial Health', description: 'Get overall financial health check' }
   ];
 }
@@ -860,8 +870,8 @@ function generateHealthRecommendations(healthScore, savingsRate, spendingRate) {
   return recommendations;
 }
 
-async function generateAIRecommendations(incomes, expenses) {
-  const summary = generateFinancialSummary(incomes, expenses);
+async function generateAIRecommendations(incomes, expenses, currency) {
+  const summary = generateFinancialSummary(incomes, expenses, currency);
   const recommendations = [];
 
   // Check if we have basic data
@@ -938,7 +948,7 @@ async function generateAIRecommendations(incomes, expenses) {
   return recommendations;
 }
 
-async function handleBudgetSuggestions(financialSummary) {
+async function handleBudgetSuggestions(financialSummary, options = {}) {
   const { currentMonthIncome, expenseByCategory } = financialSummary;
   
   if (currentMonthIncome === 0) {
@@ -961,7 +971,7 @@ async function handleBudgetSuggestions(financialSummary) {
       difference: Math.round(difference),
       isOverBudget,
       recommendation: isOverBudget ? 
-        `Reduce ${cat.category} spending by $${Math.abs(Math.round(difference))}` :
+        `Reduce ${cat.category} spending by ${formatMoney(Math.abs(Math.round(difference)), financialSummary.currency)}` :
         `Your ${cat.category} spending is within recommended limits`
     };
   });
@@ -971,9 +981,17 @@ async function handleBudgetSuggestions(financialSummary) {
   const totalActual = budgetSuggestions.reduce((sum, item) => sum + item.currentSpending, 0);
   const overallStatus = totalActual <= totalSuggested ? 'Within Budget' : 'Over Budget';
 
+  let savedBudgets;
+  if (options.apply && options.userId) {
+    savedBudgets = await seedBudgetsFromSuggestions(options.userId, budgetSuggestions);
+  }
+
   return {
-    message: `Here are your personalized budget suggestions based on your $${currentMonthIncome} monthly income:`,
+    message: savedBudgets
+      ? `Saved ${savedBudgets.length} monthly budgets based on your ${formatMoney(currentMonthIncome, financialSummary.currency)} monthly income:`
+      : `Here are your personalized budget suggestions based on your ${formatMoney(currentMonthIncome, financialSummary.currency)} monthly income:`,
     suggestions: budgetSuggestions,
+    budgets: savedBudgets,
     overall: {
       status: overallStatus,
       totalSuggested,
@@ -984,6 +1002,18 @@ async function handleBudgetSuggestions(financialSummary) {
   };
 }
 
+// Upserts one monthly budget per suggested category, overwriting existing limits
+async function seedBudgetsFromSuggestions(userId, budgetSuggestions) {
+  const categories = (await getUserCategories(userId, 'expense')).map(category => category.name);
+  const entries = budgetSuggestions.filter(item => categories.includes(item.category));
+
+  return Promise.all(entries.map(item => Budget.findOneAndUpdate(
+    { user: userId, category: item.category, period: 'monthly' },
+    { $set: { limit: item.suggestedBudget } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  )));
+}
+
 function getCategoryBudgetPercentage(category) {
   const budgetPercentages = {
     'Food': 0.15,
@@ -1000,7 +1030,7 @@ function getCategoryBudgetPercentage(category) {
   return budgetPercentages[category] || 0.05;
 }
 
-async function handleQueryRequest(message, financialSummary, incomes, expenses) {
+async function handleQueryRequest(userId, message, financialSummary, incomes, expenses) {
   const lowerMessage = message.toLowerCase();
   
   if (lowerMessage.includes('balance') || lowerMessage.includes('how much money') || lowerMessage.includes('remaining')) {
@@ -1008,7 +1038,7 @@ async function handleQueryRequest(message, financialSummary, incomes, expenses)
     const status = balance >= 0 ? 'positive' : 'negative';
     
     return {
-      message: `Your current monthly balance is $${balance}. You've earned $${financialSummary.currentMonthIncome} and spent $${financialSummary.currentMonthExpense} this month.`,
+      message: `Your current monthly balance is ${formatMoney(balance, financialSummary.currency)}. You've earned ${formatMoney(financialSummary.currentMonthIncome, financialSummary.currency)} and spent ${formatMoney(financialSummary.currentMonthExpense, financialSummary.currency)} this month.`,
       data: { 
         balance, 
         income: financialSummary.currentMonthIncome, 
@@ -1019,16 +1049,16 @@ async function handleQueryRequest(message, financialSummary, incomes, expenses)
   }
   
   if (lowerMessage.includes('spent on') || lowerMessage.includes('spending on') || lowerMessage.includes('how much on')) {
-    const category = extractCategoryFromQuery(message);
+    const category = extractCategoryFromQuery(message, await getUserCategories(userId, 'expense'));
     if (category) {
-      const categoryExpenses = expenses.filter(exp => 
+      const categoryExpenses = expandSplits(expenses).filter(exp => 
         exp.category.toLowerCase() === category.toLowerCase() &&
         moment(exp.date).isSame(moment(), 'month')
       );
       const total = categoryExpenses.reduce((sum, exp) => sum + exp.amount, 0);
       const count = categoryExpenses.length;
       
-      let message = `You've spent $${total} on ${category} this month`;
+      let message = `You've spent ${formatMoney(total, financialSummary.currency)} on ${category} this month`;
       if (count > 0) {
         message += ` across ${count} transaction${count > 1 ? 's' : ''}.`;
       } else {
@@ -1052,7 +1082,7 @@ async function handleQueryRequest(message, financialSummary, incomes, expenses)
       ((financialSummary.currentMonthSavings / financialSummary.currentMonthIncome) * 100).toFixed(1) : '0';
     
     return {
-      message: `You've saved $${financialSummary.currentMonthSavings} this month, which is ${savingsRate}% of your income.`,
+      message: `You've saved ${formatMoney(financialSummary.currentMonthSavings, financialSummary.currency)} this month, which is ${savingsRate}% of your income.`,
       data: { 
         savings: financialSummary.currentMonthSavings, 
         rate: savingsRate,
@@ -1065,7 +1095,7 @@ async function handleQueryRequest(message, financialSummary, incomes, expenses)
     if (financialSummary.expenseByCategory.length > 0) {
       const topCategory = financialSummary.expenseByCategory[0];
       return {
-        message: `Your highest spending category is ${topCategory.category} at $${topCategory.total} (${topCategory.percentage}% of total expenses).`,
+        message: `Your highest spending category is ${topCategory.category} at ${formatMoney(topCategory.total, financialSummary.currency)} (${topCategory.percentage}% of total expenses).`,
         data: topCategory
       };
     } else {
@@ -1088,23 +1118,9 @@ async function handleQueryRequest(message, financialSummary, incomes, expenses)
   };
 }
 
-function extractCategoryFromQuery(message) {
-  const categories = {
-    'food': ['food', 'grocery', 'restaurant', 'dining', 'meal', 'lunch', 'dinner'],
-    'transport': ['transport', 'fuel', 'gas', 'uber', 'taxi', 'bus', 'train'],
-    'bills': ['bill', 'utility', 'electric', 'water', 'internet', 'phone', 'rent'],
-    'shopping': ['shopping', 'buy', 'purchase', 'mall', 'store', 'amazon'],
-    'entertainment': ['entertainment', 'movie', 'netflix', 'game', 'hobby'],
-    'healthcare': ['health', 'medical', 'doctor', 'hospital', 'medicine'],
-    'education': ['education', 'course', 'book', 'tuition', 'school']
-  };
-
-  for (const [category, keywords] of Object.entries(categories)) {
-    if (keywords.some(keyword => message.toLowerCase().includes(keyword))) {
-      return category.charAt(0).toUpperCase() + category.slice(1);
-    }
-  }
-  return null;
+function extractCategoryFromQuery(message, categories) {
+  const matched = matchCategory(categories, message);
+  return matched ? matched.name : null;
 }
 
 async function checkAIServiceHealth() {
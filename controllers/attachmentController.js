@@ -0,0 +1,139 @@
+const Expense = require('../models/Expense');
+const {
+  MAX_ATTACHMENTS_PER_EXPENSE,
+  saveAttachment,
+  removeAttachment
+} = require('../utils/attachmentStorage');
+const { getFileUrl } = require('../utils/storage');
+const { getTransactionAccess } = require('../utils/groups');
+
+// Group members can see a shared expense's receipts; changing them needs editor rights
+async function findOwnedExpense(req, res, { write = false } = {}) {
+  const expense = await Expense.findById(req.params.id);
+
+  if (!expense) {
+    res.status(404).json({ success: false, message: 'Expense not found' });
+    return null;
+  }
+
+  const access = await getTransactionAccess(req.user, expense);
+  if (!access.canRead) {
+    res.status(401).json({ success: false, message: 'Not authorized' });
+    return null;
+  }
+  if (write && !access.canWrite) {
+    res.status(403).json({ success: false, message: 'Viewers cannot change this group\'s transactions' });
+    return null;
+  }
+
+  return expense;
+}
+
+// @desc    List an expense's receipt attachments
+// @route   GET /api/expenses/:id/attachments
+// @access  Private
+exports.getAttachments = async (req, res) => {
+  try {
+    const expense = await findOwnedExpense(req, res);
+    if (!expense) return;
+
+    res.json({
+      success: true,
+      data: expense.attachments
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Attach one or more receipts (images or PDFs) to an expense
+// @route   POST /api/expenses/:id/attachments
+// @access  Private
+exports.addAttachments = async (req, res) => {
+  try {
+    const expense = await findOwnedExpense(req, res, { write: true });
+    if (!expense) return;
+
+    const uploaded = req.files && req.files.attachments;
+    if (!uploaded) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the receipts in a form-data field named "attachments"'
+      });
+    }
+
+    // express-fileupload only gives an array when several files share the field name
+    const files = Array.isArray(uploaded) ? uploaded : [uploaded];
+    if (expense.attachments.length + files.length > MAX_ATTACHMENTS_PER_EXPENSE) {
+      return res.status(400).json({
+        success: false,
+        message: `An expense can have at most ${MAX_ATTACHMENTS_PER_EXPENSE} attachments`
+      });
+    }
+
+    const saved = [];
+    try {
+      for (const file of files) {
+        saved.push(await saveAttachment(file));
+      }
+    } catch (uploadError) {
+      // Don't leave orphaned files behind when one of several uploads fails
+      await Promise.allSettled(saved.map(removeAttachment));
+      throw uploadError;
+    }
+
+    expense.attachments.push(...saved);
+    await expense.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${saved.length} attachment(s) added`,
+      data: expense.attachments.slice(-saved.length)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Redirect to a viewable URL for an attachment
+// @route   GET /api/expenses/:id/attachments/:attachmentId/file
+// @access  Private
+exports.getAttachmentFile = async (req, res) => {
+  try {
+    const expense = await findOwnedExpense(req, res);
+    if (!expense) return;
+
+    const attachment = expense.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    // Private backends hand out a short-lived signed URL rather than a permanent link
+    res.redirect(await getFileUrl(attachment));
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Remove an attachment from an expense
+// @route   DELETE /api/expenses/:id/attachments/:attachmentId
+// @access  Private
+exports.deleteAttachment = async (req, res) => {
+  try {
+    const expense = await findOwnedExpense(req, res, { write: true });
+    if (!expense) return;
+
+    const attachment = expense.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    await removeAttachment(attachment);
+    attachment.deleteOne();
+    await expense.save();
+
+    res.json({ success: true, message: 'Attachment removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
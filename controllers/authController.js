@@ -1,13 +1,37 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Income = require('../models/Income');
-const jwt = require('jsonwebtoken');
-const { uploadToCloudinary, deleteFromCloudinary } = require('../config/realCloudinary');
-
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
-  });
-};
+const Expense = require('../models/Expense');
+const Goal = require('../models/Goal');
+const Account = require('../models/Account');
+const Transfer = require('../models/Transfer');
+const Category = require('../models/Category');
+const Group = require('../models/Group');
+const Session = require('../models/Session');
+const { deleteFromCloudinary } = require('../config/realCloudinary');
+const { uploadFile, deleteFile, getFileUrl } = require('../utils/storage');
+const { normalizeCurrency, recalculateBaseAmounts, BASE_AMOUNT } = require('../utils/currency');
+const { removeExpenseAttachments } = require('../utils/attachmentStorage');
+const { ensureUserCategories } = require('../utils/categories');
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+} = require('../utils/sessions');
+const { consumeAccountToken } = require('../utils/accountTokens');
+const { assertPasswordPolicy } = require('../utils/passwordPolicy');
+const {
+  TWO_FACTOR_FIELDS,
+  MAX_FAILED_ATTEMPTS,
+  consumeTotpCode,
+  consumeRecoveryCode,
+  remainingRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken
+} = require('../utils/twoFactor');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
 
 exports.register = async (req, res) => {
   try {
@@ -17,7 +41,7 @@ exports.register = async (req, res) => {
       const file = req.files.profileImage;
     }
 
-    const { firstName, lastName, email, password, confirmPassword } = req.body;
+    const { firstName, lastName, email, password, confirmPassword, baseCurrency } = req.body;
 
     if (!firstName?.trim()) {
       return res.status(400).json({
@@ -62,10 +86,12 @@ exports.register = async (req, res) => {
       });
     }
 
-    if (password.length < 6) {
+    try {
+      assertPasswordPolicy(password, { email });
+    } catch (policyError) {
       return res.status(400).json({
         success: false,
-        message: 'Password must be at least 6 characters long'
+        message: policyError.message
       });
     }
 
@@ -76,6 +102,16 @@ exports.register = async (req, res) => {
       });
     }
 
+    let normalizedBaseCurrency;
+    try {
+      normalizedBaseCurrency = baseCurrency ? normalizeCurrency(baseCurrency) : undefined;
+    } catch (currencyError) {
+      return res.status(400).json({
+        success: false,
+        message: currencyError.message
+      });
+    }
+
     const userExists = await User.findOne({ email: email.toLowerCase().trim() });
     if (userExists) {
       return res.status(400).json({ 
@@ -84,60 +120,23 @@ exports.register = async (req, res) => {
       });
     }
 
-    let profileImageUrl = null;
-    let cloudinaryStatus = 'not_attempted';
-
-    const cloudinaryConfigured = process.env.CLOUDINARY_CLOUD_NAME && 
-                                process.env.CLOUDINARY_API_KEY && 
-                                process.env.CLOUDINARY_API_SECRET;
-
-  
-
-    if (req.files && req.files.profileImage && cloudinaryConfigured) {
-      const file = req.files.profileImage;
-      
-      if (!file.mimetype.startsWith('image/')) {
-        return res.status(400).json({ 
-          success: false,
-          message: 'Only image files are allowed (JPEG, PNG, GIF, etc.)' 
-        });
-      }
-      
-      if (file.size > 5 * 1024 * 1024) {
-        return res.status(400).json({ 
-          success: false,
-          message: 'File size must be less than 5MB' 
-        });
-      }
+    let profileImageFile = null;
+    let imageStatus = 'no_file';
 
-      if (!file.data || file.data.length === 0) {
-        return res.status(400).json({ 
-          success: false,
-          message: 'File data is empty or corrupted' 
-        });
-      }
-      
+    if (req.files && req.files.profileImage) {
       try {
-        const { cloudinary } = require('../config/realCloudinary');
-        await cloudinary.api.ping();
-
-        const uploadResult = await uploadToCloudinary(file.data);
-        profileImageUrl = uploadResult.secure_url;
-        cloudinaryStatus = 'success';
-        
+        profileImageFile = await uploadFile(req.files.profileImage, 'profileImage');
+        imageStatus = 'success';
       } catch (uploadError) {
-        cloudinaryStatus = 'failed';
-    
-        if (uploadError.message.includes('ENOTFOUND') || uploadError.message.includes('getaddrinfo')) {
-          // console.log(' Network issue: Cannot reach Cloudinary servers');
-        } else if (uploadError.http_code === 401) {
-          // console.log(' Cloudinary authentication failed ');
+        // A bad file is the client's problem; a storage outage shouldn't block sign-up
+        if (uploadError.statusCode === 400) {
+          return res.status(400).json({ 
+            success: false,
+            message: uploadError.message 
+          });
         }
+        imageStatus = 'failed';
       }
-    } else if (req.files && req.files.profileImage && !cloudinaryConfigured) {
-      cloudinaryStatus = 'skipped_no_config';
-    } else {
-      cloudinaryStatus = 'no_file';
     }
 
     const user = await User.create({
@@ -145,16 +144,17 @@ exports.register = async (req, res) => {
       lastName: lastName.trim(),
       email: email.toLowerCase().trim(),
       password,
-      profileImage: profileImageUrl
+      baseCurrency: normalizedBaseCurrency,
+      ...profileImageFields(profileImageFile)
     });
+    await ensureUserCategories(user._id);
+    queueMail(sendVerificationEmail(user));
 
     let successMessage = 'User registered successfully';
-    if (cloudinaryStatus === 'success') {
+    if (imageStatus === 'success') {
       successMessage = 'User registered successfully with profile image';
-    } else if (cloudinaryStatus === 'failed') {
+    } else if (imageStatus === 'failed') {
       successMessage = 'User registered successfully (image upload skipped due to technical issues)';
-    } else if (cloudinaryStatus === 'skipped_no_config') {
-      successMessage = 'User registered successfully (image upload skipped - Cloudinary not configured)';
     }
 
     res.status(201).json({
@@ -165,14 +165,16 @@ exports.register = async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
-        profileImage: user.profileImage,
-        token: generateToken(user._id),
+        emailVerified: user.emailVerified,
+        profileImage: await resolveProfileImage(user),
+        baseCurrency: user.baseCurrency,
+        ...(await issueSession(user, req)),
       },
       uploadStatus: {
-        attempted: cloudinaryStatus !== 'not_attempted' && cloudinaryStatus !== 'no_file',
-        success: cloudinaryStatus === 'success',
-        status: cloudinaryStatus,
-        message: cloudinaryStatus === 'failed' ? 'Image upload failed but registration completed' : undefined
+        attempted: imageStatus !== 'no_file',
+        success: imageStatus === 'success',
+        status: imageStatus,
+        message: imageStatus === 'failed' ? 'Image upload failed but registration completed' : undefined
       }
     });
 
@@ -216,20 +218,30 @@ exports.login = async (req, res) => {
     const user = await User.findOne({ email: email.toLowerCase().trim() });
 
     if (user && (await user.matchPassword(password))) {
-      const incomeCount = await Income.countDocuments({ user: user._id });
-      
+      if (user.status === 'suspended') {
+        return res.status(403).json({
+          success: false,
+          message: 'Account suspended. Please contact support.'
+        });
+      }
+
+      // With 2FA on, the password only earns a challenge for the second step
+      if (user.twoFactor && user.twoFactor.enabled) {
+        await User.updateOne({ _id: user._id }, { 'twoFactor.failedAttempts': 0 });
+        return res.json({
+          success: true,
+          message: 'Enter the code from your authenticator app',
+          data: {
+            twoFactorRequired: true,
+            ...createChallengeToken(user)
+          }
+        });
+      }
+
       res.json({
         success: true,
         message: 'Login successful',
-        data: {
-          _id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          profileImage: user.profileImage,
-          token: generateToken(user._id),
-         
-        }
+        data: await signInData(user, req)
       });
     } else {
       res.status(401).json({ 
@@ -246,6 +258,306 @@ exports.login = async (req, res) => {
   }
 };
 
+// Second login step: the challenge from `login` plus an authenticator code
+// or one of the user's recovery codes
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'An authenticator code or a recovery code is required'
+      });
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge is invalid or has expired. Please log in again'
+      });
+    }
+
+    if (user.status === 'suspended') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account suspended. Please contact support.'
+      });
+    }
+
+    if (user.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many incorrect codes. Please log in again'
+      });
+    }
+
+    const accepted = recoveryCode
+      ? await consumeRecoveryCode(user, recoveryCode)
+      : await consumeTotpCode(user, user.twoFactor.secret, code);
+
+    if (!accepted) {
+      await User.updateOne({ _id: user._id }, { $inc: { 'twoFactor.failedAttempts': 1 } });
+      return res.status(401).json({
+        success: false,
+        message: recoveryCode ? 'Invalid or already used recovery code' : 'Invalid two-factor code'
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, { 'twoFactor.failedAttempts': 0 });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        ...(await signInData(user, req)),
+        recoveryCodesRemaining: recoveryCode ? remainingRecoveryCodes(user) - 1 : undefined
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error during login',
+      error: process.env.NODE_ENV === 'development' && !error.statusCode ? error.message : undefined
+    });
+  }
+};
+
+// Trades a refresh token for a new access token and a new refresh token
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await rotateRefreshToken(refreshToken)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+exports.logout = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Devices the user is signed in on; `current` marks the one asking
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Signs one device out; its refresh token and access tokens stop working
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id, session._id.equals(req.sessionId) ? 'logout' : 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Signs out every device except the one making the request
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user._id, { except: req.sessionId });
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} other session(s) revoked`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Answers the same whether or not the address has an account, so it can't
+// be used to find out who is registered
+exports.requestEmailVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (user && !user.emailVerified) {
+      queueMail(sendVerificationEmail(user));
+    }
+
+    res.json({
+      success: true,
+      message: 'If that address belongs to an unverified account, a verification link is on its way'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting email verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await consumeAccountToken('verifyEmail', req.body.token);
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error verifying email'
+    });
+  }
+};
+
+// Same response for unknown addresses, like requestEmailVerification
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (user) {
+      queueMail(sendPasswordResetEmail(user));
+    }
+
+    res.json({
+      success: true,
+      message: 'If that address has an account, a password reset link is on its way'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Sets a new password from an emailed link and signs out every device
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is required'
+      });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passwords do not match'
+      });
+    }
+
+    const user = await consumeAccountToken('resetPassword', token);
+    assertPasswordPolicy(password, { email: user.email });
+    user.password = password;
+    await user.save();
+    await revokeUserSessions(user._id, { reason: 'password_changed' });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error resetting password'
+    });
+  }
+};
+
 exports.updateProfile = async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
@@ -260,7 +572,8 @@ exports.updateProfile = async (req, res) => {
     if (req.body.firstName) user.firstName = req.body.firstName.trim();
     if (req.body.lastName) user.lastName = req.body.lastName.trim();
     
-    if (req.body.email && req.body.email !== user.email) {
+    let emailChanged = false;
+    if (req.body.email && req.body.email.toLowerCase().trim() !== user.email) {
       const emailExists = await User.findOne({ 
         email: req.body.email.toLowerCase().trim(),
         _id: { $ne: user._id }
@@ -273,51 +586,57 @@ exports.updateProfile = async (req, res) => {
         });
       }
       user.email = req.body.email.toLowerCase().trim();
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+      emailChanged = true;
     }
 
-    let imageUpdated = false;
-
-    if (req.files && req.files.profileImage) {
-      const file = req.files.profileImage;
-      
-  
-
-      if (!file.mimetype.startsWith('image/')) {
-        return res.status(400).json({ 
-          success: false,
-          message: 'Only image files are allowed' 
-        });
-      }
-      
-      if (file.size > 5 * 1024 * 1024) {
+    let previousBaseCurrency = null;
+    if (req.body.baseCurrency) {
+      let baseCurrency;
+      try {
+        baseCurrency = normalizeCurrency(req.body.baseCurrency);
+      } catch (currencyError) {
         return res.status(400).json({ 
           success: false,
-          message: 'File size must be less than 5MB' 
+          message: currencyError.message 
         });
       }
 
-      if (user.profileImage && user.profileImage.includes('cloudinary')) {
-        try {
-          await deleteFromCloudinary(user.profileImage);
-          // console.log(' Old profile image deleted from Cloudinary');
-        } catch (deleteError) {
-          // console.error(' Error deleting old image:', deleteError);
-        }
+      if (baseCurrency !== user.baseCurrency) {
+        previousBaseCurrency = user.baseCurrency;
+        user.baseCurrency = baseCurrency;
       }
+    }
+
+    let imageUpdated = false;
 
+    if (req.files && req.files.profileImage) {
+      let uploaded;
       try {
-        const uploadResult = await uploadToCloudinary(file.data);
-        user.profileImage = uploadResult.secure_url;
-        imageUpdated = true;
+        uploaded = await uploadFile(req.files.profileImage, 'profileImage');
       } catch (uploadError) {
         return res.status(400).json({ 
           success: false,
-          message: 'Error uploading image to cloud storage' 
+          message: uploadError.statusCode === 400 ? uploadError.message : 'Error uploading image to storage' 
         });
       }
+
+      await removeProfileImage(user);
+      user.set(profileImageFields(uploaded));
+      imageUpdated = true;
     }
 
     const updatedUser = await user.save();
+    if (emailChanged) {
+      queueMail(sendVerificationEmail(updatedUser));
+    }
+
+    // Existing records are re-valued in the new base currency
+    let currencyUpdate;
+    if (previousBaseCurrency) {
+      currencyUpdate = await recalculateBaseAmounts(updatedUser, previousBaseCurrency);
+    }
 
     res.json({
       success: true,
@@ -327,9 +646,11 @@ exports.updateProfile = async (req, res) => {
         firstName: updatedUser.firstName,
         lastName: updatedUser.lastName,
         email: updatedUser.email,
-        profileImage: updatedUser.profileImage,
-        token: generateToken(updatedUser._id),
-      }
+        emailVerified: updatedUser.emailVerified,
+        profileImage: await resolveProfileImage(updatedUser),
+        baseCurrency: updatedUser.baseCurrency,
+      },
+      currencyUpdate
     });
 
   } catch (error) {
@@ -341,6 +662,70 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+// Needs the current password; every other device is signed out afterwards
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password are required'
+      });
+    }
+
+    if (newPassword !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passwords do not match'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await user.matchPassword(currentPassword))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await user.matchPassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current one'
+      });
+    }
+
+    assertPasswordPolicy(newPassword, { email: user.email });
+
+    user.password = newPassword;
+    await user.save();
+    const revoked = await revokeUserSessions(user._id, { except: req.sessionId, reason: 'password_changed' });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        sessionsRevoked: revoked.modifiedCount
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error changing password',
+      error: process.env.NODE_ENV === 'development' && !error.statusCode ? error.message : undefined
+    });
+  }
+};
+
 exports.getProfile = async (req, res) => {
   try {
     
@@ -348,13 +733,13 @@ exports.getProfile = async (req, res) => {
     
     if (user) {
       const incomeStats = await Income.aggregate([
-        { $match: { user: user._id } },
+        { $match: { user: user._id, group: null } },
         {
           $group: {
             _id: null,
-            totalIncome: { $sum: '$amount' },
+            totalIncome: { $sum: BASE_AMOUNT },
             incomeCount: { $sum: 1 },
-            averageIncome: { $avg: '$amount' }
+            averageIncome: { $avg: BASE_AMOUNT }
           }
         }
       ]);
@@ -373,7 +758,10 @@ exports.getProfile = async (req, res) => {
           firstName: user.firstName,
           lastName: user.lastName,
           email: user.email,
-          profileImage: user.profileImage,
+          emailVerified: user.emailVerified,
+          twoFactorEnabled: user.twoFactor.enabled,
+          profileImage: await resolveProfileImage(user),
+          baseCurrency: user.baseCurrency,
           createdAt: user.createdAt,
           stats: {
             totalIncome: stats.totalIncome || 0,
@@ -409,22 +797,29 @@ exports.deleteAccount = async (req, res) => {
       });
     }
 
-    if (user.profileImage && user.profileImage.includes('cloudinary')) {
-      try {
-        await deleteFromCloudinary(user.profileImage);
-        // console.log(' Profile image deleted from Cloudinary');
-      } catch (deleteError) {
-        // console.error(' Error deleting profile image:', deleteError);
-      }
-    }
+    await removeProfileImage(user);
 
     try {
-      await Income.deleteMany({ user: user._id });
+      // Records in shared groups stay part of the group's history
+      await Income.deleteMany({ user: user._id, group: null });
       // console.log(' All user incomes deleted');
     } catch (incomeError) {
       // console.error(' Error deleting user incomes:', incomeError);
     }
 
+    try {
+      await removeExpenseAttachments(Expense, { user: user._id, group: null });
+      await Expense.deleteMany({ user: user._id, group: null });
+    } catch (expenseError) {
+      // console.error(' Error deleting user expenses:', expenseError);
+    }
+
+    await Goal.deleteMany({ user: user._id });
+    await Transfer.deleteMany({ user: user._id });
+    await Account.deleteMany({ user: user._id });
+    await Category.deleteMany({ user: user._id });
+    await Session.deleteMany({ user: user._id });
+    await leaveGroups(user);
     await User.findByIdAndDelete(req.user._id);
 
     res.json({
@@ -439,4 +834,82 @@ exports.deleteAccount = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+
+// Mail goes out in the background: a slow or failing mail server must not
+// hold up the response or reveal whether an address is registered
+function queueMail(delivery) {
+  delivery.catch(error => console.error('Error sending email:', error.message));
+}
+
+// What a successful login returns: the profile and a new session's tokens
+async function signInData(user, req) {
+  return {
+    _id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    profileImage: await resolveProfileImage(user),
+    baseCurrency: user.baseCurrency,
+    ...(await issueSession(user, req))
+  };
+}
+
+// User fields describing a stored profile image. Images are signed on every
+// read; only ones from before Cloudinary uploads went private carry a URL.
+function profileImageFields(file) {
+  return {
+    profileImage: file ? file.url || null : null,
+    profileImageKey: file ? file.key : null,
+    profileImageStorage: file ? file.storage : null
+  };
+}
+
+async function resolveProfileImage(user) {
+  if (!user.profileImageKey) return user.profileImage;
+  return getFileUrl({
+    storage: user.profileImageStorage,
+    key: user.profileImageKey,
+    url: user.profileImage
+  });
+}
+
+// Errors are swallowed: a leftover file must not block the profile change
+async function removeProfileImage(user) {
+  try {
+    if (user.profileImageKey) {
+      await deleteFile({ storage: user.profileImageStorage, key: user.profileImageKey });
+    } else if (user.profileImage && user.profileImage.includes('cloudinary')) {
+      // Images uploaded before storage keys were recorded
+      await deleteFromCloudinary(user.profileImage);
+    }
+  } catch (deleteError) {
+    console.error('Error deleting profile image:', deleteError.message);
+  }
+}
+
+// Takes a deleted user out of their groups. A group they were alone in goes
+// with them; otherwise the longest-standing member takes over as owner if
+// they were the last one.
+async function leaveGroups(user) {
+  const groups = await Group.find({ 'members.user': user._id });
+
+  for (const group of groups) {
+    const others = group.members.filter(member => !member.user.equals(user._id));
+
+    if (others.length === 0) {
+      await Income.deleteMany({ group: group._id });
+      await removeExpenseAttachments(Expense, { group: group._id });
+      await Expense.deleteMany({ group: group._id });
+      await Group.findByIdAndDelete(group._id);
+      continue;
+    }
+
+    if (!others.some(member => member.role === 'owner')) {
+      [...others].sort((a, b) => a.joinedAt - b.joinedAt)[0].role = 'owner';
+    }
+    group.members = others;
+    await group.save();
+  }
+}
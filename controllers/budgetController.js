@@ -0,0 +1,225 @@
+const Budget = require('../models/Budget');
+const Expense = require('../models/Expense');
+const { getPeriodRange, getPreviousPeriodRange } = require('../utils/dateRange');
+const { BASE_AMOUNT, DEFAULT_CURRENCY } = require('../utils/currency');
+const { getUserCategories, resolveCategoryName, withSubcategoryNames } = require('../utils/categories');
+const { SPLIT_LINE_STAGES } = require('../utils/splits');
+
+// @desc    Get all budgets for the user
+// @route   GET /api/budgets
+// @access  Private
+exports.getBudgets = async (req, res) => {
+  try {
+    const budgets = await Budget.find({ user: req.user._id }).sort({ category: 1 });
+    res.json({
+      success: true,
+      data: budgets
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Get a single budget
+// @route   GET /api/budgets/:id
+// @access  Private
+exports.getBudget = async (req, res) => {
+  try {
+    const budget = await Budget.findById(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({ success: false, message: 'Budget not found' });
+    }
+
+    if (budget.user.toString() !== req.user._id.toString()) {
+      return res.status(401).json({ success: false, message: 'Not authorized' });
+    }
+
+    res.json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Create a budget
+// @route   POST /api/budgets
+// @access  Private
+exports.createBudget = async (req, res) => {
+  try {
+    const { category, period, limit, rollover } = req.body;
+
+    const budget = await Budget.create({
+      user: req.user._id,
+      category: await resolveCategoryName(req.user._id, 'expense', category),
+      period,
+      limit,
+      rollover
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created successfully',
+      data: budget
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A budget already exists for this category and period'
+      });
+    }
+
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Update a budget
+// @route   PUT /api/budgets/:id
+// @access  Private
+exports.updateBudget = async (req, res) => {
+  try {
+    const { category, period, limit, rollover } = req.body;
+
+    const budget = await Budget.findById(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({ success: false, message: 'Budget not found' });
+    }
+
+    if (budget.user.toString() !== req.user._id.toString()) {
+      return res.status(401).json({ success: false, message: 'Not authorized' });
+    }
+
+    budget.category = category ? await resolveCategoryName(req.user._id, 'expense', category) : budget.category;
+    budget.period = period || budget.period;
+    budget.limit = limit !== undefined ? limit : budget.limit;
+    budget.rollover = rollover !== undefined ? rollover : budget.rollover;
+
+    const updatedBudget = await budget.save();
+
+    res.json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: updatedBudget
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A budget already exists for this category and period'
+      });
+    }
+
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Delete a budget
+// @route   DELETE /api/budgets/:id
+// @access  Private
+exports.deleteBudget = async (req, res) => {
+  try {
+    const budget = await Budget.findById(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({ success: false, message: 'Budget not found' });
+    }
+
+    if (budget.user.toString() !== req.user._id.toString()) {
+      return res.status(401).json({ success: false, message: 'Not authorized' });
+    }
+
+    await Budget.findByIdAndDelete(req.params.id);
+    res.json({ success: true, message: 'Budget removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Spent vs. limit for every budget in its current period
+// @route   GET /api/budgets/status
+// @access  Private
+exports.getBudgetStatus = async (req, res) => {
+  try {
+    const budgets = await Budget.find({ user: req.user._id }).sort({ category: 1 });
+    const status = await calculateBudgetStatus(req.user._id, budgets);
+
+    const totalLimit = status.reduce((sum, item) => sum + item.limit, 0);
+    const totalSpent = status.reduce((sum, item) => sum + item.spent, 0);
+
+    res.json({
+      success: true,
+      data: status,
+      overall: {
+        currency: req.user.baseCurrency || DEFAULT_CURRENCY,
+        totalLimit,
+        totalSpent,
+        remaining: totalLimit - totalSpent,
+        overBudgetCount: status.filter(item => item.isOverBudget).length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+async function calculateBudgetStatus(userId, budgets, date = new Date()) {
+  // A budget on a parent category also covers spending in its subcategories
+  const categories = await getUserCategories(userId, 'expense', { includeArchived: true });
+
+  return Promise.all(budgets.map(async (budget) => {
+    const { start, end } = getPeriodRange(budget.period, date);
+    const names = withSubcategoryNames(categories, budget.category);
+    const spent = await sumCategorySpending(userId, names, start, end);
+
+    let carriedOver = 0;
+    if (budget.rollover) {
+      const previous = getPreviousPeriodRange(budget.period, date);
+      // Only roll over periods the budget actually existed for
+      if (budget.createdAt <= previous.end) {
+        const previousSpent = await sumCategorySpending(userId, names, previous.start, previous.end);
+        carriedOver = Math.max(budget.limit - previousSpent, 0);
+      }
+    }
+
+    const effectiveLimit = budget.limit + carriedOver;
+    const remaining = effectiveLimit - spent;
+
+    return {
+      budgetId: budget._id,
+      category: budget.category,
+      period: budget.period,
+      periodStart: start,
+      periodEnd: end,
+      limit: budget.limit,
+      carriedOver,
+      effectiveLimit,
+      spent,
+      remaining,
+      percentageUsed: effectiveLimit > 0 ? ((spent / effectiveLimit) * 100).toFixed(1) : '0.0',
+      isOverBudget: spent > effectiveLimit
+    };
+  }));
+}
+
+// Only the matching lines of a split expense count towards the budget
+async function sumCategorySpending(userId, categoryNames, start, end) {
+  const result = await Expense.aggregate([
+    {
+      $match: {
+        user: userId,
+        group: null,
+        $or: [{ category: { $in: categoryNames } }, { 'splits.category': { $in: categoryNames } }],
+        date: { $gte: start, $lte: end }
+      }
+    },
+    ...SPLIT_LINE_STAGES,
+    { $match: { category: { $in: categoryNames } } },
+    { $group: { _id: null, total: { $sum: BASE_AMOUNT } } }
+  ]);
+
+  return result.length > 0 ? result[0].total : 0;
+}
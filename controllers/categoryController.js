@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const {
+  CATEGORY_TYPES,
+  ensureUserCategories,
+  getUserCategories,
+  resolveCategoryName,
+  countCategoryUsage,
+  reassignCategory
+} = require('../utils/categories');
+const { badRequest } = require('../utils/httpError');
+
+// @desc    Get the user's categories, seeding the defaults on first use
+// @route   GET /api/categories?type=income|expense&includeArchived=true
+// @access  Private
+exports.getCategories = async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !CATEGORY_TYPES.includes(type)) {
+      throw badRequest(`type must be one of: ${CATEGORY_TYPES.join(', ')}`);
+    }
+
+    const categories = await getUserCategories(req.user._id, type, {
+      includeArchived: req.query.includeArchived === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: categories
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Create a category or, with `parent`, a subcategory
+// @route   POST /api/categories
+// @access  Private
+exports.createCategory = async (req, res) => {
+  try {
+    const { type, name, icon, color, parent, keywords } = req.body;
+
+    // Seed first, otherwise this category would stop the defaults being added
+    await ensureUserCategories(req.user._id);
+
+    const category = await Category.create({
+      user: req.user._id,
+      type,
+      name,
+      icon,
+      color,
+      parent: CATEGORY_TYPES.includes(type) ? await resolveParent(req.user._id, type, parent) : null,
+      keywords
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'You already have a category with this name' });
+    }
+
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Update a category; renaming moves its records to the new name
+// @route   PUT /api/categories/:id
+// @access  Private
+exports.updateCategory = async (req, res) => {
+  try {
+    const { type, name, icon, color, parent, keywords, archived } = req.body;
+
+    const category = await findOwnedCategory(req, res);
+    if (!category) return;
+
+    if (type && type !== category.type) {
+      throw badRequest('The type of a category cannot be changed');
+    }
+    if (parent !== undefined) {
+      const parentId = await resolveParent(req.user._id, category.type, parent, category);
+      if (parentId && await Category.exists({ parent: category._id })) {
+        throw badRequest(`"${category.name}" has subcategories, so it can't become a subcategory itself`);
+      }
+      category.parent = parentId;
+    }
+
+    const previousName = category.name;
+    category.name = name || category.name;
+    category.icon = icon !== undefined ? icon : category.icon;
+    category.color = color || category.color;
+    category.keywords = keywords !== undefined ? keywords : category.keywords;
+    category.archived = archived !== undefined ? archived : category.archived;
+
+    const updatedCategory = await category.save();
+
+    let reassigned = 0;
+    if (updatedCategory.name !== previousName) {
+      reassigned = await reassignCategory(req.user._id, category.type, previousName, updatedCategory.name);
+    }
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: updatedCategory,
+      reassigned
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'You already have a category with this name' });
+    }
+
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Delete a category; records using it must be moved with ?reassignTo=
+// @route   DELETE /api/categories/:id?reassignTo=<name>
+// @access  Private
+exports.deleteCategory = async (req, res) => {
+  try {
+    const category = await findOwnedCategory(req, res);
+    if (!category) return;
+
+    if (await Category.exists({ parent: category._id })) {
+      throw badRequest(`Delete or move the subcategories of "${category.name}" first`);
+    }
+
+    const usage = await countCategoryUsage(req.user._id, category.type, category.name);
+    let reassigned = 0;
+    if (usage > 0) {
+      if (!req.query.reassignTo) {
+        throw badRequest(
+          `"${category.name}" is used by ${usage} record(s). Pass reassignTo to move them to another category, or archive it instead`
+        );
+      }
+
+      const target = await resolveCategoryName(req.user._id, category.type, req.query.reassignTo);
+      if (target === category.name) {
+        throw badRequest('reassignTo must be a different category');
+      }
+      reassigned = await reassignCategory(req.user._id, category.type, category.name, target);
+    }
+
+    await Category.findByIdAndDelete(category._id);
+    res.json({ success: true, message: 'Category removed', reassigned });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+async function findOwnedCategory(req, res) {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    res.status(404).json({ success: false, message: 'Category not found' });
+    return null;
+  }
+
+  if (category.user.toString() !== req.user._id.toString()) {
+    res.status(401).json({ success: false, message: 'Not authorized' });
+    return null;
+  }
+
+  return category;
+}
+
+// Subcategories go one level deep and stay within their parent's type
+async function resolveParent(userId, type, parentId, category) {
+  if (!parentId) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    throw badRequest('Invalid parent category id');
+  }
+  if (category && category._id.equals(parentId)) {
+    throw badRequest('A category cannot be its own parent');
+  }
+
+  const parent = await Category.findOne({ _id: parentId, user: userId });
+  if (!parent) {
+    throw badRequest('Parent category not found');
+  }
+  if (parent.type !== type) {
+    throw badRequest(`A ${type} category cannot sit under the ${parent.type} category "${parent.name}"`);
+  }
+  if (parent.parent) {
+    throw badRequest(`"${parent.name}" is already a subcategory; pick a top-level category as the parent`);
+  }
+
+  return parent._id;
+}
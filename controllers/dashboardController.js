@@ -1,78 +1,83 @@
-const axios = require('axios');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const Account = require('../models/Account');
+const User = require('../models/User');
 const moment = require('moment');
+const { renderStatementPdf } = require('../utils/statementPdf');
+const { resolveDateWindow } = require('../utils/dateRange');
+const { calculateAccountBalances } = require('../utils/accounts');
+const { getUserCategories } = require('../utils/categories');
+const { SPLIT_LINE_STAGES, expandSplits } = require('../utils/splits');
+const { transactionScope, ledgerCurrency } = require('../utils/groups');
+const { BASE_AMOUNT, DEFAULT_CURRENCY, findExchangeRate, roundAmount } = require('../utils/currency');
 
-// @desc    Get comprehensive dashboard data by fetching from income/expense APIs
-// @route   GET /api/dashboard
+// Trend bucket sizes: moment key format, matching $dateToString format and label
+const TREND_GRANULARITIES = {
+  day: { unit: 'day', key: 'YYYY-MM-DD', mongoFormat: '%Y-%m-%d', label: 'MMM DD' },
+  week: { unit: 'isoWeek', key: 'GGGG-[W]WW', mongoFormat: '%G-W%V', label: '[Week of] MMM DD' },
+  month: { unit: 'month', key: 'YYYY-MM', mongoFormat: '%Y-%m', label: 'MMM YYYY' }
+};
+
+// @desc    Get comprehensive dashboard data for the user's incomes and expenses,
+//          or for a shared group's when one is selected (X-Group-Id or ?group=)
+// @route   GET /api/dashboard?period=week|month|quarter|year|custom&from=&to=&group=
 // @access  Private
 exports.getDashboardData = async (req, res) => {
   try {
     const userId = req.user._id;
-    const baseURL = `${req.protocol}://${req.get('host')}`;
-    
-    // Fetch data from income and expense APIs
-    const [incomesResponse, expensesResponse] = await Promise.all([
-      axios.get(`${baseURL}/api/incomes`, {
-        headers: { Authorization: req.headers.authorization }
-      }),
-      axios.get(`${baseURL}/api/expenses`, {
-        headers: { Authorization: req.headers.authorization }
-      })
-    ]);
+    const scope = transactionScope(req);
+    const window = resolveDateWindow(req.query);
+    const granularity = getTrendGranularity(window.start, window.end);
 
-    const incomes = incomesResponse.data || [];
-    const expenses = expensesResponse.data || [];
+    // Accounts are personal, so a group view shows its members instead
+    const [incomeStats, expenseStats, accounts, group, incomeCategories, expenseCategories] = await Promise.all([
+      aggregateTransactionStats(Income, scope, window, granularity),
+      aggregateTransactionStats(Expense, scope, window, granularity),
+      req.group ? null : summarizeAccounts(req.user, window),
+      req.group ? summarizeGroup(req.group, req.groupRole, window) : null,
+      getUserCategories(userId, 'income', { includeArchived: true }),
+      getUserCategories(userId, 'expense', { includeArchived: true })
+    ]);
 
-    // Calculate summary data
-    const totalIncome = incomes.reduce((sum, income) => sum + income.amount, 0);
-    const totalExpense = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+    // All-time balance
+    const totalIncome = incomeStats.allTimeTotal;
+    const totalExpense = expenseStats.allTimeTotal;
     const balance = totalIncome - totalExpense;
 
-    // Current month calculations
-    const currentMonthStart = moment().startOf('month');
-    const currentMonthEnd = moment().endOf('month');
-    
-    const currentMonthIncome = incomes
-      .filter(income => moment(income.date).isBetween(currentMonthStart, currentMonthEnd))
-      .reduce((sum, income) => sum + income.amount, 0);
-
-    const currentMonthExpense = expenses
-      .filter(expense => moment(expense.date).isBetween(currentMonthStart, currentMonthEnd))
-      .reduce((sum, expense) => sum + expense.amount, 0);
-
-    const currentMonthSavings = currentMonthIncome - currentMonthExpense;
+    // Selected period calculations
+    const periodIncome = incomeStats.total;
+    const periodExpense = expenseStats.total;
+    const periodSavings = periodIncome - periodExpense;
 
     // Calculate category-wise data
-    const incomeByCategory = calculateCategoryData(incomes, 'income');
-    const expenseByCategory = calculateCategoryData(expenses, 'expense');
+    const incomeByCategory = calculateCategoryData(incomeStats, incomeCategories);
+    const expenseByCategory = calculateCategoryData(expenseStats, expenseCategories);
+
+    // Trend buckets across the selected period
+    const trend = calculateTrend(incomeStats, expenseStats, window, granularity);
 
     // Monthly trend data (last 6 months)
-    const monthlyTrend = calculateMonthlyTrend(incomes, expenses);
-
-    // Recent transactions (last 5 of each)
-    const recentIncomes = incomes
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, 5)
-      .map(income => ({
-        ...income,
-        type: 'income',
-        date: moment(income.date).format('YYYY-MM-DD')
-      }));
-
-    const recentExpenses = expenses
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, 5)
-      .map(expense => ({
-        ...expense,
-        type: 'expense',
-        date: moment(expense.date).format('YYYY-MM-DD')
-      }));
+    const monthlyTrend = calculateMonthlyTrend(incomeStats, expenseStats);
+
+    // Recent transactions (last 5 of each within the period)
+    const recentIncomes = incomeStats.recent.map(income => ({
+      ...income,
+      type: 'income',
+      date: moment(income.date).format('YYYY-MM-DD')
+    }));
+
+    const recentExpenses = expenseStats.recent.map(expense => ({
+      ...expense,
+      type: 'expense',
+      date: moment(expense.date).format('YYYY-MM-DD')
+    }));
 
     // Top categories
     const topIncomeCategories = incomeByCategory.slice(0, 3);
     const topExpenseCategories = expenseByCategory.slice(0, 3);
 
     // Calculate insights
-    const insights = calculateInsights(incomes, expenses, currentMonthIncome, currentMonthExpense);
+    const insights = calculateInsights(incomeStats, expenseStats, periodIncome, periodExpense);
 
     // Prepare dashboard response
     const dashboardData = {
@@ -80,44 +85,61 @@ exports.getDashboardData = async (req, res) => {
         totalIncome,
         totalExpense,
         balance,
-        currentPeriodIncome: currentMonthIncome,
-        currentPeriodExpense: currentMonthExpense,
-        currentPeriodSavings: currentMonthSavings,
+        currentPeriodIncome: periodIncome,
+        currentPeriodExpense: periodExpense,
+        currentPeriodSavings: periodSavings,
         recordCount: {
-          incomes: incomes.length,
-          expenses: expenses.length
+          incomes: incomeStats.allTimeCount,
+          expenses: expenseStats.allTimeCount
         },
-        period: 'month'
+        periodRecordCount: {
+          incomes: incomeStats.count,
+          expenses: expenseStats.count
+        },
+        currency: ledgerCurrency(req),
+        period: window.period,
+        range: {
+          startDate: moment(window.start).format('YYYY-MM-DD'),
+          endDate: moment(window.end).format('YYYY-MM-DD')
+        }
       },
+      comparison: calculateComparison(incomeStats, expenseStats, window),
       charts: {
         incomeByCategory: incomeByCategory.map(item => ({
           ...item,
-          percentage: totalIncome > 0 ? ((item.total / totalIncome) * 100).toFixed(1) : '0.0'
+          percentage: periodIncome > 0 ? ((item.total / periodIncome) * 100).toFixed(1) : '0.0'
         })),
         expenseByCategory: expenseByCategory.map(item => ({
           ...item,
-          percentage: totalExpense > 0 ? ((item.total / totalExpense) * 100).toFixed(1) : '0.0'
+          percentage: periodExpense > 0 ? ((item.total / periodExpense) * 100).toFixed(1) : '0.0'
         })),
         monthlyTrend,
+        trend: {
+          granularity,
+          data: trend
+        },
         topCategories: {
           income: topIncomeCategories,
           expense: topExpenseCategories
-        }
+        },
+        byTag: calculateTagTotals(incomeStats, expenseStats)
       },
       recentTransactions: {
         incomes: recentIncomes,
         expenses: recentExpenses
       },
+      accounts,
+      ...(group ? { group } : {}),
       insights,
-      isEmpty: incomes.length === 0 && expenses.length === 0
+      isEmpty: incomeStats.allTimeCount === 0 && expenseStats.allTimeCount === 0
     };
 
     res.json(dashboardData);
   } catch (error) {
-    if (error.response && error.response.status === 404) {
-      return res.json(getEmptyDashboard());
+    if (error.statusCode === 400) {
+      return res.status(400).json({ message: error.message });
     }
-    
+
     res.status(500).json({ 
       message: 'Error fetching dashboard data',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -125,172 +147,586 @@ exports.getDashboardData = async (req, res) => {
   }
 };
 
-// Helper function to calculate category data
-function calculateCategoryData(transactions, type) {
-  const categoryMap = {};
-  
-  transactions.forEach(transaction => {
-    const category = transaction.category;
-    if (!categoryMap[category]) {
-      categoryMap[category] = {
-        category,
-        total: 0,
-        count: 0
+// Balance of each open account at the start of the window and now, in its
+// own currency, with the current balance also converted for the total
+async function summarizeAccounts(user, window) {
+  const baseCurrency = user.baseCurrency || DEFAULT_CURRENCY;
+  const accounts = await Account.find({ user: user._id, archived: false }).sort({ name: 1 });
+  if (accounts.length === 0) {
+    return { currency: baseCurrency, totalBalance: 0, items: [] };
+  }
+
+  const [current, atStart] = await Promise.all([
+    calculateAccountBalances(accounts),
+    calculateAccountBalances(accounts, new Date(window.start.getTime() - 1))
+  ]);
+
+  const items = await Promise.all(accounts.map(async (account) => {
+    const id = account._id.toString();
+    const rate = await findExchangeRate(user._id, account.currency, baseCurrency);
+    return {
+      _id: account._id,
+      name: account.name,
+      type: account.type,
+      currency: account.currency,
+      periodStartBalance: atStart.get(id),
+      balance: current.get(id),
+      periodChange: roundAmount(current.get(id) - atStart.get(id)),
+      // null when there is no rate to convert this account's currency
+      baseBalance: rate === null ? null : roundAmount(current.get(id) * rate),
+      lastReconciledAt: account.lastReconciledAt || null
+    };
+  }));
+
+  return {
+    currency: baseCurrency,
+    totalBalance: roundAmount(items.reduce((sum, item) => sum + (item.baseBalance || 0), 0)),
+    items
+  };
+}
+
+// The group, the caller's role and what each member recorded in the window
+async function summarizeGroup(group, role, window) {
+  const inWindow = { group: group._id, date: { $gte: window.start, $lte: window.end } };
+  const byMember = [{ $match: inWindow }, { $group: { _id: '$user', total: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } }];
+
+  const [users, incomes, expenses] = await Promise.all([
+    User.find({ _id: { $in: group.members.map(member => member.user) } }).select('firstName lastName email'),
+    Income.aggregate(byMember),
+    Expense.aggregate(byMember)
+  ]);
+  const totals = (rows, userId) => rows.find(row => row._id.toString() === userId.toString()) || { total: 0, count: 0 };
+
+  return {
+    _id: group._id,
+    name: group.name,
+    currency: group.currency,
+    role,
+    members: group.members.map(member => {
+      const user = users.find(candidate => candidate._id.equals(member.user));
+      const income = totals(incomes, member.user);
+      const expense = totals(expenses, member.user);
+      return {
+        user: member.user,
+        name: user ? [user.firstName, user.lastName].filter(Boolean).join(' ') : null,
+        email: user ? user.email : null,
+        role: member.role,
+        income: income.total,
+        expense: expense.total,
+        transactions: income.count + expense.count
       };
+    })
+  };
+}
+
+// Daily buckets up to a month, weekly up to roughly four months, monthly beyond
+function getTrendGranularity(start, end) {
+  const days = moment(end).diff(moment(start), 'days') + 1;
+  if (days <= 31) return 'day';
+  if (days <= 120) return 'week';
+  return 'month';
+}
+
+// Runs every dashboard calculation for one model in a single aggregation
+async function aggregateTransactionStats(Model, scope, window, granularity) {
+  // Group buckets in the server's timezone so they line up with moment()
+  const timezone = moment().format('Z');
+  const inWindow = { date: { $gte: window.start, $lte: window.end } };
+
+  const [result] = await Model.aggregate([
+    { $match: scope },
+    {
+      $facet: {
+        allTime: [
+          { $group: { _id: null, total: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } }
+        ],
+        beforePeriod: [
+          { $match: { date: { $lt: window.start } } },
+          { $group: { _id: null, total: { $sum: BASE_AMOUNT } } }
+        ],
+        period: [
+          { $match: inWindow },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: BASE_AMOUNT },
+              count: { $sum: 1 },
+              highest: { $max: BASE_AMOUNT },
+              lowest: { $min: BASE_AMOUNT },
+              average: { $avg: BASE_AMOUNT }
+            }
+          }
+        ],
+        previousPeriod: [
+          { $match: { date: { $gte: window.previousStart, $lte: window.previousEnd } } },
+          { $group: { _id: null, total: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } }
+        ],
+        // Each line of a split expense counts towards its own category
+        byCategory: [
+          { $match: inWindow },
+          ...SPLIT_LINE_STAGES,
+          { $group: { _id: '$category', total: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } },
+          { $sort: { total: -1 } }
+        ],
+        byTag: [
+          { $match: inWindow },
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', total: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } }
+        ],
+        // Last six calendar months whatever the period, for charts.monthlyTrend
+        monthly: [
+          { $match: { date: { $gte: moment().subtract(5, 'months').startOf('month').toDate() } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m', date: '$date', timezone } },
+              total: { $sum: BASE_AMOUNT }
+            }
+          }
+        ],
+        trend: [
+          { $match: inWindow },
+          {
+            $group: {
+              _id: {
+                $dateToString: {
+                  format: TREND_GRANULARITIES[granularity].mongoFormat,
+                  date: '$date',
+                  timezone
+                }
+              },
+              total: { $sum: BASE_AMOUNT }
+            }
+          }
+        ],
+        recent: [
+          { $match: inWindow },
+          { $sort: { date: -1 } },
+          { $limit: 5 }
+        ]
+      }
+    }
+  ]);
+
+  const allTime = result.allTime[0] || {};
+  const beforePeriod = result.beforePeriod[0] || {};
+  const period = result.period[0] || {};
+  const previousPeriod = result.previousPeriod[0] || {};
+
+  return {
+    allTimeTotal: allTime.total || 0,
+    allTimeCount: allTime.count || 0,
+    openingTotal: beforePeriod.total || 0,
+    total: period.total || 0,
+    count: period.count || 0,
+    highest: period.highest || 0,
+    lowest: period.lowest || 0,
+    average: roundAmount(period.average || 0),
+    previousTotal: previousPeriod.total || 0,
+    previousCount: previousPeriod.count || 0,
+    byCategory: result.byCategory,
+    byTag: result.byTag,
+    monthly: result.monthly,
+    trend: result.trend,
+    recent: result.recent
+  };
+}
+
+// Helper function to calculate category data; subcategory totals roll up
+// into their parent, which lists them under `subcategories`
+function calculateCategoryData(stats, categories) {
+  const byName = new Map(categories.map(category => [category.name, category]));
+  const byId = new Map(categories.map(category => [category._id.toString(), category]));
+  const describe = (name) => {
+    const category = byName.get(name);
+    return { category: name, icon: category ? category.icon : '', color: category ? category.color : null };
+  };
+
+  const groups = new Map();
+  stats.byCategory.forEach(item => {
+    const category = byName.get(item._id);
+    const parent = category && category.parent ? byId.get(category.parent.toString()) : null;
+    const groupName = parent ? parent.name : item._id;
+
+    if (!groups.has(groupName)) {
+      groups.set(groupName, { ...describe(groupName), total: 0, count: 0, subcategories: [] });
+    }
+    const group = groups.get(groupName);
+    group.total += item.total;
+    group.count += item.count;
+    if (parent) {
+      group.subcategories.push({ ...describe(item._id), total: item.total, count: item.count });
+    }
+  });
+
+  return [...groups.values()].sort((a, b) => b.total - a.total);
+}
+
+// Per-tag income and expense totals for the period, busiest tags first.
+// A transaction with several tags counts towards each of them.
+function calculateTagTotals(incomeStats, expenseStats) {
+  const tags = new Map();
+  const entry = (tag) => {
+    if (!tags.has(tag)) {
+      tags.set(tag, { tag, income: 0, expense: 0, net: 0, incomeCount: 0, expenseCount: 0 });
     }
-    categoryMap[category].total += transaction.amount;
-    categoryMap[category].count += 1;
+    return tags.get(tag);
+  };
+
+  incomeStats.byTag.forEach(item => {
+    const totals = entry(item._id);
+    totals.income = item.total;
+    totals.incomeCount = item.count;
+  });
+  expenseStats.byTag.forEach(item => {
+    const totals = entry(item._id);
+    totals.expense = item.total;
+    totals.expenseCount = item.count;
   });
 
-  return Object.values(categoryMap)
-    .sort((a, b) => b.total - a.total);
+  return [...tags.values()]
+    .map(totals => ({ ...totals, net: totals.income - totals.expense }))
+    .sort((a, b) => (b.income + b.expense) - (a.income + a.expense) || a.tag.localeCompare(b.tag));
 }
 
 // Helper function to calculate monthly trend
-function calculateMonthlyTrend(incomes, expenses) {
+function calculateMonthlyTrend(incomeStats, expenseStats) {
   const monthlyTrend = [];
-  
-  for (let i = 5; i >= 0; i--) {
-    const monthStart = moment().subtract(i, 'months').startOf('month');
-    const monthEnd = moment().subtract(i, 'months').endOf('month');
-    const monthName = moment().subtract(i, 'months').format('MMM YYYY');
+  const incomeByMonth = Object.fromEntries(incomeStats.monthly.map(item => [item._id, item.total]));
+  const expenseByMonth = Object.fromEntries(expenseStats.monthly.map(item => [item._id, item.total]));
 
-    const monthIncome = incomes
-      .filter(income => moment(income.date).isBetween(monthStart, monthEnd))
-      .reduce((sum, income) => sum + income.amount, 0);
+  for (let i = 5; i >= 0; i--) {
+    const month = moment().subtract(i, 'months');
+    const key = month.format('YYYY-MM');
 
-    const monthExpense = expenses
-      .filter(expense => moment(expense.date).isBetween(monthStart, monthEnd))
-      .reduce((sum, expense) => sum + expense.amount, 0);
+    const monthIncome = incomeByMonth[key] || 0;
+    const monthExpense = expenseByMonth[key] || 0;
 
     monthlyTrend.push({
-      month: monthName,
+      month: month.format('MMM YYYY'),
       income: monthIncome,
       expense: monthExpense,
       savings: monthIncome - monthExpense
     });
   }
-  
+
   return monthlyTrend;
 }
 
-// Helper function to calculate insights
-function calculateInsights(incomes, expenses, currentMonthIncome, currentMonthExpense) {
-  const highestIncome = incomes.length > 0 ? Math.max(...incomes.map(i => i.amount)) : 0;
-  const highestExpense = expenses.length > 0 ? Math.max(...expenses.map(e => e.amount)) : 0;
-  
-  const averageIncome = incomes.length > 0 ? (incomes.reduce((sum, i) => sum + i.amount, 0) / incomes.length) : 0;
-  const averageExpense = expenses.length > 0 ? (expenses.reduce((sum, e) => sum + e.amount, 0) / expenses.length) : 0;
+// Helper function to fill every trend bucket in the period, including empty ones
+function calculateTrend(incomeStats, expenseStats, window, granularity) {
+  const { unit, key, label } = TREND_GRANULARITIES[granularity];
+  const incomeByBucket = Object.fromEntries(incomeStats.trend.map(item => [item._id, item.total]));
+  const expenseByBucket = Object.fromEntries(expenseStats.trend.map(item => [item._id, item.total]));
+
+  const trend = [];
+  const cursor = moment(window.start).startOf(unit);
+  const end = moment(window.end);
+
+  while (!cursor.isAfter(end)) {
+    const bucketKey = cursor.format(key);
+    const income = incomeByBucket[bucketKey] || 0;
+    const expense = expenseByBucket[bucketKey] || 0;
+
+    trend.push({
+      label: cursor.format(label),
+      startDate: moment.max(cursor, moment(window.start)).format('YYYY-MM-DD'),
+      income,
+      expense,
+      savings: income - expense
+    });
+
+    cursor.add(1, unit === 'isoWeek' ? 'week' : unit);
+  }
   
-  const savingsRate = currentMonthIncome > 0 ? 
-    ((currentMonthIncome - currentMonthExpense) / currentMonthIncome * 100) : 0;
+  return trend;
+}
 
+// Helper function to describe the change between two values
+function compareValues(current, previous) {
   return {
-    highestIncome,
-    highestExpense,
-    averageIncome: averageIncome.toFixed(2),
-    averageExpense: averageExpense.toFixed(2),
-    savingsRate: savingsRate.toFixed(1),
-    totalTransactions: incomes.length + expenses.length
+    current,
+    previous,
+    change: current - previous,
+    changePercentage: previous !== 0 ? (((current - previous) / Math.abs(previous)) * 100).toFixed(1) : null
   };
 }
 
-// Helper function for empty dashboard
-function getEmptyDashboard() {
+// Helper function to compare the period with the previous equivalent one
+function calculateComparison(incomeStats, expenseStats, window) {
   return {
-    summary: {
-      totalIncome: 0,
-      totalExpense: 0,
-      balance: 0,
-      currentPeriodIncome: 0,
-      currentPeriodExpense: 0,
-      currentPeriodSavings: 0,
-      recordCount: {
-        incomes: 0,
-        expenses: 0
-      },
-      period: 'month'
-    },
-    charts: {
-      incomeByCategory: [],
-      expenseByCategory: [],
-      monthlyTrend: Array(6).fill().map((_, i) => {
-        const monthName = moment().subtract(5 - i, 'months').format('MMM YYYY');
-        return {
-          month: monthName,
-          income: 0,
-          expense: 0,
-          savings: 0
-        };
-      }),
-      topCategories: {
-        income: [],
-        expense: []
-      }
-    },
-    recentTransactions: {
-      incomes: [],
-      expenses: []
+    previousRange: {
+      startDate: moment(window.previousStart).format('YYYY-MM-DD'),
+      endDate: moment(window.previousEnd).format('YYYY-MM-DD')
     },
-    insights: {
-      highestIncome: 0,
-      highestExpense: 0,
-      averageIncome: "0.00",
-      averageExpense: "0.00",
-      savingsRate: "0.0",
-      totalTransactions: 0
-    },
-    isEmpty: true
+    income: compareValues(incomeStats.total, incomeStats.previousTotal),
+    expense: compareValues(expenseStats.total, expenseStats.previousTotal),
+    savings: compareValues(
+      incomeStats.total - expenseStats.total,
+      incomeStats.previousTotal - expenseStats.previousTotal
+    ),
+    transactions: compareValues(
+      incomeStats.count + expenseStats.count,
+      incomeStats.previousCount + expenseStats.previousCount
+    )
   };
 }
 
-// @desc    Get financial overview
-// @route   GET /api/dashboard/overview
+// Helper function to calculate insights
+function calculateInsights(incomeStats, expenseStats, periodIncome, periodExpense) {
+  const savingsRate = periodIncome > 0 ? 
+    ((periodIncome - periodExpense) / periodIncome * 100) : 0;
+
+  return {
+    highestIncome: incomeStats.highest,
+    highestExpense: expenseStats.highest,
+    averageIncome: roundAmount(incomeStats.average),
+    averageExpense: roundAmount(expenseStats.average),
+    savingsRate: savingsRate.toFixed(1),
+    totalTransactions: incomeStats.count + expenseStats.count
+  };
+}
+
+// @desc    Get financial overview: per-period statistics, net cash flow and
+//          previous-period, month-over-month and year-over-year deltas
+// @route   GET /api/dashboard/overview?period=week|month|quarter|year|custom&from=&to=
 // @access  Private
 exports.getFinancialOverview = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const baseURL = `${req.protocol}://${req.get('host')}`;
-    
-    const [incomesResponse, expensesResponse] = await Promise.all([
-      axios.get(`${baseURL}/api/incomes`, {
-        headers: { Authorization: req.headers.authorization }
-      }),
-      axios.get(`${baseURL}/api/expenses`, {
-        headers: { Authorization: req.headers.authorization }
-      })
+    const scope = transactionScope(req);
+    const window = resolveDateWindow(req.query);
+
+    const comparisonWindows = {
+      previousPeriod: { start: window.previousStart, end: window.previousEnd },
+      monthOverMonth: shiftWindow(window, 1, 'month'),
+      yearOverYear: shiftWindow(window, 1, 'year')
+    };
+
+    const [incomeStats, expenseStats] = await Promise.all([
+      aggregatePeriodStatistics(Income, scope, window, comparisonWindows),
+      aggregatePeriodStatistics(Expense, scope, window, comparisonWindows)
     ]);
 
-    const incomes = incomesResponse.data || [];
-    const expenses = expensesResponse.data || [];
+    const net = incomeStats.current.total - expenseStats.current.total;
 
-    const totalIncome = incomes.reduce((sum, income) => sum + income.amount, 0);
-    const totalExpense = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+    const comparisons = {};
+    Object.entries(comparisonWindows).forEach(([name, range]) => {
+      const previousIncome = incomeStats.comparisons[name];
+      const previousExpense = expenseStats.comparisons[name];
+
+      comparisons[name] = {
+        range: {
+          startDate: moment(range.start).format('YYYY-MM-DD'),
+          endDate: moment(range.end).format('YYYY-MM-DD')
+        },
+        income: compareValues(incomeStats.current.total, previousIncome),
+        expense: compareValues(expenseStats.current.total, previousExpense),
+        net: compareValues(net, previousIncome - previousExpense)
+      };
+    });
 
     const overview = {
-      income: {
-        total: totalIncome,
-        count: incomes.length,
-        average: incomes.length > 0 ? (totalIncome / incomes.length).toFixed(2) : 0,
-        max: incomes.length > 0 ? Math.max(...incomes.map(i => i.amount)) : 0,
-        min: incomes.length > 0 ? Math.min(...incomes.map(i => i.amount)) : 0
-      },
-      expense: {
-        total: totalExpense,
-        count: expenses.length,
-        average: expenses.length > 0 ? (totalExpense / expenses.length).toFixed(2) : 0,
-        max: expenses.length > 0 ? Math.max(...expenses.map(e => e.amount)) : 0,
-        min: expenses.length > 0 ? Math.min(...expenses.map(e => e.amount)) : 0
+      currency: ledgerCurrency(req),
+      income: incomeStats.current,
+      expense: expenseStats.current,
+      net,
+      netCashFlow: {
+        inflow: incomeStats.current.total,
+        outflow: expenseStats.current.total,
+        net,
+        savingsRate: incomeStats.current.total > 0
+          ? ((net / incomeStats.current.total) * 100).toFixed(1)
+          : '0.0'
       },
-      net: totalIncome - totalExpense,
+      comparisons,
       period: {
-        startDate: moment().startOf('month').format('YYYY-MM-DD'),
-        endDate: moment().endOf('month').format('YYYY-MM-DD')
+        name: window.period,
+        startDate: moment(window.start).format('YYYY-MM-DD'),
+        endDate: moment(window.end).format('YYYY-MM-DD')
       }
     };
 
     res.json(overview);
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+
     res.status(500).json({ message: 'Error fetching financial overview' });
   }
-};
\ No newline at end of file
+};
+
+// Moves a window back by a calendar amount, keeping month-end boundaries intact
+function shiftWindow(window, amount, unit) {
+  return {
+    start: moment(window.start).subtract(amount, unit).toDate(),
+    end: moment(window.end).subtract(amount, unit).endOf('day').toDate()
+  };
+}
+
+// Full statistics for the window plus totals for each comparison window
+async function aggregatePeriodStatistics(Model, scope, window, comparisonWindows) {
+  const facets = {
+    current: [
+      { $match: { date: { $gte: window.start, $lte: window.end } } },
+      { $addFields: { baseValue: BASE_AMOUNT } },
+      { $sort: { baseValue: 1 } },
+      {
+        $group: {
+          _id: null,
+          amounts: { $push: '$baseValue' },
+          total: { $sum: BASE_AMOUNT },
+          count: { $sum: 1 },
+          average: { $avg: BASE_AMOUNT },
+          max: { $max: BASE_AMOUNT },
+          min: { $min: BASE_AMOUNT },
+          standardDeviation: { $stdDevPop: BASE_AMOUNT }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          total: 1,
+          count: 1,
+          average: 1,
+          max: 1,
+          min: 1,
+          standardDeviation: 1,
+          // Amounts are sorted, so the median is the middle element (or the mean of the two middle ones)
+          median: {
+            $let: {
+              vars: { middle: { $toInt: { $floor: { $divide: ['$count', 2] } } } },
+              in: {
+                $cond: [
+                  { $eq: [{ $mod: ['$count', 2] }, 0] },
+                  {
+                    $avg: [
+                      { $arrayElemAt: ['$amounts', { $subtract: ['$$middle', 1] }] },
+                      { $arrayElemAt: ['$amounts', '$$middle'] }
+                    ]
+                  },
+                  { $arrayElemAt: ['$amounts', '$$middle'] }
+                ]
+              }
+            }
+          }
+        }
+      }
+    ]
+  };
+
+  Object.entries(comparisonWindows).forEach(([name, range]) => {
+    facets[name] = [
+      { $match: { date: { $gte: range.start, $lte: range.end } } },
+      { $group: { _id: null, total: { $sum: BASE_AMOUNT } } }
+    ];
+  });
+
+  const [result] = await Model.aggregate([
+    { $match: scope },
+    { $facet: facets }
+  ]);
+
+  const current = result.current[0];
+  const comparisons = {};
+  Object.keys(comparisonWindows).forEach(name => {
+    comparisons[name] = result[name][0] ? result[name][0].total : 0;
+  });
+
+  return {
+    current: current ? {
+      total: current.total,
+      count: current.count,
+      average: roundAmount(current.average),
+      median: current.median,
+      max: current.max,
+      min: current.min,
+      standardDeviation: Number(current.standardDeviation.toFixed(2))
+    } : {
+      total: 0,
+      count: 0,
+      average: 0,
+      median: 0,
+      max: 0,
+      min: 0,
+      standardDeviation: 0
+    },
+    comparisons
+  };
+}
+
+// @desc    Printable PDF statement for one calendar month
+// @route   GET /api/dashboard/statement?month=YYYY-MM
+// @access  Private
+exports.getMonthlyStatement = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const window = resolveDateWindow({ period: 'month', from: req.query.month });
+    const scope = transactionScope(req);
+    const inWindow = { ...scope, date: { $gte: window.start, $lte: window.end } };
+
+    const [incomeStats, expenseStats, incomes, expenses, incomeCategories, expenseCategories] = await Promise.all([
+      aggregateTransactionStats(Income, scope, window, 'day'),
+      aggregateTransactionStats(Expense, scope, window, 'day'),
+      Income.find(inWindow).sort({ date: 1 }).lean(),
+      Expense.find(inWindow).sort({ date: 1 }).lean(),
+      getUserCategories(userId, 'income', { includeArchived: true }),
+      getUserCategories(userId, 'expense', { includeArchived: true })
+    ]);
+
+    const openingBalance = incomeStats.openingTotal - expenseStats.openingTotal;
+    const net = incomeStats.total - expenseStats.total;
+
+    const statement = {
+      month: moment(window.start).format('MMMM YYYY'),
+      currency: ledgerCurrency(req),
+      account: {
+        name: req.group ? req.group.name : [req.user.firstName, req.user.lastName].filter(Boolean).join(' '),
+        email: req.user.email
+      },
+      range: {
+        startDate: moment(window.start).format('YYYY-MM-DD'),
+        endDate: moment(window.end).format('YYYY-MM-DD')
+      },
+      summary: {
+        openingBalance,
+        income: incomeStats.total,
+        expense: expenseStats.total,
+        net,
+        closingBalance: openingBalance + net
+      },
+      income: { categories: groupStatementCategories(incomeStats, incomes, incomeCategories) },
+      expense: { categories: groupStatementCategories(expenseStats, expenses, expenseCategories) },
+      insights: calculateInsights(incomeStats, expenseStats, incomeStats.total, expenseStats.total)
+    };
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename=statement-${moment(window.start).format('YYYY-MM')}.pdf`
+    );
+    renderStatementPdf(statement, res);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Error generating statement' });
+  }
+};
+
+// Category totals (largest first) with that category's transactions attached
+function groupStatementCategories(stats, transactions, categories) {
+  return calculateCategoryData(stats, categories).map(item => {
+    const names = [item.category, ...item.subcategories.map(subcategory => subcategory.category)];
+    return {
+      ...item,
+      percentage: stats.total > 0 ? ((item.total / stats.total) * 100).toFixed(1) : '0.0',
+      transactions: expandSplits(transactions)
+        .filter(transaction => names.includes(transaction.category))
+        .map(transaction => ({
+          ...transaction,
+          baseAmount: transaction.baseAmount ?? transaction.amount
+        }))
+    };
+  });
+}
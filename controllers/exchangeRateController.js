@@ -0,0 +1,202 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { parseDate } = require('../utils/dateRange');
+const { badRequest } = require('../utils/httpError');
+const { parseCsvWithHeader } = require('../utils/csv');
+const {
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  findExchangeRate,
+  recalculateBaseAmounts
+} = require('../utils/currency');
+
+const RATE_COLUMNS = ['date', 'from', 'to', 'rate'];
+
+// @desc    List the user's exchange rates
+// @route   GET /api/exchange-rates?from=&to=&currency=
+// @access  Private
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.from) filter.from = normalizeCurrency(req.query.from);
+    if (req.query.to) filter.to = normalizeCurrency(req.query.to);
+    if (req.query.currency) {
+      const currency = normalizeCurrency(req.query.currency);
+      filter.$or = [{ from: currency }, { to: currency }];
+    }
+
+    const rates = await ExchangeRate.find(filter).sort({ date: -1, from: 1, to: 1 });
+
+    res.json({
+      success: true,
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Add one rate, an array of rates, or a CSV file (date,from,to,rate)
+// @route   POST /api/exchange-rates
+// @access  Private
+exports.createExchangeRates = async (req, res) => {
+  try {
+    let entries;
+    let source = 'manual';
+
+    if (req.files && req.files.file) {
+      entries = parseRatesCsv(req.files.file.data.toString('utf8'));
+      source = 'upload';
+    } else {
+      entries = Array.isArray(req.body) ? req.body : [req.body];
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({ success: false, message: 'No exchange rates provided' });
+    }
+
+    const rates = entries.map((entry, index) => toRateDocument(req.user._id, entry, source, index));
+
+    // Re-submitting a rate for the same pair and day replaces it
+    await ExchangeRate.bulkWrite(rates.map(rate => ({
+      updateOne: {
+        filter: { user: rate.user, from: rate.from, to: rate.to, date: rate.date },
+        update: { $set: { rate: rate.rate, source: rate.source } },
+        upsert: true
+      }
+    })));
+
+    const saved = await ExchangeRate.find({
+      user: req.user._id,
+      $or: rates.map(({ from, to, date }) => ({ from, to, date }))
+    }).sort({ date: -1 });
+
+    res.status(201).json({
+      success: true,
+      message: `${saved.length} exchange rate(s) saved`,
+      count: saved.length,
+      data: saved
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Delete an exchange rate
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private
+exports.deleteExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findById(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({ success: false, message: 'Exchange rate not found' });
+    }
+
+    if (rate.user.toString() !== req.user._id.toString()) {
+      return res.status(401).json({ success: false, message: 'Not authorized' });
+    }
+
+    await ExchangeRate.findByIdAndDelete(req.params.id);
+    res.json({ success: true, message: 'Exchange rate removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Convert an amount using the user's rate table
+// @route   GET /api/exchange-rates/convert?amount=&from=&to=&date=
+// @access  Private
+exports.convertAmount = async (req, res) => {
+  try {
+    const amount = Number(req.query.amount);
+    if (!Number.isFinite(amount)) {
+      return res.status(400).json({ success: false, message: 'amount must be a number' });
+    }
+
+    const baseCurrency = req.user.baseCurrency || DEFAULT_CURRENCY;
+    const from = normalizeCurrency(req.query.from, baseCurrency);
+    const to = normalizeCurrency(req.query.to, baseCurrency);
+    const date = req.query.date ? parseDate(req.query.date, 'date') : new Date();
+
+    const rate = await findExchangeRate(req.user._id, from, to, date);
+    if (rate === null) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rate from ${from} to ${to} found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        amount,
+        from,
+        to,
+        date,
+        rate,
+        convertedAmount: Math.round(amount * rate * 100) / 100
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Recompute base-currency amounts for all records, e.g. after correcting rates
+// @route   POST /api/exchange-rates/recalculate
+// @access  Private
+exports.recalculateRates = async (req, res) => {
+  try {
+    const result = await recalculateBaseAmounts(req.user, req.user.baseCurrency);
+
+    res.json({
+      success: true,
+      message: `${result.updated} record(s) recalculated`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+function toRateDocument(userId, entry, source, index) {
+  const label = `Rate ${index + 1}`;
+  const from = normalizeCurrency(entry.from, null);
+  const to = normalizeCurrency(entry.to, null);
+  const rate = Number(entry.rate);
+
+  if (from === to) {
+    throw badRequest(`${label}: from and to must be different currencies`);
+  }
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw badRequest(`${label}: rate must be a positive number`);
+  }
+  if (!entry.date) {
+    throw badRequest(`${label}: date is required`);
+  }
+
+  return {
+    user: userId,
+    from,
+    to,
+    rate,
+    // Rates are daily, so store them at the start of the day
+    date: new Date(parseDate(entry.date, 'date').setHours(0, 0, 0, 0)),
+    source
+  };
+}
+
+function parseRatesCsv(content) {
+  const { headers, records } = parseCsvWithHeader(content);
+  const columns = headers.map(header => header.toLowerCase());
+  const missing = RATE_COLUMNS.filter(column => !columns.includes(column));
+  if (records.length > 0 && missing.length > 0) {
+    throw badRequest(`CSV is missing column(s): ${missing.join(', ')}`);
+  }
+
+  return records.map(record => RATE_COLUMNS.reduce((entry, column) => {
+    entry[column] = record[headers[columns.indexOf(column)]];
+    return entry;
+  }, {}));
+}
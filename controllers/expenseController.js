@@ -1,31 +1,56 @@
 const Expense = require('../models/Expense');
+const { listTransactions } = require('../utils/listQuery');
+const { streamTransactionExport } = require('../utils/transactionExport');
+const { removeExpenseAttachments } = require('../utils/attachmentStorage');
+const { convertToBase, formatMoney } = require('../utils/currency');
+const { resolveTransactionAccount } = require('../utils/accounts');
+const { resolveCategoryName } = require('../utils/categories');
+const { normalizeTags } = require('../utils/tags');
+const { assertGroupRole, transactionScope, conversionOwner, ledgerCurrency, getTransactionAccess } = require('../utils/groups');
+const { resolveSplits, primarySplitCategory } = require('../utils/splits');
 
 
 exports.getExpenses = async (req, res) => {
   try {
-    const expenses = await Expense.find({ user: req.user._id }).sort({ date: -1 });
-    res.json(expenses);
+    const result = await listTransactions(Expense, transactionScope(req), req.query);
+    res.json({
+      success: true,
+      ...result
+    });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 };
 
 exports.addExpense = async (req, res) => {
   try {
-    const { title, amount, category, description, date } = req.body;
+    const { title, amount, category, splits, description, tags, notes, date, currency, account } = req.body;
+    assertGroupRole(req);
+    const transactionDate = date || Date.now();
+    const splitLines = await resolveSplits(req.user._id, splits, amount);
+    const accountFields = await resolveTransactionAccount(req.user._id, account, currency);
+    const conversion = await convertToBase(conversionOwner(req.user, req.group), amount, accountFields.currency || currency, transactionDate);
 
     const expense = await Expense.create({
       user: req.user._id,
+      group: req.group ? req.group._id : null,
       title,
       amount,
-      category,
+      category: splitLines.length > 0 && !category
+        ? primarySplitCategory(splitLines)
+        : await resolveCategoryName(req.user._id, 'expense', category),
+      splits: splitLines,
       description,
-      date: date || Date.now()
+      tags: normalizeTags(tags),
+      notes,
+      date: transactionDate,
+      ...accountFields,
+      ...conversion
     });
 
     res.status(201).json(expense);
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res.status(error.statusCode || 400).json({ message: error.message });
   }
 };
 
@@ -37,10 +62,15 @@ exports.deleteExpense = async (req, res) => {
       return res.status(404).json({ message: 'Expense not found' });
     }
 
-    if (expense.user.toString() !== req.user._id.toString()) {
+    const access = await getTransactionAccess(req.user, expense);
+    if (!access.canRead) {
       return res.status(401).json({ message: 'Not authorized' });
     }
+    if (!access.canWrite) {
+      return res.status(403).json({ message: 'Viewers cannot change this group\'s transactions' });
+    }
 
+    await removeExpenseAttachments(Expense, { _id: expense._id });
     await Expense.findByIdAndDelete(req.params.id);
     res.json({ message: 'Expense removed' });
   } catch (error) {
@@ -48,26 +78,33 @@ exports.deleteExpense = async (req, res) => {
   }
 };
 
+exports.exportExpenses = (req, res) => streamTransactionExport(req, res, Expense, 'expenses');
+
 exports.downloadExpenses = async (req, res) => {
   try {
-    const expenses = await Expense.find({ user: req.user._id }).sort({ date: -1 });
+    const expenses = await Expense.find(transactionScope(req)).sort({ date: -1 });
+    const baseCurrency = ledgerCurrency(req);
     
     let textContent = 'EXPENSE TRACKER REPORT\n';
     textContent += '======================\n\n';
     
     expenses.forEach((expense, index) => {
       textContent += `${index + 1}. ${expense.title}\n`;
-      textContent += `   Amount: $${expense.amount}\n`;
+      textContent += `   Amount: ${formatMoney(expense.amount, expense.currency)}`;
+      if (expense.currency && expense.currency !== baseCurrency) {
+        textContent += ` (${formatMoney(expense.baseAmount, baseCurrency)})`;
+      }
+      textContent += '\n';
       textContent += `   Category: ${expense.category}\n`;
-      textContent += `   Date: ${new Date(expense.date).toLocaleDateString()}\n`;
+      textContent += `   Date: ${new Date(expense.date).toISOString().slice(0, 10)}\n`;
       if (expense.description) {
         textContent += `   Description: ${expense.description}\n`;
       }
       textContent += '\n';
     });
 
-    const totalAmount = expenses.reduce((sum, expense) => sum + expense.amount, 0);
-    textContent += `TOTAL EXPENSES: $${totalAmount}\n`;
+    const totalAmount = expenses.reduce((sum, expense) => sum + (expense.baseAmount ?? expense.amount), 0);
+    textContent += `TOTAL EXPENSES: ${formatMoney(totalAmount, baseCurrency)}\n`;
     textContent += `TOTAL RECORDS: ${expenses.length}\n`;
 
     res.setHeader('Content-Type', 'text/plain');
@@ -79,7 +116,7 @@ exports.downloadExpenses = async (req, res) => {
 };
 exports.updateExpense = async (req, res) => {
   try {
-    const { title, amount, category, description, date } = req.body;
+    const { title, amount, category, splits, description, tags, notes, date, currency, account } = req.body;
     
     const expense = await Expense.findById(req.params.id);
 
@@ -87,24 +124,51 @@ exports.updateExpense = async (req, res) => {
       return res.status(404).json({ message: 'Expense not found' });
     }
 
-    if (expense.user.toString() !== req.user._id.toString()) {
+    const access = await getTransactionAccess(req.user, expense);
+    if (!access.canRead) {
       return res.status(401).json({ message: 'Not authorized' });
     }
+    if (!access.canWrite) {
+      return res.status(403).json({ message: 'Viewers cannot change this group\'s transactions' });
+    }
 
     expense.title = title || expense.title;
-    expense.amount = amount || expense.amount;
-    expense.category = category || expense.category;
+    expense.amount = amount !== undefined ? amount : expense.amount;
+    expense.category = category ? await resolveCategoryName(req.user._id, 'expense', category) : expense.category;
+    // Existing lines are kept when only other fields change; the model checks they still add up
+    if (splits !== undefined) {
+      expense.splits = await resolveSplits(req.user._id, splits, expense.amount);
+      if (expense.splits.length > 0 && !category) expense.category = primarySplitCategory(expense.splits);
+    }
     expense.description = description !== undefined ? description : expense.description;
+    expense.tags = tags !== undefined ? normalizeTags(tags) : expense.tags;
+    expense.notes = notes !== undefined ? notes : expense.notes;
     expense.date = date || expense.date;
 
+    // Re-check the account when it changes, or when the currency moves away from it
+    if (account !== undefined || (currency && expense.account)) {
+      const accountId = account !== undefined ? account : expense.account;
+      Object.assign(expense, await resolveTransactionAccount(req.user._id, accountId, currency || expense.currency));
+    }
+
+    if (amount !== undefined || currency !== undefined || date !== undefined) {
+      Object.assign(expense, await convertToBase(conversionOwner(req.user, access.group), expense.amount, currency || expense.currency, expense.date));
+    }
+
     const updatedExpense = await expense.save();
 
     res.json({
       _id: updatedExpense._id,
       title: updatedExpense.title,
       amount: updatedExpense.amount,
+      currency: updatedExpense.currency,
+      baseAmount: updatedExpense.baseAmount,
+      account: updatedExpense.account,
       category: updatedExpense.category,
+      splits: updatedExpense.splits,
       description: updatedExpense.description,
+      tags: updatedExpense.tags,
+      notes: updatedExpense.notes,
       date: updatedExpense.date,
       createdAt: updatedExpense.createdAt,
       user: updatedExpense.user
@@ -122,7 +186,8 @@ exports.getExpense = async (req, res) => {
       return res.status(404).json({ message: 'Expense not found' });
     }
 
-    if (expense.user.toString() !== req.user._id.toString()) {
+    const access = await getTransactionAccess(req.user, expense);
+    if (!access.canRead) {
       return res.status(401).json({ message: 'Not authorized' });
     }
 
@@ -0,0 +1,31 @@
+const path = require('path');
+const { getStorage } = require('../utils/storage');
+const { mimeTypeForExtension } = require('../utils/fileType');
+
+// @desc    Serve a locally stored file from a signed, expiring URL
+// @route   GET /api/files/*
+// @access  Public (the URL signature is the credential)
+exports.serveFile = async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+    const storage = getStorage('local');
+
+    if (!storage.verifySignature(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This file link is invalid or has expired'
+      });
+    }
+
+    res.setHeader('Content-Type', mimeTypeForExtension(path.extname(key)));
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    storage.createReadStream(key)
+      .on('error', () => {
+        if (!res.headersSent) res.status(404).json({ success: false, message: 'File not found' });
+      })
+      .pipe(res);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
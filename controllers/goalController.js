@@ -0,0 +1,332 @@
+const moment = require('moment');
+const Goal = require('../models/Goal');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const { calculateFinancialMetrics } = require('./aiController');
+const { DEFAULT_CURRENCY, roundAmount, toBaseCurrency } = require('../utils/currency');
+const { badRequest } = require('../utils/httpError');
+
+// Projections use recent behaviour; older history says little about today
+const SAVINGS_HISTORY_MONTHS = 12;
+
+// @desc    Get all savings goals for the user
+// @route   GET /api/goals
+// @access  Private
+exports.getGoals = async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const goals = await Goal.find(filter).sort({ status: 1, deadline: 1, createdAt: 1 });
+    res.json({
+      success: true,
+      data: goals.map(serializeGoal)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Get a single goal with its contributions
+// @route   GET /api/goals/:id
+// @access  Private
+exports.getGoal = async (req, res) => {
+  try {
+    const goal = await findOwnedGoal(req, res);
+    if (!goal) return;
+
+    res.json({
+      success: true,
+      data: serializeGoal(goal)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Create a savings goal
+// @route   POST /api/goals
+// @access  Private
+exports.createGoal = async (req, res) => {
+  try {
+    const { name, targetAmount, deadline, autoAllocatePercent } = req.body;
+
+    await checkAllocationLimit(req.user._id, autoAllocatePercent);
+
+    const goal = await Goal.create({
+      user: req.user._id,
+      name,
+      targetAmount,
+      currency: req.user.baseCurrency || DEFAULT_CURRENCY,
+      deadline,
+      autoAllocatePercent
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Goal created successfully',
+      data: serializeGoal(goal)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Update a goal; pausing stops auto-allocation without losing progress
+// @route   PUT /api/goals/:id
+// @access  Private
+exports.updateGoal = async (req, res) => {
+  try {
+    const { name, targetAmount, deadline, autoAllocatePercent, status } = req.body;
+
+    const goal = await findOwnedGoal(req, res);
+    if (!goal) return;
+
+    if (status !== undefined && !['active', 'paused'].includes(status)) {
+      throw badRequest('Status can only be set to active or paused; goals complete when the target is reached');
+    }
+    // Resuming a paused goal puts its allocation back in play too
+    if (autoAllocatePercent !== undefined || status === 'active') {
+      await checkAllocationLimit(req.user._id, autoAllocatePercent ?? goal.autoAllocatePercent, goal._id);
+    }
+
+    goal.name = name || goal.name;
+    goal.targetAmount = targetAmount !== undefined ? targetAmount : goal.targetAmount;
+    goal.deadline = deadline !== undefined ? deadline || undefined : goal.deadline;
+    goal.autoAllocatePercent = autoAllocatePercent !== undefined ? autoAllocatePercent : goal.autoAllocatePercent;
+    if (status && goal.status !== 'completed') goal.status = status;
+    goal.refreshStatus();
+
+    const updatedGoal = await goal.save();
+
+    res.json({
+      success: true,
+      message: 'Goal updated successfully',
+      data: serializeGoal(updatedGoal)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Delete a goal and its contributions
+// @route   DELETE /api/goals/:id
+// @access  Private
+exports.deleteGoal = async (req, res) => {
+  try {
+    const goal = await findOwnedGoal(req, res);
+    if (!goal) return;
+
+    await Goal.findByIdAndDelete(req.params.id);
+    res.json({ success: true, message: 'Goal removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Add a manual contribution to a goal
+// @route   POST /api/goals/:id/contributions
+// @access  Private
+exports.addContribution = async (req, res) => {
+  try {
+    const { amount, date, note } = req.body;
+
+    const goal = await findOwnedGoal(req, res);
+    if (!goal) return;
+
+    goal.contributions.push({ amount, date, note, source: 'manual' });
+    goal.refreshStatus();
+    const updatedGoal = await goal.save();
+
+    res.status(201).json({
+      success: true,
+      message: updatedGoal.status === 'completed' ? 'Contribution added - goal reached!' : 'Contribution added',
+      data: serializeGoal(updatedGoal)
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Remove a contribution from a goal
+// @route   DELETE /api/goals/:id/contributions/:contributionId
+// @access  Private
+exports.deleteContribution = async (req, res) => {
+  try {
+    const goal = await findOwnedGoal(req, res);
+    if (!goal) return;
+
+    const contribution = goal.contributions.id(req.params.contributionId);
+    if (!contribution) {
+      return res.status(404).json({ success: false, message: 'Contribution not found' });
+    }
+
+    contribution.deleteOne();
+    goal.refreshStatus();
+    const updatedGoal = await goal.save();
+
+    res.json({
+      success: true,
+      message: 'Contribution removed',
+      data: serializeGoal(updatedGoal)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Progress and projected completion for every active goal
+// @route   GET /api/goals/progress
+// @access  Private
+exports.getGoalsProgress = async (req, res) => {
+  try {
+    const goals = await Goal.find({ user: req.user._id, status: { $ne: 'completed' } }).sort({ deadline: 1 });
+    const pace = await calculateSavingsPace(req.user);
+
+    res.json({
+      success: true,
+      data: goals.map(goal => buildGoalProgress(goal, pace)),
+      savingsPace: pace
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Progress and projected completion date for one goal
+// @route   GET /api/goals/:id/progress
+// @access  Private
+exports.getGoalProgress = async (req, res) => {
+  try {
+    const goal = await findOwnedGoal(req, res);
+    if (!goal) return;
+
+    const pace = await calculateSavingsPace(req.user);
+
+    res.json({
+      success: true,
+      data: buildGoalProgress(goal, pace),
+      savingsPace: pace
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+async function findOwnedGoal(req, res) {
+  const goal = await Goal.findById(req.params.id);
+
+  if (!goal) {
+    res.status(404).json({ success: false, message: 'Goal not found' });
+    return null;
+  }
+
+  if (goal.user.toString() !== req.user._id.toString()) {
+    res.status(401).json({ success: false, message: 'Not authorized' });
+    return null;
+  }
+
+  return goal;
+}
+
+function serializeGoal(goal) {
+  return {
+    ...goal.toObject(),
+    savedAmount: goal.savedAmount()
+  };
+}
+
+// Active goals can't claim more than the whole of each income between them
+async function checkAllocationLimit(userId, percent, excludeGoalId) {
+  if (!percent) return;
+
+  const filter = { user: userId, status: 'active', autoAllocatePercent: { $gt: 0 } };
+  if (excludeGoalId) filter._id = { $ne: excludeGoalId };
+
+  const goals = await Goal.find(filter).select('autoAllocatePercent');
+  const allocated = goals.reduce((sum, goal) => sum + goal.autoAllocatePercent, 0);
+
+  if (allocated + Number(percent) > 100) {
+    throw badRequest(`Other goals already auto-allocate ${allocated}% of each income; at most ${100 - allocated}% is left`);
+  }
+}
+
+/**
+ * Monthly saving pace from the savings rate calculateFinancialMetrics
+ * reports for the last SAVINGS_HISTORY_MONTHS months, averaged over the
+ * months the user actually has history for.
+ */
+async function calculateSavingsPace(user) {
+  const currency = user.baseCurrency || DEFAULT_CURRENCY;
+  const since = moment().subtract(SAVINGS_HISTORY_MONTHS, 'months').startOf('day').toDate();
+  const filter = { user: user._id, group: null, date: { $gte: since } };
+
+  const [incomes, expenses] = await Promise.all([
+    Income.find(filter).then(toBaseCurrency),
+    Expense.find(filter).then(toBaseCurrency)
+  ]);
+
+  const metrics = calculateFinancialMetrics(incomes, expenses, currency);
+  const dates = [...incomes, ...expenses].map(transaction => new Date(transaction.date).getTime());
+  const monthsOfHistory = dates.length > 0
+    ? Math.max(moment().diff(Math.min(...dates), 'months', true), 1)
+    : 0;
+
+  const monthlyIncome = monthsOfHistory > 0 ? metrics.totalIncome / monthsOfHistory : 0;
+
+  return {
+    currency,
+    savingsRate: roundAmount(metrics.savingsRate),
+    monthlyIncome: roundAmount(monthlyIncome),
+    monthlySavings: roundAmount(monthlyIncome * metrics.savingsRate / 100),
+    monthsOfHistory: roundAmount(monthsOfHistory)
+  };
+}
+
+function buildGoalProgress(goal, pace) {
+  const savedAmount = goal.savedAmount();
+  const remaining = Math.max(roundAmount(goal.targetAmount - savedAmount), 0);
+  const now = moment();
+
+  // Saving at the historical rate; auto-allocated goals fill at least that fast
+  const allocationMonthly = roundAmount(pace.monthlyIncome * goal.autoAllocatePercent / 100);
+  const monthlyPace = Math.max(pace.monthlySavings, allocationMonthly);
+
+  let projectedCompletionDate = null;
+  let monthsToGoal = null;
+  if (remaining === 0) {
+    projectedCompletionDate = goal.completedAt || now.toDate();
+    monthsToGoal = 0;
+  } else if (monthlyPace > 0 && goal.status === 'active') {
+    monthsToGoal = Math.round((remaining / monthlyPace) * 10) / 10;
+    projectedCompletionDate = now.clone().add(Math.ceil(remaining / monthlyPace * 30.44), 'days').toDate();
+  }
+
+  let deadline = null;
+  if (goal.deadline) {
+    const monthsLeft = moment(goal.deadline).diff(now, 'months', true);
+    deadline = {
+      date: goal.deadline,
+      monthsLeft: roundAmount(Math.max(monthsLeft, 0)),
+      requiredMonthly: monthsLeft > 0 ? roundAmount(remaining / monthsLeft) : remaining,
+      onTrack: projectedCompletionDate !== null && moment(projectedCompletionDate).isSameOrBefore(goal.deadline, 'day')
+    };
+  }
+
+  return {
+    goalId: goal._id,
+    name: goal.name,
+    status: goal.status,
+    currency: goal.currency,
+    targetAmount: goal.targetAmount,
+    savedAmount,
+    remaining,
+    percentComplete: (Math.min(savedAmount / goal.targetAmount, 1) * 100).toFixed(1),
+    autoAllocatePercent: goal.autoAllocatePercent,
+    allocationMonthly,
+    monthlyPace: roundAmount(monthlyPace),
+    monthsToGoal,
+    projectedCompletionDate,
+    deadline
+  };
+}
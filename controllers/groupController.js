@@ -0,0 +1,367 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const { normalizeCurrency } = require('../utils/currency');
+const { badRequest, httpError } = require('../utils/httpError');
+
+const MEMBER_FIELDS = 'firstName lastName email profileImage';
+
+// @desc    Groups the user belongs to, with their role in each
+// @route   GET /api/groups
+// @access  Private
+exports.getGroups = async (req, res) => {
+  try {
+    const groups = await Group.find({ 'members.user': req.user._id }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: groups.map(group => ({
+        _id: group._id,
+        name: group.name,
+        currency: group.currency,
+        role: group.roleOf(req.user._id),
+        memberCount: group.members.length,
+        createdAt: group.createdAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Create a group with the user as its owner
+// @route   POST /api/groups
+// @access  Private
+exports.createGroup = async (req, res) => {
+  try {
+    const { name, currency } = req.body;
+
+    const group = await Group.create({
+      name,
+      currency: normalizeCurrency(currency, req.user.baseCurrency),
+      members: [{ user: req.user._id, role: 'owner' }],
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      data: group
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Invitations waiting for the user's email address
+// @route   GET /api/groups/invitations
+// @access  Private
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const groups = await Group.find({ 'invitations.email': req.user.email.toLowerCase() })
+      .populate('invitations.invitedBy', 'firstName lastName');
+
+    res.json({
+      success: true,
+      data: groups.map(group => {
+        const invitation = findInvitation(group, req.user.email);
+        return {
+          groupId: group._id,
+          groupName: group.name,
+          role: invitation.role,
+          invitedBy: invitation.invitedBy,
+          createdAt: invitation.createdAt
+        };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Get a group with its members; owners also see pending invitations
+// @route   GET /api/groups/:id
+// @access  Private
+exports.getGroup = async (req, res) => {
+  try {
+    const group = await findMemberGroup(req, res);
+    if (!group) return;
+
+    await group.populate('members.user', MEMBER_FIELDS);
+    const role = group.roleOf(req.user._id);
+    const data = group.toObject();
+    if (role !== 'owner') delete data.invitations;
+
+    res.json({
+      success: true,
+      data: { ...data, role }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Rename a group or change its currency
+// @route   PUT /api/groups/:id
+// @access  Private (owner)
+exports.updateGroup = async (req, res) => {
+  try {
+    const { name, currency } = req.body;
+
+    const group = await findMemberGroup(req, res, ['owner']);
+    if (!group) return;
+
+    if (currency && normalizeCurrency(currency) !== group.currency && await hasTransactions(group)) {
+      throw badRequest('The currency of a group with transactions cannot be changed');
+    }
+
+    group.name = name || group.name;
+    group.currency = currency ? normalizeCurrency(currency) : group.currency;
+    const updatedGroup = await group.save();
+
+    res.json({
+      success: true,
+      message: 'Group updated successfully',
+      data: updatedGroup
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Delete a group that has no transactions
+// @route   DELETE /api/groups/:id
+// @access  Private (owner)
+exports.deleteGroup = async (req, res) => {
+  try {
+    const group = await findMemberGroup(req, res, ['owner']);
+    if (!group) return;
+
+    if (await hasTransactions(group)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This group has transactions. Delete them first so no member loses history unexpectedly'
+      });
+    }
+
+    await Group.findByIdAndDelete(group._id);
+    res.json({ success: true, message: 'Group removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Invite someone by email as an editor or viewer
+// @route   POST /api/groups/:id/invitations
+// @access  Private (owner)
+exports.inviteMember = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    const group = await findMemberGroup(req, res, ['owner']);
+    if (!group) return;
+
+    if (!email || !String(email).trim()) {
+      throw badRequest('Email is required');
+    }
+    const address = String(email).trim().toLowerCase();
+
+    await group.populate('members.user', 'email');
+    if (group.members.some(member => member.user && member.user.email === address)) {
+      throw badRequest(`${address} is already a member of this group`);
+    }
+    if (findInvitation(group, address)) {
+      throw badRequest(`${address} has already been invited`);
+    }
+
+    group.invitations.push({ email: address, role, invitedBy: req.user._id });
+    await group.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${address}`,
+      data: group.invitations[group.invitations.length - 1]
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Withdraw a pending invitation
+// @route   DELETE /api/groups/:id/invitations/:invitationId
+// @access  Private (owner)
+exports.cancelInvitation = async (req, res) => {
+  try {
+    const group = await findMemberGroup(req, res, ['owner']);
+    if (!group) return;
+
+    const invitation = group.invitations.id(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+
+    invitation.deleteOne();
+    await group.save();
+
+    res.json({ success: true, message: 'Invitation cancelled' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Accept an invitation sent to the user's email
+// @route   POST /api/groups/:id/accept
+// @access  Private
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const group = await findInvitedGroup(req, res);
+    if (!group) return;
+
+    const invitation = findInvitation(group, req.user.email);
+    if (!group.findMember(req.user._id)) {
+      group.members.push({ user: req.user._id, role: invitation.role });
+    }
+    invitation.deleteOne();
+    await group.save();
+
+    res.json({
+      success: true,
+      message: `You joined ${group.name}`,
+      data: { _id: group._id, name: group.name, currency: group.currency, role: group.roleOf(req.user._id) }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Decline an invitation sent to the user's email
+// @route   POST /api/groups/:id/decline
+// @access  Private
+exports.declineInvitation = async (req, res) => {
+  try {
+    const group = await findInvitedGroup(req, res);
+    if (!group) return;
+
+    findInvitation(group, req.user.email).deleteOne();
+    await group.save();
+
+    res.json({ success: true, message: 'Invitation declined' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/groups/:id/members/:userId
+// @access  Private (owner)
+exports.updateMember = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const group = await findMemberGroup(req, res, ['owner']);
+    if (!group) return;
+
+    const member = findTargetMember(group, req.params.userId);
+    if (!['owner', 'editor', 'viewer'].includes(role)) {
+      throw badRequest('role must be one of: owner, editor, viewer');
+    }
+    if (member.role === 'owner' && role !== 'owner') {
+      ensureAnotherOwner(group, member);
+    }
+
+    member.role = role;
+    await group.save();
+
+    res.json({
+      success: true,
+      message: 'Member updated',
+      data: member
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Remove a member; any member may remove themselves to leave
+// @route   DELETE /api/groups/:id/members/:userId
+// @access  Private (owner, or the member)
+exports.removeMember = async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user._id.toString();
+
+    const group = await findMemberGroup(req, res, leaving ? undefined : ['owner']);
+    if (!group) return;
+
+    const member = findTargetMember(group, req.params.userId);
+    if (member.role === 'owner') {
+      ensureAnotherOwner(group, member);
+    }
+
+    // Their transactions stay with the group so its history is unchanged
+    member.deleteOne();
+    await group.save();
+
+    res.json({ success: true, message: leaving ? `You left ${group.name}` : 'Member removed' });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// Non-members get a 404 so group ids can't be probed
+async function findMemberGroup(req, res, roles) {
+  const group = mongoose.Types.ObjectId.isValid(req.params.id) ? await Group.findById(req.params.id) : null;
+  const role = group ? group.roleOf(req.user._id) : null;
+
+  if (!role) {
+    res.status(404).json({ success: false, message: 'Group not found' });
+    return null;
+  }
+
+  if (roles && !roles.includes(role)) {
+    res.status(403).json({ success: false, message: `Only the group's ${roles.join(' or ')}s can do this` });
+    return null;
+  }
+
+  return group;
+}
+
+async function findInvitedGroup(req, res) {
+  const group = mongoose.Types.ObjectId.isValid(req.params.id) ? await Group.findById(req.params.id) : null;
+
+  if (!group || !findInvitation(group, req.user.email)) {
+    res.status(404).json({ success: false, message: 'Invitation not found' });
+    return null;
+  }
+
+  return group;
+}
+
+function findInvitation(group, email) {
+  const address = String(email || '').toLowerCase();
+  return group.invitations.find(invitation => invitation.email === address) || null;
+}
+
+function findTargetMember(group, userId) {
+  const member = mongoose.Types.ObjectId.isValid(userId) ? group.findMember(userId) : null;
+  if (!member) {
+    throw httpError(404, 'Member not found');
+  }
+  return member;
+}
+
+// A group always keeps at least one owner
+function ensureAnotherOwner(group, member) {
+  const owners = group.members.filter(candidate => candidate.role === 'owner' && candidate !== member);
+  if (owners.length === 0) {
+    throw badRequest('Make another member an owner first; a group needs at least one owner');
+  }
+}
+
+async function hasTransactions(group) {
+  const [income, expense] = await Promise.all([
+    Income.exists({ group: group._id }),
+    Expense.exists({ group: group._id })
+  ]);
+  return Boolean(income || expense);
+}
@@ -0,0 +1,257 @@
+const ImportBatch = require('../models/ImportBatch');
+const { toList } = require('../utils/listQuery');
+const { badRequest } = require('../utils/httpError');
+const {
+  parseJsonField,
+  parseCsvStatement,
+  prepareImportRows,
+  summarizeRows,
+  commitImport,
+  rollbackImport
+} = require('../utils/statementImport');
+const {
+  STATEMENT_FORMATS,
+  detectStatementFormat,
+  parseStatementFile
+} = require('../utils/statementParsers');
+
+const CSV_OPTION_FIELDS = ['mapping', 'dateFormat', 'signConvention', 'currency', 'delimiter'];
+const STATEMENT_OPTION_FIELDS = ['dateFormat', 'currency'];
+
+// Multipart form fields arrive as strings
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return value === true || value === 'true' || value === '1';
+};
+
+const getUploadedFile = (req) => {
+  const file = req.files && req.files.file;
+  if (!file) {
+    throw badRequest('Upload the statement in a form-data field named "file"');
+  }
+  return file;
+};
+
+const pickOptions = (body, fields) => fields.reduce((options, field) => {
+  if (body[field] !== undefined && body[field] !== '') {
+    options[field] = field === 'mapping' ? parseJsonField(body[field], 'mapping') : body[field];
+  }
+  return options;
+}, {});
+
+const commitOptions = (body) => ({
+  skipDuplicates: parseBoolean(body.skipDuplicates, true),
+  exclude: toList(body.exclude),
+  categories: parseJsonField(body.categories, 'categories')
+});
+
+// Another upload of the same statement can win the race for an externalId
+const handleCommitError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Some of these transactions were imported in the meantime. Preview the file again'
+    });
+  }
+
+  res.status(error.statusCode || 500).json({ success: false, message: error.message });
+};
+
+async function readCsvUpload(req) {
+  const file = getUploadedFile(req);
+  const options = pickOptions(req.body, CSV_OPTION_FIELDS);
+  const parsed = parseCsvStatement(file.data.toString('utf8'), options);
+  const rows = await prepareImportRows(req.user, parsed.rows);
+
+  return { file, options, parsed, rows };
+}
+
+async function readStatementUpload(req) {
+  const file = getUploadedFile(req);
+  const content = file.data.toString('utf8');
+  const format = req.body.format
+    ? String(req.body.format).toLowerCase()
+    : detectStatementFormat(file.name, content);
+
+  if (!STATEMENT_FORMATS.includes(format)) {
+    throw badRequest(`Unsupported statement format. Upload one of: ${STATEMENT_FORMATS.join(', ')}`);
+  }
+
+  const options = pickOptions(req.body, STATEMENT_OPTION_FIELDS);
+  const parsed = parseStatementFile(format, content, options);
+  const rows = await prepareImportRows(req.user, parsed.rows);
+
+  return { file, format, options, parsed, rows };
+}
+
+// @desc    Parse a CSV bank export and preview the rows without saving
+// @route   POST /api/imports/csv/preview
+// @access  Private
+exports.previewCsvImport = async (req, res) => {
+  try {
+    const { parsed, rows } = await readCsvUpload(req);
+
+    res.json({
+      success: true,
+      headers: parsed.headers,
+      mapping: parsed.mapping,
+      dateFormat: parsed.dateFormat,
+      signConvention: parsed.signConvention,
+      summary: summarizeRows(rows),
+      rows
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Import a CSV bank export as one batch
+// @route   POST /api/imports/csv
+// @access  Private
+exports.commitCsvImport = async (req, res) => {
+  try {
+    const { file, options, parsed, rows } = await readCsvUpload(req);
+
+    const batch = await commitImport(req.user, rows, {
+      format: 'csv',
+      filename: file.name,
+      options: {
+        ...options,
+        mapping: parsed.mapping,
+        dateFormat: parsed.dateFormat,
+        signConvention: parsed.signConvention
+      },
+      ...commitOptions(req.body)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${batch.counts.incomes} income(s) and ${batch.counts.expenses} expense(s)`,
+      data: batch,
+      errors: rows.filter(row => row.error).map(({ row, error }) => ({ row, error }))
+    });
+  } catch (error) {
+    handleCommitError(res, error);
+  }
+};
+
+// @desc    Parse an OFX, QFX or QIF statement and preview the rows without saving
+// @route   POST /api/imports/statement/preview
+// @access  Private
+exports.previewStatementImport = async (req, res) => {
+  try {
+    const { format, parsed, rows } = await readStatementUpload(req);
+
+    res.json({
+      success: true,
+      format,
+      accountId: parsed.accountId,
+      dateFormat: parsed.dateFormat,
+      summary: summarizeRows(rows),
+      rows
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Import an OFX, QFX or QIF statement as one batch; transactions
+//          imported before (same FITID) are skipped
+// @route   POST /api/imports/statement
+// @access  Private
+exports.commitStatementImport = async (req, res) => {
+  try {
+    const { file, format, options, parsed, rows } = await readStatementUpload(req);
+
+    const batch = await commitImport(req.user, rows, {
+      format,
+      filename: file.name,
+      options: {
+        ...options,
+        accountId: parsed.accountId,
+        dateFormat: parsed.dateFormat
+      },
+      ...commitOptions(req.body)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${batch.counts.incomes} income(s) and ${batch.counts.expenses} expense(s)`,
+      data: batch,
+      alreadyImported: rows.filter(row => row.alreadyImported).length,
+      errors: rows.filter(row => row.error).map(({ row, error }) => ({ row, error }))
+    });
+  } catch (error) {
+    handleCommitError(res, error);
+  }
+};
+
+// @desc    List the user's import batches
+// @route   GET /api/imports
+// @access  Private
+exports.getImports = async (req, res) => {
+  try {
+    const batches = await ImportBatch.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json({
+      success: true,
+      data: batches
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Get a single import batch
+// @route   GET /api/imports/:id
+// @access  Private
+exports.getImport = async (req, res) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Import not found' });
+    }
+
+    if (batch.user.toString() !== req.user._id.toString()) {
+      return res.status(401).json({ success: false, message: 'Not authorized' });
+    }
+
+    res.json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Delete every record created by an import
+// @route   POST /api/imports/:id/rollback
+// @access  Private
+exports.rollbackImportBatch = async (req, res) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Import not found' });
+    }
+
+    if (batch.user.toString() !== req.user._id.toString()) {
+      return res.status(401).json({ success: false, message: 'Not authorized' });
+    }
+
+    if (batch.status === 'rolled_back') {
+      return res.status(400).json({ success: false, message: 'Import has already been rolled back' });
+    }
+
+    const removed = await rollbackImport(batch);
+
+    res.json({
+      success: true,
+      message: `Removed ${removed.incomes} income(s) and ${removed.expenses} expense(s)`,
+      data: batch
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -1,33 +1,55 @@
 const Income = require('../models/Income');
+const { listTransactions } = require('../utils/listQuery');
+const { streamTransactionExport } = require('../utils/transactionExport');
+const { convertToBase, formatMoney } = require('../utils/currency');
+const { resolveTransactionAccount } = require('../utils/accounts');
+const { resolveCategoryName } = require('../utils/categories');
+const { normalizeTags } = require('../utils/tags');
+const { assertGroupRole, transactionScope, conversionOwner, ledgerCurrency, getTransactionAccess } = require('../utils/groups');
+const { allocateIncome, reallocateIncome, removeIncomeContributions } = require('../utils/goalAllocation');
 const fs = require('fs');
 const path = require('path');
 
 
 exports.getIncomes = async (req, res) => {
   try {
-    const incomes = await Income.find({ user: req.user._id }).sort({ date: -1 });
-    res.json(incomes);
+    const result = await listTransactions(Income, transactionScope(req), req.query);
+    res.json({
+      success: true,
+      ...result
+    });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
     }
   };
 
 exports.addIncome = async (req, res) => {
   try {
-    const { title, amount, category, description, date } = req.body;
+    const { title, amount, category, description, tags, notes, date, currency, account } = req.body;
+    assertGroupRole(req);
+    const transactionDate = date || Date.now();
+    const accountFields = await resolveTransactionAccount(req.user._id, account, currency);
+    const conversion = await convertToBase(conversionOwner(req.user, req.group), amount, accountFields.currency || currency, transactionDate);
 
     const income = await Income.create({
       user: req.user._id,
+      group: req.group ? req.group._id : null,
       title,
       amount,
-      category,
+      category: await resolveCategoryName(req.user._id, 'income', category),
       description,
-      date: date || Date.now()
+      tags: normalizeTags(tags),
+      notes,
+      date: transactionDate,
+      ...accountFields,
+      ...conversion
     });
+    // Only personal income feeds the user's savings goals
+    const goalAllocations = req.group ? [] : await allocateIncome(req.user, income);
 
-    res.status(201).json(income);
+    res.status(201).json({ ...income.toObject(), goalAllocations });
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res.status(error.statusCode || 400).json({ message: error.message });
   }
 };
 
@@ -40,10 +62,15 @@ exports.deleteIncome = async (req, res) => {
       return res.status(404).json({ message: 'Income not found' });
     }
 
-    if (income.user.toString() !== req.user._id.toString()) {
+    const access = await getTransactionAccess(req.user, income);
+    if (!access.canRead) {
       return res.status(401).json({ message: 'Not authorized' });
     }
+    if (!access.canWrite) {
+      return res.status(403).json({ message: 'Viewers cannot change this group\'s transactions' });
+    }
 
+    await removeIncomeContributions({ _id: income._id });
     await Income.findByIdAndDelete(req.params.id);
     res.json({ message: 'Income removed' });
   } catch (error) {
@@ -51,26 +78,33 @@ exports.deleteIncome = async (req, res) => {
   }
 };
 
+exports.exportIncomes = (req, res) => streamTransactionExport(req, res, Income, 'incomes');
+
 exports.downloadIncomes = async (req, res) => {
   try {
-    const incomes = await Income.find({ user: req.user._id }).sort({ date: -1 });
+    const incomes = await Income.find(transactionScope(req)).sort({ date: -1 });
+    const baseCurrency = ledgerCurrency(req);
     
     let textContent = 'INCOME TRACKER REPORT\n';
     textContent += '=====================\n\n';
     
     incomes.forEach((income, index) => {
       textContent += `${index + 1}. ${income.title}\n`;
-      textContent += `   Amount: $${income.amount}\n`;
+      textContent += `   Amount: ${formatMoney(income.amount, income.currency)}`;
+      if (income.currency && income.currency !== baseCurrency) {
+        textContent += ` (${formatMoney(income.baseAmount, baseCurrency)})`;
+      }
+      textContent += '\n';
       textContent += `   Category: ${income.category}\n`;
-      textContent += `   Date: ${new Date(income.date).toLocaleDateString()}\n`;
+      textContent += `   Date: ${new Date(income.date).toISOString().slice(0, 10)}\n`;
       if (income.description) {
         textContent += `   Description: ${income.description}\n`;
       }
       textContent += '\n';
     });
 
-    const totalAmount = incomes.reduce((sum, income) => sum + income.amount, 0);
-    textContent += `TOTAL INCOME: $${totalAmount}\n`;
+    const totalAmount = incomes.reduce((sum, income) => sum + (income.baseAmount ?? income.amount), 0);
+    textContent += `TOTAL INCOME: ${formatMoney(totalAmount, baseCurrency)}\n`;
     textContent += `TOTAL RECORDS: ${incomes.length}\n`;
 
     res.setHeader('Content-Type', 'text/plain');
@@ -82,7 +116,7 @@ exports.downloadIncomes = async (req, res) => {
 };
 exports.updateIncome = async (req, res) => {
   try {
-    const { title, amount, category, description, date } = req.body;
+    const { title, amount, category, description, tags, notes, date, currency, account } = req.body;
     
     const income = await Income.findById(req.params.id);
 
@@ -90,24 +124,52 @@ exports.updateIncome = async (req, res) => {
       return res.status(404).json({ message: 'Income not found' });
     }
 
-    if (income.user.toString() !== req.user._id.toString()) {
+    const access = await getTransactionAccess(req.user, income);
+    if (!access.canRead) {
       return res.status(401).json({ message: 'Not authorized' });
     }
+    if (!access.canWrite) {
+      return res.status(403).json({ message: 'Viewers cannot change this group\'s transactions' });
+    }
+
+    const previousAmount = income.baseAmount ?? income.amount;
 
     income.title = title || income.title;
-    income.amount = amount || income.amount;
-    income.category = category || income.category;
+    income.amount = amount !== undefined ? amount : income.amount;
+    income.category = category ? await resolveCategoryName(req.user._id, 'income', category) : income.category;
     income.description = description !== undefined ? description : income.description;
+    income.tags = tags !== undefined ? normalizeTags(tags) : income.tags;
+    income.notes = notes !== undefined ? notes : income.notes;
     income.date = date || income.date;
 
+    // Re-check the account when it changes, or when the currency moves away from it
+    if (account !== undefined || (currency && income.account)) {
+      const accountId = account !== undefined ? account : income.account;
+      Object.assign(income, await resolveTransactionAccount(req.user._id, accountId, currency || income.currency));
+    }
+
+    if (amount !== undefined || currency !== undefined || date !== undefined) {
+      Object.assign(income, await convertToBase(conversionOwner(req.user, access.group), income.amount, currency || income.currency, income.date));
+    }
+
     const updatedIncome = await income.save();
 
+    // Goal contributions were sized from the old amount
+    if (!access.group && (updatedIncome.baseAmount ?? updatedIncome.amount) !== previousAmount) {
+      await reallocateIncome(req.user, updatedIncome);
+    }
+
     res.json({
       _id: updatedIncome._id,
       title: updatedIncome.title,
       amount: updatedIncome.amount,
+      currency: updatedIncome.currency,
+      baseAmount: updatedIncome.baseAmount,
+      account: updatedIncome.account,
       category: updatedIncome.category,
       description: updatedIncome.description,
+      tags: updatedIncome.tags,
+      notes: updatedIncome.notes,
       date: updatedIncome.date,
       createdAt: updatedIncome.createdAt,
       user: updatedIncome.user
@@ -125,7 +187,8 @@ exports.getIncome = async (req, res) => {
       return res.status(404).json({ message: 'Income not found' });
     }
 
-    if (income.user.toString() !== req.user._id.toString()) {
+    const access = await getTransactionAccess(req.user, income);
+    if (!access.canRead) {
       return res.status(401).json({ message: 'Not authorized' });
     }
 
@@ -0,0 +1,58 @@
+const { validateUpload } = require('../utils/storage');
+const { recognizeReceiptText, parseReceiptText } = require('../utils/receiptOcr');
+const { getUserCategories, suggestExpenseCategory } = require('../utils/categories');
+
+// @desc    Read a receipt photo with local OCR and draft an expense from it
+// @route   POST /api/expenses/scan
+// @access  Private
+exports.scanReceipt = async (req, res) => {
+  try {
+    const file = req.files && req.files.receipt;
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the receipt image in a form-data field named "receipt"'
+      });
+    }
+
+    validateUpload(file, 'receiptScan');
+
+    const { text, confidence } = await recognizeReceiptText(file.data);
+    const receipt = parseReceiptText(text);
+
+    if (receipt.total === null) {
+      return res.status(422).json({
+        success: false,
+        message: 'Could not find a total on this receipt. Try a sharper, well-lit photo or enter the expense manually.',
+        data: { receipt, confidence, text }
+      });
+    }
+
+    const title = receipt.merchant || 'Receipt';
+    const categories = await getUserCategories(req.user._id, 'expense');
+    const suggested = suggestExpenseCategory(title, receipt.total, text, categories);
+
+    // Not saved: the client shows the draft and POSTs it to /api/expenses once confirmed
+    const draft = {
+      title,
+      amount: receipt.total,
+      currency: receipt.currency || req.user.baseCurrency,
+      category: suggested.category,
+      date: receipt.date || new Date().toISOString().slice(0, 10),
+      description: receipt.tax !== null ? `Includes ${receipt.tax.toFixed(2)} tax` : ''
+    };
+
+    res.json({
+      success: true,
+      data: {
+        draft,
+        receipt,
+        categoryConfidence: suggested.confidence,
+        confidence,
+        text
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
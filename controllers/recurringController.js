@@ -0,0 +1,335 @@
+const moment = require('moment');
+const RecurringRule = require('../models/RecurringRule');
+const {
+  getOccurrences,
+  getTransactionModel,
+  materializeRule,
+  materializeDueTransactions
+} = require('../utils/recurrence');
+const { DEFAULT_CURRENCY, convertToBase, findExchangeRate, roundAmount } = require('../utils/currency');
+const { removeExpenseAttachments } = require('../utils/attachmentStorage');
+const { removeIncomeContributions } = require('../utils/goalAllocation');
+const { CATEGORY_TYPES, resolveCategoryName } = require('../utils/categories');
+
+const EDITABLE_FIELDS = ['title', 'amount', 'currency', 'category', 'description', 'cadence', 'interval', 'dayOfMonth', 'endDate'];
+
+const findOwnedRule = async (req, res) => {
+  const rule = await RecurringRule.findById(req.params.id);
+
+  if (!rule) {
+    res.status(404).json({ success: false, message: 'Recurring rule not found' });
+    return null;
+  }
+
+  if (rule.user.toString() !== req.user._id.toString()) {
+    res.status(401).json({ success: false, message: 'Not authorized' });
+    return null;
+  }
+
+  return rule;
+};
+
+// @desc    Get all recurring rules for the user
+// @route   GET /api/recurring
+// @access  Private
+exports.getRecurringRules = async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+    const rules = await RecurringRule.find(filter).sort({ startDate: -1 });
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Get a single recurring rule
+// @route   GET /api/recurring/:id
+// @access  Private
+exports.getRecurringRule = async (req, res) => {
+  try {
+    const rule = await findOwnedRule(req, res);
+    if (!rule) return;
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Create a recurring income or expense rule
+// @route   POST /api/recurring
+// @access  Private
+exports.createRecurringRule = async (req, res) => {
+  try {
+    const { type, title, amount, currency, category, description, cadence, interval, dayOfMonth, startDate, endDate } = req.body;
+
+    // Fail before saving if the currency can't be converted to the base currency
+    await convertToBase(req.user, amount, currency, startDate || new Date());
+
+    const rule = await RecurringRule.create({
+      user: req.user._id,
+      type,
+      title,
+      amount,
+      currency: currency || req.user.baseCurrency,
+      // An unknown type is left for the schema to reject
+      category: CATEGORY_TYPES.includes(type) ? await resolveCategoryName(req.user._id, type, category) : category,
+      description,
+      cadence,
+      interval,
+      dayOfMonth,
+      startDate: startDate || moment().startOf('day').toDate(),
+      endDate
+    });
+
+    // Occurrences already due (e.g. a start date in the past) are created right away
+    const created = await materializeRule(rule);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring rule created successfully',
+      data: rule,
+      materialized: created.length
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Edit a series going forward; earlier occurrences keep their values
+// @route   PUT /api/recurring/:id
+// @access  Private
+exports.updateRecurringRule = async (req, res) => {
+  try {
+    const rule = await findOwnedRule(req, res);
+    if (!rule) return;
+
+    const effectiveFrom = moment(req.body.effectiveFrom || undefined).startOf('day');
+    if (!effectiveFrom.isValid()) {
+      return res.status(400).json({ success: false, message: 'Invalid effectiveFrom date' });
+    }
+
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+    if (changes.category) {
+      changes.category = await resolveCategoryName(req.user._id, rule.type, changes.category);
+    }
+
+    // The edit covers the whole series, so update in place and regenerate it
+    if (!effectiveFrom.isAfter(rule.startDate)) {
+      Object.assign(rule, changes);
+      rule.materializedThrough = undefined;
+      await deleteGeneratedTransactions(rule, { recurringRule: rule._id });
+      const updatedRule = await rule.save();
+      await materializeRule(updatedRule);
+
+      return res.json({
+        success: true,
+        message: 'Recurring rule updated successfully',
+        data: updatedRule
+      });
+    }
+
+    const nextRule = new RecurringRule({
+      user: rule.user,
+      type: rule.type,
+      title: rule.title,
+      amount: rule.amount,
+      currency: rule.currency,
+      category: rule.category,
+      description: rule.description,
+      cadence: rule.cadence,
+      interval: rule.interval,
+      dayOfMonth: rule.dayOfMonth,
+      endDate: rule.endDate,
+      ...changes,
+      startDate: effectiveFrom.toDate(),
+      skippedDates: (rule.skippedDates || []).filter(date => !effectiveFrom.isAfter(date)),
+      previousRule: rule._id
+    });
+    await nextRule.validate();
+
+    // Close the old series the day before and drop anything it generated from then on,
+    // so the new series can regenerate those occurrences with the new values
+    rule.endDate = effectiveFrom.clone().subtract(1, 'ms').toDate();
+    rule.skippedDates = (rule.skippedDates || []).filter(date => effectiveFrom.isAfter(date));
+    if (rule.materializedThrough && rule.materializedThrough > rule.endDate) {
+      rule.materializedThrough = rule.endDate;
+    }
+    await rule.save();
+    await deleteGeneratedTransactions(rule, {
+      recurringRule: rule._id,
+      occurrenceDate: { $gte: effectiveFrom.toDate() }
+    });
+
+    await nextRule.save();
+    await materializeRule(nextRule);
+
+    res.json({
+      success: true,
+      message: `Recurring rule updated from ${effectiveFrom.format('YYYY-MM-DD')} onwards`,
+      data: nextRule,
+      previous: rule
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Delete a recurring rule; transactions it already generated are kept
+// @route   DELETE /api/recurring/:id
+// @access  Private
+exports.deleteRecurringRule = async (req, res) => {
+  try {
+    const rule = await findOwnedRule(req, res);
+    if (!rule) return;
+
+    await RecurringRule.findByIdAndDelete(req.params.id);
+    res.json({ success: true, message: 'Recurring rule removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Skip a single occurrence of a recurring rule
+// @route   POST /api/recurring/:id/skip
+// @access  Private
+exports.skipOccurrence = async (req, res) => {
+  try {
+    const rule = await findOwnedRule(req, res);
+    if (!rule) return;
+
+    const date = moment(req.body.date, moment.ISO_8601, true);
+    if (!req.body.date || !date.isValid()) {
+      return res.status(400).json({ success: false, message: 'A valid occurrence date is required' });
+    }
+
+    const [occurrence] = getOccurrences(rule, date.clone().startOf('day'), date.clone().endOf('day'));
+    if (!occurrence) {
+      return res.status(400).json({
+        success: false,
+        message: 'No scheduled occurrence on that date'
+      });
+    }
+
+    rule.skippedDates.push(occurrence);
+    await rule.save();
+
+    // If the occurrence was already generated, remove it as well
+    const removed = await deleteGeneratedTransactions(rule, {
+      recurringRule: rule._id,
+      occurrenceDate: occurrence
+    });
+
+    res.json({
+      success: true,
+      message: `Occurrence on ${moment(occurrence).format('YYYY-MM-DD')} skipped`,
+      data: rule,
+      removedTransaction: removed.deletedCount > 0
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    List upcoming occurrences across the user's active rules
+// @route   GET /api/recurring/upcoming
+// @access  Private
+exports.getUpcomingOccurrences = async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || 30, 366);
+    const from = moment().startOf('day');
+    const to = moment().add(days, 'days').endOf('day');
+
+    const rules = await RecurringRule.find({ user: req.user._id, active: true });
+    const baseCurrency = req.user.baseCurrency || DEFAULT_CURRENCY;
+
+    const upcoming = rules
+      .flatMap(rule => getOccurrences(rule, from, to).map(date => ({
+        ruleId: rule._id,
+        type: rule.type,
+        title: rule.title,
+        amount: rule.amount,
+        currency: rule.currency || baseCurrency,
+        category: rule.category,
+        date: moment(date).format('YYYY-MM-DD')
+      })))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    // Totals are in the base currency; occurrences without a stored rate are
+    // left out of them and their pairs reported instead
+    const rateCache = new Map();
+    const missing = new Set();
+    for (const item of upcoming) {
+      const cacheKey = `${item.currency}:${item.date}`;
+      if (!rateCache.has(cacheKey)) {
+        rateCache.set(cacheKey, await findExchangeRate(req.user._id, item.currency, baseCurrency, moment(item.date).toDate()));
+      }
+
+      const exchangeRate = rateCache.get(cacheKey);
+      item.baseAmount = exchangeRate === null ? null : roundAmount(item.amount * exchangeRate);
+      if (exchangeRate === null) missing.add(`${item.currency}->${baseCurrency}`);
+    }
+
+    const total = type => roundAmount(upcoming
+      .filter(item => item.type === type && item.baseAmount !== null)
+      .reduce((sum, item) => sum + item.baseAmount, 0));
+
+    res.json({
+      success: true,
+      period: {
+        startDate: from.format('YYYY-MM-DD'),
+        endDate: to.format('YYYY-MM-DD')
+      },
+      data: upcoming,
+      totals: {
+        currency: baseCurrency,
+        income: total('income'),
+        expense: total('expense'),
+        missingRates: [...missing]
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Generate all due transactions for the user's recurring rules
+// @route   POST /api/recurring/materialize
+// @access  Private
+exports.materializeRecurring = async (req, res) => {
+  try {
+    const result = await materializeDueTransactions({ userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: `Created ${result.created.length} transaction(s) from ${result.rulesProcessed} recurring rule(s)`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Generated expenses may have had receipts attached, and generated incomes
+// may have been allocated to savings goals, since they were created
+async function deleteGeneratedTransactions(rule, filter) {
+  const Model = getTransactionModel(rule.type);
+  if (rule.type === 'expense') {
+    await removeExpenseAttachments(Model, filter);
+  } else {
+    await removeIncomeContributions(filter);
+  }
+  return Model.deleteMany(filter);
+}
@@ -0,0 +1,59 @@
+const { suggestTags, mergeTags: replaceTags } = require('../utils/tags');
+const { badRequest } = require('../utils/httpError');
+
+const MAX_SUGGESTIONS = 50;
+
+// @desc    The user's tags for autocomplete, most used first
+// @route   GET /api/tags?q=vac&limit=10
+// @access  Private
+exports.getTags = async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      throw badRequest('limit must be a positive integer');
+    }
+
+    const tags = await suggestTags(req.user._id, req.query.q, limit && Math.min(limit, MAX_SUGGESTIONS));
+
+    res.json({
+      success: true,
+      data: tags
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Rename a tag on all of the user's incomes and expenses
+// @route   PUT /api/tags/:tag
+// @access  Private
+exports.renameTag = async (req, res) => {
+  try {
+    const updated = await replaceTags(req.user._id, [req.params.tag], req.body.name);
+
+    res.json({
+      success: true,
+      message: `Tag renamed on ${updated} record(s)`,
+      updated
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Merge several tags into one across all of the user's records
+// @route   POST /api/tags/merge
+// @access  Private
+exports.mergeTags = async (req, res) => {
+  try {
+    const updated = await replaceTags(req.user._id, req.body.sources, req.body.target);
+
+    res.json({
+      success: true,
+      message: `Tags merged on ${updated} record(s)`,
+      updated
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
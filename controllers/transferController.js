@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Transfer = require('../models/Transfer');
+const { findExchangeRate, roundAmount } = require('../utils/currency');
+const { parseDate } = require('../utils/dateRange');
+const { badRequest } = require('../utils/httpError');
+
+// @desc    List transfers, optionally for one account and date range
+// @route   GET /api/transfers?account=&from=&to=
+// @access  Private
+exports.getTransfers = async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+
+    if (req.query.account) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.account)) {
+        throw badRequest('account must be a valid account id');
+      }
+      filter.$or = [{ fromAccount: req.query.account }, { toAccount: req.query.account }];
+    }
+    if (req.query.from || req.query.to) {
+      filter.date = {};
+      if (req.query.from) filter.date.$gte = parseDate(req.query.from, 'from');
+      if (req.query.to) filter.date.$lte = parseDate(req.query.to, 'to', true);
+    }
+
+    const transfers = await Transfer.find(filter)
+      .populate('fromAccount toAccount', 'name type currency')
+      .sort({ date: -1 });
+
+    res.json({
+      success: true,
+      data: transfers
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Move money between two of the user's accounts
+// @route   POST /api/transfers
+// @access  Private
+exports.createTransfer = async (req, res) => {
+  try {
+    const { fromAccount, toAccount, amount, toAmount, date, description } = req.body;
+
+    if (!fromAccount || !toAccount) {
+      throw badRequest('fromAccount and toAccount are required');
+    }
+    if (String(fromAccount) === String(toAccount)) {
+      throw badRequest('Choose two different accounts');
+    }
+
+    const [source, destination] = await Promise.all([
+      findUsableAccount(req.user._id, fromAccount),
+      findUsableAccount(req.user._id, toAccount)
+    ]);
+    const transferDate = date || Date.now();
+
+    const received = await resolveReceivedAmount(req.user._id, source, destination, amount, toAmount, transferDate);
+
+    const transfer = await Transfer.create({
+      user: req.user._id,
+      fromAccount: source._id,
+      toAccount: destination._id,
+      amount,
+      toAmount: received,
+      date: transferDate,
+      description
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Transferred from ${source.name} to ${destination.name}`,
+      data: transfer
+    });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Delete a transfer
+// @route   DELETE /api/transfers/:id
+// @access  Private
+exports.deleteTransfer = async (req, res) => {
+  try {
+    const transfer = await Transfer.findById(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({ success: false, message: 'Transfer not found' });
+    }
+
+    if (transfer.user.toString() !== req.user._id.toString()) {
+      return res.status(401).json({ success: false, message: 'Not authorized' });
+    }
+
+    await Transfer.findByIdAndDelete(req.params.id);
+    res.json({ success: true, message: 'Transfer removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+async function findUsableAccount(userId, accountId) {
+  if (!mongoose.Types.ObjectId.isValid(accountId)) {
+    throw badRequest('Invalid account id');
+  }
+  const account = await Account.findOne({ _id: accountId, user: userId });
+  if (!account) {
+    throw badRequest('Account not found');
+  }
+  if (account.archived) {
+    throw badRequest(`Account "${account.name}" is archived`);
+  }
+  return account;
+}
+
+// What lands in the destination account: the same amount for one currency,
+// otherwise the stated toAmount or a conversion at the stored rate
+async function resolveReceivedAmount(userId, source, destination, amount, toAmount, date) {
+  if (source.currency === destination.currency) return amount;
+  if (toAmount !== undefined && toAmount !== '') return toAmount;
+
+  const rate = await findExchangeRate(userId, source.currency, destination.currency, date);
+  if (rate === null) {
+    throw badRequest(
+      `No exchange rate from ${source.currency} to ${destination.currency} found. Pass toAmount or add a rate under /api/exchange-rates`
+    );
+  }
+  return roundAmount(Number(amount) * rate);
+}
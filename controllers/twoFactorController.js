@@ -0,0 +1,170 @@
+const User = require('../models/User');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const {
+  TWO_FACTOR_FIELDS,
+  encryptSecret,
+  generateRecoveryCodes,
+  consumeTotpCode,
+  remainingRecoveryCodes
+} = require('../utils/twoFactor');
+const { badRequest, httpError } = require('../utils/httpError');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Expense Tracker';
+
+// @desc    Whether 2FA is on and how many recovery codes are left
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await findTwoFactorUser(req);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.enabled ? remainingRecoveryCodes(user) : 0
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Start enrolment: a new secret and the otpauth URI to scan.
+//          Nothing changes until a code from it is confirmed.
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await findTwoFactorUser(req);
+
+    if (user.twoFactor.enabled) {
+      throw badRequest('Two-factor authentication is already enabled. Disable it first to enrol a new device');
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code from it',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: ISSUER })
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Finish enrolment with a code from the new secret; returns the
+//          recovery codes, which are never shown again
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await findTwoFactorUser(req);
+
+    if (user.twoFactor.enabled) {
+      throw badRequest('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor.pendingSecret) {
+      throw badRequest('Start with POST /api/auth/2fa/setup');
+    }
+    if (!(await consumeTotpCode(user, user.twoFactor.pendingSecret, req.body.code))) {
+      throw badRequest('Invalid two-factor code');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.set({
+      'twoFactor.enabled': true,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.secret': user.twoFactor.pendingSecret,
+      'twoFactor.pendingSecret': null,
+      'twoFactor.recoveryCodes': hashes,
+      'twoFactor.failedAttempts': 0
+    });
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Replace the recovery codes; needs a current authenticator code
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await findTwoFactorUser(req);
+
+    if (!user.twoFactor.enabled) {
+      throw badRequest('Two-factor authentication is not enabled');
+    }
+    if (!(await consumeTotpCode(user, user.twoFactor.secret, req.body.code))) {
+      throw badRequest('Invalid two-factor code');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Turn 2FA off after re-entering the password
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await findTwoFactorUser(req);
+
+    if (!user.twoFactor.enabled) {
+      throw badRequest('Two-factor authentication is not enabled');
+    }
+    if (!password || !(await user.matchPassword(password))) {
+      throw badRequest('Password is incorrect');
+    }
+
+    user.set({
+      'twoFactor.enabled': false,
+      'twoFactor.enabledAt': null,
+      'twoFactor.secret': null,
+      'twoFactor.pendingSecret': null,
+      'twoFactor.lastUsedStep': null,
+      'twoFactor.recoveryCodes': [],
+      'twoFactor.failedAttempts': 0
+    });
+    await user.save();
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+// req.user is loaded without the password and 2FA secrets
+async function findTwoFactorUser(req) {
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+  if (!user) {
+    throw httpError(404, 'User not found');
+  }
+  return user;
+}
@@ -1,5 +1,27 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { loadGroupContext } = require('../utils/groups');
+const { findActiveSession } = require('../utils/sessions');
+
+// Requests work in a shared group when it is named in the X-Group-Id header
+// or the `group` query parameter; only members of that group get through
+const attachGroupContext = async (req, res, next) => {
+  const groupId = req.get('X-Group-Id') || req.query.group;
+  if (groupId) {
+    try {
+      const { group, role } = await loadGroupContext(req.user, groupId);
+      req.group = group;
+      req.groupRole = role;
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  next();
+};
 
 const protect = async (req, res, next) => {
   let token;
@@ -9,6 +31,15 @@ const protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
       
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Logging out or revoking a device ends its access tokens straight away
+      const session = await findActiveSession(decoded);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked - please log in again'
+        });
+      }
       
       const user = await User.findById(decoded.id).select('-password');
       
@@ -27,8 +58,7 @@ const protect = async (req, res, next) => {
       }
       
       req.user = user;
-      next();
-      
+      req.sessionId = session._id;
     } catch (error) {
       console.error('Auth middleware error:', error);
       
@@ -51,19 +81,27 @@ const protect = async (req, res, next) => {
         message: 'Not authorized, token failed' 
       });
     }
+
+    return attachGroupContext(req, res, next);
   } 
   else if (req.cookies && req.cookies.token) {
     token = req.cookies.token;
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
-      next();
+      const session = await findActiveSession(decoded);
+      req.user = session ? await User.findById(decoded.id).select('-password') : null;
+      if (!req.user || req.user.status === 'suspended') {
+        throw new Error('Session has been revoked');
+      }
+      req.sessionId = session._id;
     } catch (error) {
       return res.status(401).json({ 
         success: false,
         message: 'Not authorized, token failed' 
       });
     }
+
+    return attachGroupContext(req, res, next);
   }
   else {
     return res.status(401).json({ 
@@ -91,7 +129,9 @@ const optional = async (req, res, next) => {
     try {
       token = req.headers.authorization.split(' ')[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+      if (await findActiveSession(decoded)) {
+        req.user = await User.findById(decoded.id).select('-password');
+      }
     } catch (error) {
       console.log('Optional auth failed:', error.message);
     }
@@ -1,7 +0,0 @@
-const multer = require('multer')
-
-const storage = multer.memoryStorage()
-
-const upload = multer({storage})
-
-module.exports = upload;
\ No newline at end of file
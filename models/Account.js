@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const accountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Account type is required'],
+    enum: ['cash', 'checking', 'savings', 'credit_card', 'investment', 'loan', 'other']
+  },
+  // Transactions on the account must be in this currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // Balance before the first tracked transaction; negative for money owed
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  openingDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Hidden from pickers but kept so old transactions still resolve
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  lastReconciledAt: {
+    type: Date
+  },
+  lastReconciledBalance: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+accountSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Account', accountSchema);
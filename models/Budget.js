@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const budgetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Name of one of the user's categories; validated by utils/categories
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    trim: true
+  },
+  period: {
+    type: String,
+    enum: ['weekly', 'monthly', 'yearly'],
+    default: 'monthly'
+  },
+  limit: {
+    type: Number,
+    required: [true, 'Budget limit is required'],
+    min: 0
+  },
+  // Carry the unspent part of the previous period's limit into the current one
+  rollover: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+budgetSchema.index({ user: 1, category: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model('Budget', budgetSchema);
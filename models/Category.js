@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A user's own income or expense category. Transactions, budgets and
+// recurring rules store the category by name.
+const categorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Category type is required'],
+    enum: ['income', 'expense']
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [40, 'Category name cannot exceed 40 characters']
+  },
+  icon: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  color: {
+    type: String,
+    trim: true,
+    default: '#9E9E9E',
+    match: [/^#[0-9A-Fa-f]{6}$/, 'Colour must be a hex code such as #4CAF50']
+  },
+  // One level of nesting: a subcategory's parent is always a top-level category
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Words that make the AI and importers suggest this category
+  keywords: {
+    type: [String],
+    default: []
+  },
+  // Archived categories stay on old records but can't be picked for new ones
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorySchema.index(
+  { user: 1, type: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// 1 unit of `from` is worth `rate` units of `to` on `date`
+const exchangeRateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  from: {
+    type: String,
+    required: [true, 'Source currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  to: {
+    type: String,
+    required: [true, 'Target currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Rate date is required']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'upload'],
+    default: 'manual'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+exchangeRateSchema.index({ user: 1, from: 1, to: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
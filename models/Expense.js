@@ -1,21 +1,127 @@
 const mongoose = require('mongoose');
 
+// A receipt stored with the storage backend named in `storage`
+const attachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storage: {
+    type: String,
+    required: true,
+    enum: ['cloudinary', 'local', 's3']
+  },
+  // Backend object key (Cloudinary public id, S3 key or path under the upload root)
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String
+  },
+  resourceType: {
+    type: String
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One part of a split expense, in the expense's currency
+const splitSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Split amount is required'],
+    min: [0.01, 'Split amount must be positive']
+  },
+  // Name of one of the user's expense categories; validated by utils/splits
+  category: {
+    type: String,
+    required: [true, 'Split category is required'],
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+});
+
 const expenseSchema = new mongoose.Schema({
+  // Who recorded it; for a group transaction, the member who added it
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Set when the transaction belongs to a shared group's ledger
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
+  title: {
+    type: String,
+    trim: true
+  },
   amount: {
     type: Number,
     required: [true, 'Amount is required'],
     min: 0
   },
+  // Amount is stored in `currency`; baseAmount is its value in the user's base currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  baseAmount: {
+    type: Number
+  },
+  // Optional; when set, `currency` must match the account's currency
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // Name of one of the user's categories; validated by utils/categories.
+  // For a split expense this is the largest line's category, and reports
+  // use the lines instead
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: ['Food', 'Transport', 'Entertainment', 'Healthcare', 'Shopping', 'Bills', 'Education', 'Other']
-  }, 
+    trim: true
+  },
+  splits: [splitSchema],
+  description: {
+    type: String,
+    trim: true
+  },
+  // Free-form labels that cut across categories, e.g. "vacation-2026";
+  // stored normalized by utils/tags
+  tags: {
+    type: [String],
+    default: []
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
   icon: {
     type: String,
     trim: true,
@@ -25,10 +131,49 @@ const expenseSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Set on records generated from a recurring rule
+  recurringRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringRule'
+  },
+  occurrenceDate: {
+    type: Date
+  },
+  // Set on records created by a statement import, for rollback
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch'
+  },
+  // Bank transaction id (OFX FITID or QIF fingerprint) that keeps re-imports idempotent
+  externalId: {
+    type: String
+  },
+  attachments: [attachmentSchema],
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Split lines have to account for the whole amount, to the cent
+expenseSchema.path('splits').validate(function validateSplitTotal(splits) {
+  if (!splits || splits.length === 0) return true;
+  const total = splits.reduce((sum, split) => sum + split.amount, 0);
+  return Math.abs(Math.round(total * 100) / 100 - this.amount) < 0.005;
+}, 'Split lines must add up to the expense amount');
+
+expenseSchema.index({ user: 1, date: -1 });
+expenseSchema.index({ user: 1, tags: 1 });
+expenseSchema.index({ group: 1, date: -1 });
+expenseSchema.index({ importBatch: 1 }, { sparse: true });
+expenseSchema.index({ account: 1, date: 1 }, { sparse: true });
+expenseSchema.index(
+  { user: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $exists: true } } }
+);
+expenseSchema.index(
+  { recurringRule: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringRule: { $exists: true } } }
+);
+
 module.exports = mongoose.model('Expense', expenseSchema);
\ No newline at end of file
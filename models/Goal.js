@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Money put towards a goal, either by hand or allocated from an income
+const contributionSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Contribution amount is required'],
+    min: [0.01, 'Contribution amount must be positive']
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'auto'],
+    default: 'manual'
+  },
+  // The income an automatic contribution was allocated from
+  income: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Income'
+  }
+});
+
+const goalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Goal name is required'],
+    trim: true
+  },
+  targetAmount: {
+    type: Number,
+    required: [true, 'Target amount is required'],
+    min: [0.01, 'Target amount must be positive']
+  },
+  // Target and contributions are in the user's base currency at creation
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  deadline: {
+    type: Date
+  },
+  // Share of every new income set aside for this goal while it is active
+  autoAllocatePercent: {
+    type: Number,
+    min: [0, 'Auto-allocation cannot be negative'],
+    max: [100, 'Auto-allocation cannot exceed 100%'],
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed'],
+    default: 'active'
+  },
+  completedAt: {
+    type: Date
+  },
+  contributions: [contributionSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+goalSchema.index({ user: 1, status: 1 });
+goalSchema.index({ 'contributions.income': 1 }, { sparse: true });
+
+goalSchema.methods.savedAmount = function() {
+  const total = this.contributions.reduce((sum, contribution) => sum + contribution.amount, 0);
+  return Math.round(total * 100) / 100;
+};
+
+// Marks the goal completed once contributions reach the target, and
+// reopens it if a removed contribution takes it back under
+goalSchema.methods.refreshStatus = function() {
+  const reached = this.savedAmount() >= this.targetAmount;
+  if (reached && this.status !== 'completed') {
+    this.status = 'completed';
+    this.completedAt = new Date();
+  } else if (!reached && this.status === 'completed') {
+    this.status = 'active';
+    this.completedAt = undefined;
+  }
+};
+
+module.exports = mongoose.model('Goal', goalSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const GROUP_ROLES = ['owner', 'editor', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Owners manage the group and its members, editors add and change
+  // transactions, viewers only read
+  role: {
+    type: String,
+    enum: GROUP_ROLES,
+    default: 'editor'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pending until a user signed up with this email accepts or declines it
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    default: 'editor'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A shared ledger, e.g. a household or flatmates; its transactions carry `group`
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [60, 'Group name cannot exceed 60 characters']
+  },
+  // The group's totals are kept in this currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  members: [memberSchema],
+  invitations: [invitationSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+groupSchema.index({ 'members.user': 1 });
+groupSchema.index({ 'invitations.email': 1 });
+
+groupSchema.methods.findMember = function findMember(userId) {
+  return this.members.find(member => (member.user._id || member.user).toString() === userId.toString()) || null;
+};
+
+groupSchema.methods.roleOf = function roleOf(userId) {
+  const member = this.findMember(userId);
+  return member ? member.role : null;
+};
+
+module.exports = mongoose.model('Group', groupSchema);
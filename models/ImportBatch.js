@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One committed statement upload; every record it created points back here
+// so the whole batch can be rolled back
+const importBatchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    required: true,
+    enum: ['csv', 'ofx', 'qfx', 'qif']
+  },
+  filename: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['committed', 'rolled_back'],
+    default: 'committed'
+  },
+  // Column mapping and parsing options used for the batch
+  options: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  counts: {
+    rows: { type: Number, default: 0 },
+    incomes: { type: Number, default: 0 },
+    expenses: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 }
+  },
+  rolledBackAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+importBatchSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
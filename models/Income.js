@@ -1,11 +1,18 @@
 const mongoose = require('mongoose');
 
 const incomeSchema = new mongoose.Schema({
+  // Who recorded it; for a group transaction, the member who added it
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Set when the transaction belongs to a shared group's ledger
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
   title: {
     type: String,
     required: [true, 'Income title is required'],
@@ -16,15 +23,47 @@ const incomeSchema = new mongoose.Schema({
     required: [true, 'Amount is required'],
     min: 0
   },
+  // Amount is stored in `currency`; baseAmount is its value in the user's base currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  baseAmount: {
+    type: Number
+  },
+  // Optional; when set, `currency` must match the account's currency
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // Name of one of the user's categories; validated by utils/categories
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: ['Food', 'Transport', 'Entertainment', 'Healthcare', 'Shopping', 'Bills', 'Education', 'Other']
+    trim: true
   }, 
   description: {
     type: String,
     trim: true
   },
+  // Free-form labels that cut across categories, e.g. "vacation-2026";
+  // stored normalized by utils/tags
+  tags: {
+    type: [String],
+    default: []
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
   // New field for icon/emoji
   icon: {
     type: String,
@@ -35,10 +74,41 @@ const incomeSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Set on records generated from a recurring rule
+  recurringRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringRule'
+  },
+  occurrenceDate: {
+    type: Date
+  },
+  // Set on records created by a statement import, for rollback
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch'
+  },
+  // Bank transaction id (OFX FITID or QIF fingerprint) that keeps re-imports idempotent
+  externalId: {
+    type: String
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+incomeSchema.index({ user: 1, date: -1 });
+incomeSchema.index({ user: 1, tags: 1 });
+incomeSchema.index({ group: 1, date: -1 });
+incomeSchema.index({ importBatch: 1 }, { sparse: true });
+incomeSchema.index({ account: 1, date: 1 }, { sparse: true });
+incomeSchema.index(
+  { user: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $exists: true } } }
+);
+incomeSchema.index(
+  { recurringRule: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringRule: { $exists: true } } }
+);
+
 module.exports = mongoose.model('Income', incomeSchema);
\ No newline at end of file
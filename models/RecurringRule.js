@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const recurringRuleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Type is required'],
+    enum: ['income', 'expense']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // Name of one of the user's categories; validated by utils/categories
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  cadence: {
+    type: String,
+    required: [true, 'Cadence is required'],
+    enum: ['weekly', 'monthly', 'yearly']
+  },
+  // Every N weeks/months/years
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Custom day of month for monthly rules; clamped to the month's last day
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date
+  },
+  skippedDates: [{
+    type: Date
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Set when a series is edited going forward; points at the rule it replaced
+  previousRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringRule'
+  },
+  materializedThrough: {
+    type: Date
+  },
+  lastMaterializedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+recurringRuleSchema.pre('validate', function(next) {
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after start date');
+  }
+  next();
+});
+
+recurringRuleSchema.index({ user: 1, active: 1 });
+
+module.exports = mongoose.model('RecurringRule', recurringRuleSchema);
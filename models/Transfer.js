@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Money moved between two of a user's accounts. Kept apart from
+// Income/Expense so it never counts as earning or spending.
+const transferSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fromAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Source account is required']
+  },
+  toAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Destination account is required']
+  },
+  // In the source account's currency
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be positive']
+  },
+  // In the destination account's currency; equals amount unless they differ
+  toAmount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be positive']
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+transferSchema.index({ user: 1, date: -1 });
+transferSchema.index({ fromAccount: 1, date: 1 });
+transferSchema.index({ toAccount: 1, date: 1 });
+
+module.exports = mongoose.model('Transfer', transferSchema);
@@ -19,26 +19,118 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // Set once the user opens the link mailed to `email`; cleared when it changes
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
     minlength: 6
   },
+  // Admins can use /api/admin
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Suspended users can't log in and their existing tokens stop working
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  },
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspendedReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  // Currency all totals and reports are converted into
+  baseCurrency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
   profileImage: {
     type: String,
     default: null
   },
+  // Where the profile image lives, for backends that serve signed URLs
+  profileImageKey: {
+    type: String,
+    default: null
+  },
+  profileImageStorage: {
+    type: String,
+    enum: ['cloudinary', 'local', 's3', null],
+    default: null
+  },
+  // TOTP two-factor authentication. Secrets are stored encrypted and, like
+  // the recovery code hashes, only loaded when explicitly selected.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Set by setup, moved to `secret` once a code from it is confirmed
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Last time step a code was accepted for, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: { type: Date, default: null }
+      }],
+      select: false
+    },
+    // Wrong codes since the password was last entered at login
+    failedAttempts: {
+      type: Number,
+      default: 0
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
-userSchema.pre('save', async function(next) {
+// Only a new or changed password is hashed; re-hashing the stored hash
+// would lock the user out
+userSchema.pre('save', async function() {
   if (!this.isModified('password')) {
-    next();
+    return;
   }
-  
+
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
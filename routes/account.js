@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  getAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  getAccountLedger,
+  reconcileAccount
+} = require('../controllers/accountController');
+const { protect } = require('../middleware/auth');
+const router = express.Router();
+
+router.route('/')
+  .get(protect, getAccounts)
+  .post(protect, createAccount);
+
+router.route('/:id')
+  .get(protect, getAccount)
+  .put(protect, updateAccount)
+  .delete(protect, deleteAccount);
+
+router.get('/:id/ledger', protect, getAccountLedger);
+router.post('/:id/reconcile', protect, reconcileAccount);
+
+module.exports = router;
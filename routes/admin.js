@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getUsers,
+  getUser,
+  suspendUser,
+  reactivateUser,
+  forceLogout,
+  getStats,
+  getAuditLog
+} = require('../controllers/adminController');
+const { protect, admin } = require('../middleware/auth');
+const router = express.Router();
+
+router.get('/users', protect, admin, getUsers);
+router.get('/users/:id', protect, admin, getUser);
+router.post('/users/:id/suspend', protect, admin, suspendUser);
+router.post('/users/:id/reactivate', protect, admin, reactivateUser);
+router.post('/users/:id/logout', protect, admin, forceLogout);
+router.get('/stats', protect, admin, getStats);
+router.get('/audit', protect, admin, getAuditLog);
+
+module.exports = router;
@@ -1,12 +1,52 @@
 const express = require('express');
-const { register, login, updateProfile, getProfile } = require('../controllers/authController');
+const {
+  register,
+  login,
+  loginTwoFactor,
+  refreshToken,
+  requestEmailVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  updateProfile,
+  changePassword,
+  getProfile
+} = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../controllers/twoFactorController');
 const { protect } = require('../middleware/auth');
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/refresh', refreshToken);
+router.post('/logout', protect, logout);
+router.post('/verify-email/request', requestEmailVerification);
+router.post('/verify-email', verifyEmail);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.route('/sessions')
+  .get(protect, getSessions)
+  .delete(protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 router.put('/profile', protect, updateProfile);
 router.get('/profile', protect, getProfile);
+router.put('/password', protect, changePassword);
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+router.post('/2fa/disable', protect, disableTwoFactor);
 // Handle undefined routes
 router.all('*', (req, res) => {
   res.status(404).json({
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getBudgets,
+  getBudget,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetStatus
+} = require('../controllers/budgetController');
+const { protect } = require('../middleware/auth');
+const router = express.Router();
+
+router.route('/')
+  .get(protect, getBudgets)
+  .post(protect, createBudget);
+
+// Must be registered before /:id so "status" isn't treated as an id
+router.get('/status', protect, getBudgetStatus);
+
+router.route('/:id')
+  .get(protect, getBudget)
+  .put(protect, updateBudget)
+  .delete(protect, deleteBudget);
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
-const { getDashboardData } = require('../controllers/dashboardController');
+const { getDashboardData, getFinancialOverview, getMonthlyStatement } = require('../controllers/dashboardController');
 const { protect } = require('../middleware/auth');
 const router = express.Router();
 
 router.get('/', protect, getDashboardData);
+router.get('/overview', protect, getFinancialOverview);
+router.get('/statement', protect, getMonthlyStatement);
 
 module.exports = router;
\ No newline at end of file
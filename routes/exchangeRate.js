@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getExchangeRates,
+  createExchangeRates,
+  deleteExchangeRate,
+  convertAmount,
+  recalculateRates
+} = require('../controllers/exchangeRateController');
+const { protect } = require('../middleware/auth');
+const router = express.Router();
+
+router.route('/')
+  .get(protect, getExchangeRates)
+  .post(protect, createExchangeRates);
+
+// Must be registered before /:id
+router.get('/convert', protect, convertAmount);
+router.post('/recalculate', protect, recalculateRates);
+
+router.delete('/:id', protect, deleteExchangeRate);
+
+module.exports = router;
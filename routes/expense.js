@@ -4,9 +4,17 @@ const {
   addExpense, 
   deleteExpense, 
   downloadExpenses,
+  exportExpenses,
   updateExpense,
   getExpense
 } = require('../controllers/expenseController');
+const {
+  getAttachments,
+  addAttachments,
+  getAttachmentFile,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const { scanReceipt } = require('../controllers/receiptController');
 const { protect } = require('../middleware/auth');
 const router = express.Router();
 
@@ -14,11 +22,22 @@ router.route('/')
   .get(protect, getExpenses)
   .post(protect, addExpense);
 
+// Must be registered before /:id so "export" and "scan" aren't treated as ids
+router.get('/export', protect, exportExpenses);
+router.post('/scan', protect, scanReceipt);
+
 router.route('/:id')
   .get(protect, getExpense)
   .put(protect, updateExpense)
   .delete(protect, deleteExpense);
 
+router.route('/:id/attachments')
+  .get(protect, getAttachments)
+  .post(protect, addAttachments);
+
+router.get('/:id/attachments/:attachmentId/file', protect, getAttachmentFile);
+router.delete('/:id/attachments/:attachmentId', protect, deleteAttachment);
+
 router.get('/download/report', protect, downloadExpenses);
 
 module.exports = router;
\ No newline at end of file
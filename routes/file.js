@@ -0,0 +1,9 @@
+const express = require('express');
+const { serveFile } = require('../controllers/fileController');
+const router = express.Router();
+
+// No `protect`: these links are handed to <img> tags and downloads, so the
+// signed query string authenticates the request instead of a bearer token
+router.get('/*', serveFile);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const {
+  getGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  addContribution,
+  deleteContribution,
+  getGoalsProgress,
+  getGoalProgress
+} = require('../controllers/goalController');
+const { protect } = require('../middleware/auth');
+const router = express.Router();
+
+router.route('/')
+  .get(protect, getGoals)
+  .post(protect, createGoal);
+
+// Must be registered before /:id so "progress" isn't treated as an id
+router.get('/progress', protect, getGoalsProgress);
+
+router.route('/:id')
+  .get(protect, getGoal)
+  .put(protect, updateGoal)
+  .delete(protect, deleteGoal);
+
+router.get('/:id/progress', protect, getGoalProgress);
+router.post('/:id/contributions', protect, addContribution);
+router.delete('/:id/contributions/:contributionId', protect, deleteContribution);
+
+module.exports = router;
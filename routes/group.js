@@ -0,0 +1,40 @@
+const express = require('express');
+const {
+  getGroups,
+  createGroup,
+  getMyInvitations,
+  getGroup,
+  updateGroup,
+  deleteGroup,
+  inviteMember,
+  cancelInvitation,
+  acceptInvitation,
+  declineInvitation,
+  updateMember,
+  removeMember
+} = require('../controllers/groupController');
+const { protect } = require('../middleware/auth');
+const router = express.Router();
+
+router.route('/')
+  .get(protect, getGroups)
+  .post(protect, createGroup);
+
+// Must be registered before /:id so "invitations" isn't treated as an id
+router.get('/invitations', protect, getMyInvitations);
+
+router.route('/:id')
+  .get(protect, getGroup)
+  .put(protect, updateGroup)
+  .delete(protect, deleteGroup);
+
+router.post('/:id/invitations', protect, inviteMember);
+router.delete('/:id/invitations/:invitationId', protect, cancelInvitation);
+router.post('/:id/accept', protect, acceptInvitation);
+router.post('/:id/decline', protect, declineInvitation);
+
+router.route('/:id/members/:userId')
+  .put(protect, updateMember)
+  .delete(protect, removeMember);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  previewCsvImport,
+  commitCsvImport,
+  previewStatementImport,
+  commitStatementImport,
+  getImports,
+  getImport,
+  rollbackImportBatch
+} = require('../controllers/importController');
+const { protect } = require('../middleware/auth');
+const router = express.Router();
+
+router.get('/', protect, getImports);
+
+router.post('/csv/preview', protect, previewCsvImport);
+router.post('/csv', protect, commitCsvImport);
+
+// OFX, QFX and QIF
+router.post('/statement/preview', protect, previewStatementImport);
+router.post('/statement', protect, commitStatementImport);
+
+router.get('/:id', protect, getImport);
+router.post('/:id/rollback', protect, rollbackImportBatch);
+
+module.exports = router;
@@ -4,7 +4,9 @@ const {
   addIncome, 
   deleteIncome, 
   updateIncome,
-  getIncome
+  getIncome,
+  downloadIncomes,
+  exportIncomes
 } = require('../controllers/incomeController');
 const { protect } = require('../middleware/auth');
 const router = express.Router();
@@ -13,9 +15,14 @@ router.route('/')
   .get(protect, getIncomes)    // GET all incomes for user
   .post(protect, addIncome);   // CREATE new income
 
+// Must be registered before /:id so "export" isn't treated as an id
+router.get('/export', protect, exportIncomes);
+
 router.route('/:id')
   .get(protect, getIncome)        // GET single income
   .put(protect, updateIncome)     // UPDATE income
   .delete(protect, deleteIncome); // DELETE income
 
+router.get('/download/report', protect, downloadIncomes);
+
 module.exports = router;
\ No newline at end of file
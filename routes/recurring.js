@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getRecurringRules,
+  getRecurringRule,
+  createRecurringRule,
+  updateRecurringRule,
+  deleteRecurringRule,
+  skipOccurrence,
+  getUpcomingOccurrences,
+  materializeRecurring
+} = require('../controllers/recurringController');
+const { protect } = require('../middleware/auth');
+const router = express.Router();
+
+router.route('/')
+  .get(protect, getRecurringRules)
+  .post(protect, createRecurringRule);
+
+router.get('/upcoming', protect, getUpcomingOccurrences);
+router.post('/materialize', protect, materializeRecurring);
+
+router.route('/:id')
+  .get(protect, getRecurringRule)
+  .put(protect, updateRecurringRule)
+  .delete(protect, deleteRecurringRule);
+
+router.post('/:id/skip', protect, skipOccurrence);
+
+module.exports = router;
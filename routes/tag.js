@@ -0,0 +1,10 @@
+const express = require('express');
+const { getTags, renameTag, mergeTags } = require('../controllers/tagController');
+const { protect } = require('../middleware/auth');
+const router = express.Router();
+
+router.get('/', protect, getTags);
+router.post('/merge', protect, mergeTags);
+router.put('/:tag', protect, renameTag);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const {
+  getTransfers,
+  createTransfer,
+  deleteTransfer
+} = require('../controllers/transferController');
+const { protect } = require('../middleware/auth');
+const router = express.Router();
+
+router.route('/')
+  .get(protect, getTransfers)
+  .post(protect, createTransfer);
+
+router.delete('/:id', protect, deleteTransfer);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+// Generates all due transactions for every user's recurring rules.
+// Run from cron or by hand: npm run recurring:materialize
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { materializeDueTransactions } = require('../utils/recurrence');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const result = await materializeDueTransactions();
+    console.log(`Created ${result.created.length} transaction(s) from ${result.rulesProcessed} recurring rule(s)`);
+  } catch (error) {
+    console.error('Recurring materialization failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
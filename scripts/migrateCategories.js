@@ -0,0 +1,28 @@
+// Gives every existing user their own categories: the defaults plus any
+// category names already on their records. Safe to run more than once.
+// Run once after upgrading: npm run categories:migrate
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ensureUserCategories } = require('../utils/categories');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    let users = 0;
+    let created = 0;
+    for await (const user of User.find().select('_id').cursor()) {
+      users += 1;
+      created += await ensureUserCategories(user._id);
+    }
+    console.log(`Created ${created} categor${created === 1 ? 'y' : 'ies'} for ${users} user(s)`);
+  } catch (error) {
+    console.error('Category migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
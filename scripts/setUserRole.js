@@ -0,0 +1,35 @@
+// Makes a user an admin, or back into a regular user. Admins manage other
+// users through /api/admin, so the first one has to be created here.
+// Usage: npm run users:set-role -- someone@example.com admin
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const run = async () => {
+  const [email, role = 'admin'] = process.argv.slice(2);
+
+  if (!email || !['user', 'admin'].includes(role)) {
+    console.error('Usage: npm run users:set-role -- <email> [admin|user]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const result = await User.updateOne({ email: email.toLowerCase().trim() }, { role });
+    if (result.matchedCount === 0) {
+      console.error(`No user found with email ${email}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`${email} is now ${role === 'admin' ? 'an admin' : 'a regular user'}`);
+    }
+  } catch (error) {
+    console.error('Setting the role failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const Transfer = require('../models/Transfer');
+const Account = require('../models/Account');
+const { calculateAccountBalances } = require('../utils/accounts');
+const { createTransfer } = require('../controllers/transferController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Answers the { $match, $group } sums calculateAccountBalances runs
+const fakeAggregate = (records) => async ([{ $match }, { $group }]) => {
+  const accountField = Object.keys($match).find(key => key !== 'date');
+  const accountIds = $match[accountField].$in.map(String);
+  const amountField = $group.total.$sum.slice(1);
+  const totals = new Map();
+
+  records
+    .filter(record => accountIds.includes(String(record[accountField])))
+    .filter(record => !$match.date || record.date <= $match.date.$lte)
+    .forEach(record => {
+      const key = String(record[accountField]);
+      totals.set(key, (totals.get(key) || 0) + record[amountField]);
+    });
+
+  return [...totals].map(([key, total]) => ({ _id: key, total }));
+};
+
+function stubLedger(t, { incomes = [], expenses = [], transfers = [] }) {
+  t.mock.method(Income, 'aggregate', fakeAggregate(incomes));
+  t.mock.method(Expense, 'aggregate', fakeAggregate(expenses));
+  t.mock.method(Transfer, 'aggregate', fakeAggregate(transfers));
+}
+
+const balancesOf = async (accounts, asOf) => {
+  const balances = await calculateAccountBalances(accounts, asOf);
+  return accounts.map(account => balances.get(account._id.toString()));
+};
+
+test('a transfer leaves one account exactly as it enters the other', async (t) => {
+  const checking = { _id: id(), currency: 'USD', openingBalance: 500 };
+  const savings = { _id: id(), currency: 'USD', openingBalance: 1000 };
+  stubLedger(t, {
+    transfers: [{ fromAccount: checking._id, toAccount: savings._id, amount: 125.5, toAmount: 125.5, date: new Date('2026-01-10') }]
+  });
+
+  const [from, to] = await balancesOf([checking, savings]);
+
+  assert.deepEqual([from, to], [374.5, 1125.5]);
+  assert.equal(from + to, checking.openingBalance + savings.openingBalance);
+});
+
+test('a cross-currency transfer debits the sent amount and credits the received one', async (t) => {
+  const dollars = { _id: id(), currency: 'USD', openingBalance: 200 };
+  const euros = { _id: id(), currency: 'EUR', openingBalance: 0 };
+  stubLedger(t, {
+    transfers: [{ fromAccount: dollars._id, toAccount: euros._id, amount: 100, toAmount: 92.35, date: new Date('2026-01-10') }]
+  });
+
+  assert.deepEqual(await balancesOf([dollars, euros]), [100, 92.35]);
+});
+
+test('combines income, expenses and transfers up to the as-of date', async (t) => {
+  const checking = { _id: id(), currency: 'USD', openingBalance: 100 };
+  const savings = { _id: id(), currency: 'USD', openingBalance: 0 };
+  stubLedger(t, {
+    incomes: [
+      { account: checking._id, amount: 1000, date: new Date('2026-01-01') },
+      { account: checking._id, amount: 50, date: new Date('2026-02-01') }
+    ],
+    expenses: [{ account: checking._id, amount: 0.1, date: new Date('2026-01-02') }],
+    transfers: [{ fromAccount: checking._id, toAccount: savings._id, amount: 0.2, toAmount: 0.2, date: new Date('2026-01-03') }]
+  });
+
+  assert.deepEqual(await balancesOf([checking, savings], new Date('2026-01-31')), [1099.7, 0.2]);
+  assert.deepEqual(await balancesOf([checking, savings]), [1149.7, 0.2]);
+});
+
+test('a same-currency transfer credits exactly what it debits', async (t) => {
+  const user = { _id: id() };
+  const accounts = [
+    { _id: id(), user: user._id, name: 'Checking', currency: 'USD', archived: false },
+    { _id: id(), user: user._id, name: 'Savings', currency: 'USD', archived: false }
+  ];
+  t.mock.method(Account, 'findOne', async ({ _id }) => accounts.find(account => account._id.equals(_id)) || null);
+  const create = t.mock.method(Transfer, 'create', async (fields) => fields);
+
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await createTransfer({
+    user,
+    body: { fromAccount: String(accounts[0]._id), toAccount: String(accounts[1]._id), amount: 50, toAmount: 45 }
+  }, res);
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(create.mock.calls[0].arguments[0].toAmount, 50);
+});
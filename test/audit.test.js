@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { recordAudit, redactDetails } = require('../utils/audit');
+
+const adminRequest = () => ({
+  user: { _id: new mongoose.Types.ObjectId() },
+  ip: '203.0.113.7',
+  get: () => 'Mozilla/5.0 '.repeat(40)
+});
+
+test('records who did what to whom, from where', async (t) => {
+  const create = t.mock.method(AuditLog, 'create', async (entry) => entry);
+  const req = adminRequest();
+  const targetUser = new mongoose.Types.ObjectId();
+
+  await recordAudit(req, 'user.suspend', { targetUser, details: { reason: 'Chargebacks', sessionsRevoked: 2 } });
+
+  const entry = create.mock.calls[0].arguments[0];
+  assert.deepEqual(Object.keys(entry).sort(), ['action', 'actor', 'details', 'ip', 'targetUser', 'userAgent']);
+  assert.equal(entry.actor, req.user._id);
+  assert.equal(entry.action, 'user.suspend');
+  assert.equal(entry.targetUser, targetUser);
+  assert.deepEqual(entry.details, { reason: 'Chargebacks', sessionsRevoked: 2 });
+  assert.equal(entry.ip, '203.0.113.7');
+  assert.equal(entry.userAgent.length, 300);
+});
+
+test('never stores secrets passed in the details', async (t) => {
+  const create = t.mock.method(AuditLog, 'create', async (entry) => entry);
+
+  await recordAudit(adminRequest(), 'users.list', {
+    details: { search: 'ada', password: 'hunter22', nested: { refreshToken: 'abc.def', page: 2 }, codes: [{ code: '123456' }] }
+  });
+
+  assert.deepEqual(create.mock.calls[0].arguments[0].details, {
+    search: 'ada',
+    password: '[redacted]',
+    nested: { refreshToken: '[redacted]', page: 2 },
+    codes: [{ code: '[redacted]' }]
+  });
+  assert.equal(create.mock.calls[0].arguments[0].targetUser, null);
+});
+
+test('leaves ids and dates intact and rejects unknown actions', () => {
+  const id = new mongoose.Types.ObjectId();
+  const at = new Date();
+
+  assert.deepEqual(redactDetails({ actor: id, at, token: undefined }), { actor: id, at, token: undefined });
+  assert.throws(() => recordAudit(adminRequest(), 'user.delete'), /Unknown audit action/);
+});
@@ -0,0 +1,155 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { register, login, loginTwoFactor } = require('../controllers/authController');
+const { generateSecret, generateCode } = require('../utils/totp');
+const { encryptSecret } = require('../utils/twoFactor');
+
+const PASSWORD = 'correct horse 42';
+
+function twoFactorUser() {
+  const secret = generateSecret();
+  const user = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    password: bcrypt.hashSync(PASSWORD, 4),
+    twoFactor: {
+      enabled: true,
+      secret: encryptSecret(secret),
+      lastUsedStep: null,
+      recoveryCodes: [],
+      failedAttempts: 0
+    }
+  });
+  return { user, secret };
+}
+
+// Stands in for the User and Session collections around one user
+function stubDatabase(t, user) {
+  t.mock.method(User, 'findOne', async () => user);
+  t.mock.method(User, 'findById', (id) => ({
+    select: async () => (user._id.equals(id) ? user : null)
+  }));
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    if (update.$set && 'twoFactor.lastUsedStep' in update.$set) {
+      const step = update.$set['twoFactor.lastUsedStep'];
+      if (user.twoFactor.lastUsedStep !== null && user.twoFactor.lastUsedStep >= step) {
+        return { modifiedCount: 0 };
+      }
+      user.twoFactor.lastUsedStep = step;
+    } else if (update.$inc) {
+      user.twoFactor.failedAttempts += 1;
+    } else {
+      user.set(update);
+    }
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(Session, 'create', async (fields) => new Session(fields));
+}
+
+function mockRequest(body) {
+  return { body, ip: '127.0.0.1', get: () => 'node-test' };
+}
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+async function call(handler, body) {
+  const res = mockResponse();
+  await handler(mockRequest(body), res);
+  return res;
+}
+
+test('password login with 2FA on returns a challenge, not tokens', async (t) => {
+  const { user } = twoFactorUser();
+  stubDatabase(t, user);
+
+  const res = await call(login, { email: user.email, password: PASSWORD });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.twoFactorRequired, true);
+  assert.ok(res.body.data.challengeToken);
+  assert.equal(res.body.data.token, undefined);
+  // Signed with its own key, so it is useless as an access token
+  assert.throws(() => jwt.verify(res.body.data.challengeToken, process.env.JWT_SECRET));
+});
+
+test('the challenge and a current code sign the user in, once', async (t) => {
+  const { user, secret } = twoFactorUser();
+  stubDatabase(t, user);
+
+  const challenge = await call(login, { email: user.email, password: PASSWORD });
+  const { challengeToken } = challenge.body.data;
+  const code = generateCode(secret);
+
+  const res = await call(loginTwoFactor, { challengeToken, code });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.email, user.email);
+  assert.equal(jwt.verify(res.body.data.token, process.env.JWT_SECRET).id, user._id.toString());
+  assert.ok(res.body.data.refreshToken);
+
+  const replay = await call(loginTwoFactor, { challengeToken, code });
+  assert.equal(replay.statusCode, 401);
+});
+
+test('a wrong code is rejected and counted', async (t) => {
+  const { user, secret } = twoFactorUser();
+  stubDatabase(t, user);
+
+  const challenge = await call(login, { email: user.email, password: PASSWORD });
+  const wrong = String((Number(generateCode(secret)) + 1) % 1000000).padStart(6, '0');
+
+  const res = await call(loginTwoFactor, { challengeToken: challenge.body.data.challengeToken, code: wrong });
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.message, 'Invalid two-factor code');
+  assert.equal(user.twoFactor.failedAttempts, 1);
+});
+
+test('an access token is not accepted as a challenge', async (t) => {
+  const { user, secret } = twoFactorUser();
+  stubDatabase(t, user);
+
+  const accessToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+  const res = await call(loginTwoFactor, { challengeToken: accessToken, code: generateCode(secret) });
+
+  assert.equal(res.statusCode, 401);
+});
+
+test('registration rejects an invalid base currency', async (t) => {
+  const findOne = t.mock.method(User, 'findOne', async () => null);
+
+  const res = await call(register, {
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    password: PASSWORD,
+    confirmPassword: PASSWORD,
+    baseCurrency: 'US'
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /Invalid currency code/);
+  assert.equal(findOne.mock.callCount(), 0);
+});
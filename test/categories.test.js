@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CATEGORIES, suggestExpenseCategory, suggestIncomeCategory } = require('../utils/categories');
+
+test('suggests an expense category from its keywords', () => {
+  const suggestion = suggestExpenseCategory('Uber ride home', 18, '', DEFAULT_CATEGORIES.expense);
+
+  assert.equal(suggestion.confidence, 'high');
+  assert.notEqual(suggestion.category, 'Other');
+});
+
+test('falls back to the user\'s own categories when nothing matches', () => {
+  const categories = [{ name: 'Household' }, { name: 'Other', archived: true }];
+
+  assert.deepEqual(suggestExpenseCategory('Misc', 900, '', categories), { category: 'Household', confidence: 'low' });
+  assert.deepEqual(suggestIncomeCategory('Misc', '', [{ name: 'Other' }]), { category: 'Other', confidence: 'low' });
+});
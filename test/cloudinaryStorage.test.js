@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cloudinary } = require('../config/realCloudinary');
+const createCloudinaryStorage = require('../utils/storage/cloudinaryStorage');
+
+cloudinary.config({ cloud_name: 'demo', api_key: '1234', api_secret: 'test-secret' });
+
+test('uploads receipts as authenticated resources without a public URL', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const upload = t.mock.method(cloudinary.uploader, 'upload', async (data, options) => ({
+    public_id: `${options.folder}/${options.public_id}`,
+    format: 'pdf',
+    resource_type: 'image',
+    secure_url: 'https://res.cloudinary.com/demo/image/authenticated/receipt.pdf'
+  }));
+
+  const stored = await createCloudinaryStorage().put(Buffer.from('%PDF-1.4'), {
+    key: 'expense-tracker/receipts/1700000000000-abc.pdf',
+    contentType: 'application/pdf'
+  });
+
+  assert.equal(upload.mock.calls[0].arguments[1].type, 'authenticated');
+  assert.deepEqual(stored, { key: 'expense-tracker/receipts/1700000000000-abc.pdf', resourceType: 'image' });
+});
+
+test('reads authenticated files through signed URLs that expire', async () => {
+  const before = Math.floor(Date.now() / 1000);
+  const url = new URL(await createCloudinaryStorage().getUrl('expense-tracker/receipts/1700000000000-abc.pdf', {
+    resourceType: 'image',
+    expiresIn: 600
+  }));
+
+  assert.equal(url.searchParams.get('public_id'), 'expense-tracker/receipts/1700000000000-abc');
+  assert.equal(url.searchParams.get('format'), 'pdf');
+  assert.equal(url.searchParams.get('type'), 'authenticated');
+  assert.ok(url.searchParams.get('signature'));
+  assert.ok(Number(url.searchParams.get('expires_at')) >= before + 600);
+});
+
+test('keeps the public URL of files uploaded before they went private', async () => {
+  const url = 'https://res.cloudinary.com/demo/image/upload/v1/expense-tracker/receipts/old.jpg';
+
+  assert.equal(await createCloudinaryStorage().getUrl('expense-tracker/receipts/old', { url, expiresIn: 600 }), url);
+});
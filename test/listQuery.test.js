@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, buildTransactionFilter, parseSort } = require('../utils/listQuery');
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+test('round-trips a cursor for date, amount and title sorts', () => {
+  const doc = { _id: new mongoose.Types.ObjectId(), date: new Date('2026-01-15T10:00:00Z'), amount: 42.5, title: 'Rent' };
+
+  const byDate = decodeCursor(encodeCursor(doc, 'date'), 'date');
+  assert.ok(byDate.value instanceof Date);
+  assert.equal(byDate.value.getTime(), doc.date.getTime());
+  assert.ok(byDate.id.equals(doc._id));
+
+  assert.equal(decodeCursor(encodeCursor(doc, 'amount'), 'amount').value, 42.5);
+  assert.equal(decodeCursor(encodeCursor(doc, 'title'), 'title').value, 'Rent');
+  assert.equal(decodeCursor(encodeCursor({ _id: doc._id }, 'category'), 'category').value, null);
+});
+
+test('rejects garbage and tampered cursors with a 400', () => {
+  const id = new mongoose.Types.ObjectId().toString();
+  const cursors = [
+    'not-a-cursor!!',
+    Buffer.from('{"value":').toString('base64url'),
+    encode(null),
+    encode({ value: 10, id: 'not-an-id' }),
+    encode({ value: 'yesterday-ish', id })
+  ];
+
+  for (const cursor of cursors) {
+    assert.throws(() => decodeCursor(cursor, 'date'), { statusCode: 400, message: 'Invalid cursor' }, cursor);
+  }
+});
+
+test('builds filters from query parameters and rejects bad ones', () => {
+  const scope = { user: 'u1', group: null };
+  const filter = buildTransactionFilter(scope, { category: 'Food,Bills', minAmount: '10', tags: 'Trip', search: 'a.b' });
+
+  assert.deepEqual(filter.$and, [{ $or: [{ category: { $in: ['Food', 'Bills'] } }, { 'splits.category': { $in: ['Food', 'Bills'] } }] }]);
+  assert.deepEqual(filter.amount, { $gte: 10 });
+  assert.ok(filter.$or[0].title.test('A.B'));
+  assert.equal(filter.$or[0].title.test('axb'), false);
+
+  assert.throws(() => buildTransactionFilter(scope, { minAmount: 'ten' }), { statusCode: 400 });
+  assert.throws(() => buildTransactionFilter(scope, { account: 'nope' }), { statusCode: 400 });
+  assert.throws(() => buildTransactionFilter(scope, { from: '2026-02-01', to: '2026-01-01' }), { statusCode: 400 });
+});
+
+test('parses the sort and rejects unknown fields', () => {
+  assert.deepEqual(parseSort({}), { sortBy: 'date', direction: -1 });
+  assert.deepEqual(parseSort({ sortBy: 'amount', order: 'ASC' }), { sortBy: 'amount', direction: 1 });
+  assert.throws(() => parseSort({ sortBy: 'password' }), { statusCode: 400 });
+  assert.throws(() => parseSort({ order: 'sideways' }), { statusCode: 400 });
+});
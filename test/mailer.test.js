@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getDefaultDriver, sendMail } = require('../utils/mailer');
+const createConsoleMailer = require('../utils/mailer/consoleMailer');
+
+const MAIL_ENV = ['NODE_ENV', 'MAIL_DRIVER', 'SMTP_HOST'];
+
+// Runs `fn` with only the given mail settings, restoring the real ones after
+async function withEnv(values, fn) {
+  const saved = Object.fromEntries(MAIL_ENV.map(key => [key, process.env[key]]));
+  for (const key of MAIL_ENV) {
+    if (values[key] === undefined) delete process.env[key];
+    else process.env[key] = values[key];
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+test('production refuses to pick a mail driver on its own', async () => {
+  await withEnv({ NODE_ENV: 'production' }, async () => {
+    assert.throws(() => getDefaultDriver(), /No mail transport configured/);
+    await assert.rejects(sendMail({ to: 'ada@example.com', subject: 'Hi', text: 'Hi' }), /No mail transport configured/);
+  });
+});
+
+test('production uses SMTP or an explicit driver when configured', async () => {
+  await withEnv({ NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com' }, () => {
+    assert.equal(getDefaultDriver(), 'smtp');
+  });
+  await withEnv({ NODE_ENV: 'production', MAIL_DRIVER: 'console' }, () => {
+    assert.equal(getDefaultDriver(), 'console');
+  });
+  await withEnv({ NODE_ENV: 'development' }, () => {
+    assert.equal(getDefaultDriver(), 'file');
+  });
+});
+
+test('the console driver never logs a usable account link', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+
+  await createConsoleMailer().send({
+    to: 'ada@example.com',
+    subject: 'Reset your password',
+    text: 'Open https://app.example.com/reset-password?token=abc.def-123 to reset'
+  });
+
+  const output = log.mock.calls[0].arguments[0];
+  assert.match(output, /reset-password\?token=\[redacted\] to reset/);
+  assert.doesNotMatch(output, /abc\.def-123/);
+});
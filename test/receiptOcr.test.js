@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReceiptText } = require('../utils/receiptOcr');
+
+test('reads a labelled total and the tax lines', () => {
+  const receipt = parseReceiptText([
+    'CORNER MARKET',
+    '12 High Street',
+    '03/14/2026 10:42',
+    'Milk 2.49',
+    'Bread 3.10',
+    'Subtotal 5.59',
+    'Tax 0.45',
+    'TOTAL 6.04'
+  ].join('\n'));
+
+  assert.equal(receipt.merchant, 'CORNER MARKET');
+  assert.equal(receipt.date, '2026-03-14');
+  assert.equal(receipt.total, 6.04);
+  assert.equal(receipt.tax, 0.45);
+});
+
+test('does not read a dotted date as the total', () => {
+  const receipt = parseReceiptText('Cafe Nero\nDate: 15.01.2026\nLatte 3,20\nMwSt 19% 0,51\nSumme 3,20 EUR');
+
+  assert.equal(receipt.date, '2026-01-15');
+  assert.equal(receipt.total, 3.2);
+  assert.equal(receipt.tax, 0.51);
+  assert.equal(receipt.currency, 'EUR');
+});
+
+test('ignores two-digit-year dates when falling back to the largest figure', () => {
+  const receipt = parseReceiptText('KIOSK\n15.01.26\nWater 2,00');
+
+  assert.equal(receipt.total, 2);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const { getOccurrences, materializeRule } = require('../utils/recurrence');
+
+const rule = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  type: 'expense',
+  title: 'Rent',
+  amount: 1200,
+  currency: 'USD',
+  cadence: 'monthly',
+  interval: 1,
+  skippedDates: [],
+  active: true,
+  ...fields
+});
+
+const days = (dates) => dates.map(date => moment(date).format('YYYY-MM-DD'));
+
+test('clamps monthly rules to the last day of shorter months', () => {
+  const monthEnd = rule({ startDate: moment('2024-01-31').toDate() });
+
+  assert.deepEqual(days(getOccurrences(monthEnd, '2024-01-01', '2024-04-30')), [
+    '2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30'
+  ]);
+  assert.deepEqual(days(getOccurrences(monthEnd, '2025-02-01', '2025-02-28')), ['2025-02-28']);
+});
+
+test('steps by the interval and respects weekly and yearly cadences', () => {
+  const quarterly = rule({ startDate: moment('2024-01-15').toDate(), interval: 3 });
+  const fortnightly = rule({ startDate: moment('2024-01-01').toDate(), cadence: 'weekly', interval: 2 });
+  const yearly = rule({ startDate: moment('2024-02-29').toDate(), cadence: 'yearly' });
+
+  assert.deepEqual(days(getOccurrences(quarterly, '2024-01-01', '2024-12-31')), [
+    '2024-01-15', '2024-04-15', '2024-07-15', '2024-10-15'
+  ]);
+  assert.deepEqual(days(getOccurrences(fortnightly, '2024-01-01', '2024-02-01')), [
+    '2024-01-01', '2024-01-15', '2024-01-29'
+  ]);
+  assert.deepEqual(days(getOccurrences(yearly, '2024-01-01', '2025-12-31')), ['2024-02-29', '2025-02-28']);
+});
+
+test('leaves out skipped dates and stops at the end date', () => {
+  const weekly = rule({
+    startDate: moment('2024-03-04').toDate(),
+    cadence: 'weekly',
+    skippedDates: [moment('2024-03-11').toDate()],
+    endDate: moment('2024-03-25').toDate()
+  });
+
+  assert.deepEqual(days(getOccurrences(weekly, '2024-03-01', '2024-12-31')), [
+    '2024-03-04', '2024-03-18', '2024-03-25'
+  ]);
+  assert.deepEqual(getOccurrences(weekly, '2024-04-01', '2024-04-30'), []);
+});
+
+test('materializing twice never creates a transaction twice', async (t) => {
+  const stored = new Map();
+  const upsert = t.mock.method(Expense, 'updateOne', async (filter, update) => {
+    const key = `${filter.recurringRule}:${filter.occurrenceDate.toISOString()}`;
+    if (stored.has(key)) return { upsertedCount: 0 };
+    const _id = new mongoose.Types.ObjectId();
+    stored.set(key, { _id, ...update.$setOnInsert });
+    return { upsertedCount: 1, upsertedId: _id };
+  });
+  t.mock.method(User, 'findById', () => ({ select: async () => ({ baseCurrency: 'USD' }) }));
+
+  const rent = rule({ startDate: moment('2024-01-31').toDate(), save: async () => {} });
+  const until = moment('2024-03-31').endOf('day').toDate();
+
+  const first = await materializeRule(rent, until);
+  // Even with the watermark gone, the (rule, occurrence) key stops duplicates
+  rent.materializedThrough = null;
+  const second = await materializeRule(rent, until);
+
+  assert.equal(first.length, 3);
+  assert.equal(second.length, 0);
+  assert.equal(stored.size, 3);
+  assert.deepEqual(Object.keys(upsert.mock.calls[0].arguments[0]), ['recurringRule', 'occurrenceDate']);
+  assert.ok([...stored.values()].every(expense => expense.baseAmount === 1200 && expense.currency === 'USD'));
+});
@@ -0,0 +1,70 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { issueSession, rotateRefreshToken } = require('../utils/sessions');
+
+const request = { get: () => 'node-test', ip: '127.0.0.1' };
+
+// Just enough of the Session collection for the rotation queries
+function stubSessionStore(t) {
+  const sessions = new Map();
+
+  t.mock.method(Session, 'create', async (fields) => {
+    const session = new Session(fields);
+    sessions.set(session._id.toString(), session);
+    return session;
+  });
+  t.mock.method(Session, 'findById', async (id) => sessions.get(id.toString()) || null);
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = sessions.get(filter._id.toString());
+    if (!session || session.tokenHash !== filter.tokenHash || session.revokedAt !== filter.revokedAt) {
+      return null;
+    }
+    return session.set(update);
+  });
+  t.mock.method(Session, 'updateOne', async (filter, update) => {
+    const session = sessions.get(filter._id.toString());
+    if (!session || session.revokedAt) return { modifiedCount: 0 };
+    session.set(update);
+    return { modifiedCount: 1 };
+  });
+
+  return sessions;
+}
+
+test('rotates the refresh token on every use', async (t) => {
+  stubSessionStore(t);
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  const issued = await issueSession(user, request);
+  const rotated = await rotateRefreshToken(issued.refreshToken);
+
+  assert.notEqual(rotated.refreshToken, issued.refreshToken);
+  assert.equal(rotated.refreshToken.split('.')[0], issued.refreshToken.split('.')[0]);
+  assert.ok(await rotateRefreshToken(rotated.refreshToken));
+});
+
+test('reusing a refresh token revokes the whole session', async (t) => {
+  const sessions = stubSessionStore(t);
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  const issued = await issueSession(user, request);
+  const rotated = await rotateRefreshToken(issued.refreshToken);
+
+  await assert.rejects(rotateRefreshToken(issued.refreshToken), { statusCode: 401, message: /already been used/ });
+
+  const [session] = sessions.values();
+  assert.equal(session.revokedReason, 'reuse_detected');
+  // The token handed out before the reuse dies with the family
+  await assert.rejects(rotateRefreshToken(rotated.refreshToken), { statusCode: 401, message: /Invalid or expired/ });
+});
+
+test('rejects malformed refresh tokens', async (t) => {
+  stubSessionStore(t);
+
+  await assert.rejects(rotateRefreshToken('not-a-token'), { statusCode: 401 });
+  await assert.rejects(rotateRefreshToken(`${new mongoose.Types.ObjectId()}.secret`), { statusCode: 401 });
+});
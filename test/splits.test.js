@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Category = require('../models/Category');
+const { resolveSplits, splitsMatchAmount, primarySplitCategory, expandSplits } = require('../utils/splits');
+
+const CATEGORIES = ['Food & Dining', 'Household', 'Entertainment'];
+
+// The user's expense categories, without a database
+function stubCategories(t) {
+  t.mock.method(Category, 'exists', async () => true);
+  t.mock.method(Category, 'findOne', async ({ name }) => {
+    const match = CATEGORIES.find(category => name.test(category));
+    return match ? { name: match, archived: false } : null;
+  });
+}
+
+test('accepts split lines that add up to the expense amount', async (t) => {
+  stubCategories(t);
+
+  const lines = await resolveSplits('user', [
+    { amount: '60.10', category: 'food & dining', note: 'Groceries' },
+    { amount: 39.9, category: 'Household' }
+  ], 100);
+
+  assert.deepEqual(lines, [
+    { amount: 60.1, category: 'Food & Dining', note: 'Groceries' },
+    { amount: 39.9, category: 'Household', note: undefined }
+  ]);
+  assert.equal(primarySplitCategory(lines), 'Food & Dining');
+});
+
+test('rejects split lines that do not add up to the expense amount', async (t) => {
+  stubCategories(t);
+
+  await assert.rejects(
+    resolveSplits('user', [{ amount: 60, category: 'Household' }, { amount: 30, category: 'Entertainment' }], 100),
+    { statusCode: 400, message: 'Split lines add up to 90 but the expense amount is 100' }
+  );
+});
+
+test('rejects malformed splits before looking anything up', async () => {
+  await assert.rejects(resolveSplits('user', 'Food', 10), { statusCode: 400 });
+  await assert.rejects(resolveSplits('user', [{ amount: 10, category: 'Household' }], 10), { statusCode: 400 });
+  await assert.rejects(
+    resolveSplits('user', [{ amount: 0, category: 'Household' }, { amount: 10, category: 'Household' }], 10),
+    { statusCode: 400, message: /line 1: amount must be a positive number/ }
+  );
+  assert.deepEqual(await resolveSplits('user', [], 10), []);
+});
+
+test('counts totals within half a cent as matching', () => {
+  assert.equal(splitsMatchAmount([{ amount: 33.33 }, { amount: 33.33 }, { amount: 33.34 }], 100), true);
+  assert.equal(splitsMatchAmount([{ amount: 33.33 }, { amount: 33.33 }, { amount: 33.33 }], 100), false);
+});
+
+test('expands a split expense into lines sharing its base amount', () => {
+  const [food, household, plain] = expandSplits([
+    {
+      title: 'Costco',
+      amount: 100,
+      baseAmount: 80,
+      category: 'Food & Dining',
+      splits: [{ amount: 75, category: 'Food & Dining' }, { amount: 25, category: 'Household', note: 'Bulbs' }]
+    },
+    { title: 'Cinema', amount: 12, category: 'Entertainment' }
+  ]);
+
+  assert.equal(food.amount + household.amount, 100);
+  assert.equal(food.baseAmount + household.baseAmount, 80);
+  assert.deepEqual([household.category, household.amount, household.baseAmount, household.splitNote], ['Household', 25, 20, 'Bulbs']);
+  assert.equal(plain.title, 'Cinema');
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOfx } = require('../utils/statementParsers');
+
+const ofx = (amounts) => `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>USD<BANKTRANLIST>
+${amounts.map((amount, index) => `<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260115<TRNAMT>${amount}<FITID>${index + 1}<NAME>Payee ${index + 1}</STMTTRN>`).join('\n')}
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+test('reads OFX amounts with thousands separators and decimal commas', () => {
+  const { rows } = parseOfx(ofx(['-1,234.56', '12,50', '-1.234,56', '42.00']));
+  const amounts = rows.map(row => (row.error ? row.error : (row.type === 'expense' ? -row.amount : row.amount)));
+
+  assert.deepEqual(amounts, [-1234.56, 12.5, -1234.56, 42]);
+});
+
+test('reads a lone separator before three digits as thousands', () => {
+  const { rows } = parseOfx(ofx(['1,234', '-2,500', '1.234.567', '-3.500', '1,5']));
+  const amounts = rows.map(row => (row.error ? row.error : (row.type === 'expense' ? -row.amount : row.amount)));
+
+  assert.deepEqual(amounts, [1234, -2500, 1234567, -3500, 1.5]);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateCode, verifyCode, timeStep, base32Encode, base32Decode } = require('../utils/totp');
+
+// RFC 6238 appendix B, SHA-1: the 8-digit codes cut to the 6 digits apps show
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+test('generates the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(generateCode(RFC_SECRET, timeStep(seconds * 1000)), code, `T = ${seconds}`);
+  }
+});
+
+test('accepts a code one step either side and returns the step it matched', () => {
+  const time = 1111111109 * 1000;
+  const step = timeStep(time);
+
+  assert.equal(verifyCode(RFC_SECRET, '081804', { time }), step);
+  assert.equal(verifyCode(RFC_SECRET, '081 804', { time: time + 30 * 1000 }), step);
+  assert.equal(verifyCode(RFC_SECRET, '081804', { time: time + 90 * 1000 }), null);
+  assert.equal(verifyCode(RFC_SECRET, '81804', { time }), null);
+});
+
+test('round-trips secrets through base32', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(base32Decode(RFC_SECRET.toLowerCase()).toString(), '12345678901234567890');
+});
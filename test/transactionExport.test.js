@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { neutralizeFormula } = require('../utils/transactionExport');
+
+test('prefixes text that a spreadsheet would run as a formula', () => {
+  assert.equal(neutralizeFormula('=HYPERLINK("http://evil.example")'), '\'=HYPERLINK("http://evil.example")');
+  assert.equal(neutralizeFormula('+1 refund'), '\'+1 refund');
+  assert.equal(neutralizeFormula('-fee'), '\'-fee');
+  assert.equal(neutralizeFormula('@SUM(A1)'), '\'@SUM(A1)');
+});
+
+test('leaves ordinary text and numbers alone', () => {
+  assert.equal(neutralizeFormula('Coffee'), 'Coffee');
+  assert.equal(neutralizeFormula(-12.5), -12.5);
+  assert.equal(neutralizeFormula(''), '');
+});
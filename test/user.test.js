@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+
+// The schema's pre('save') middleware, without a database behind it
+function runPreSave(user) {
+  return new Promise((resolve, reject) => {
+    User.schema.s.hooks.execPre('save', user, [], error => (error ? reject(error) : resolve()));
+  });
+}
+
+const storedUser = (password) => User.hydrate({
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.com',
+  password
+});
+
+test('hashes a new password on save', async () => {
+  const user = new User({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', password: 'correct horse 42' });
+
+  await runPreSave(user);
+
+  assert.notEqual(user.password, 'correct horse 42');
+  assert.ok(await user.matchPassword('correct horse 42'));
+});
+
+test('leaves the stored hash alone when other fields change', async () => {
+  const hash = bcrypt.hashSync('correct horse 42', 4);
+  const user = storedUser(hash);
+
+  user.firstName = 'Augusta';
+  await runPreSave(user);
+
+  assert.equal(user.password, hash);
+  assert.ok(await user.matchPassword('correct horse 42'));
+});
+
+test('re-hashes when the password itself changes', async () => {
+  const user = storedUser(bcrypt.hashSync('correct horse 42', 4));
+
+  user.password = 'battery staple 7';
+  await runPreSave(user);
+
+  assert.ok(await user.matchPassword('battery staple 7'));
+  assert.equal(await user.matchPassword('correct horse 42'), false);
+});
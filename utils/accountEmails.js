@@ -0,0 +1,59 @@
+const { sendMail } = require('./mailer');
+const { TOKEN_PURPOSES, createAccountToken } = require('./accountTokens');
+
+// Links open the frontend, which posts the token back to the API
+const accountLink = (path, token) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${path}?token=${encodeURIComponent(token)}`;
+};
+
+const sendVerificationEmail = async (user) => {
+  const link = accountLink('/verify-email', createAccountToken('verifyEmail', user));
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Please confirm your email address by opening this link:',
+      link,
+      '',
+      `The link expires in ${TOKEN_PURPOSES.verifyEmail.expiresIn}.`
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p>`
+      + `<p>Please confirm your email address: <a href="${link}">verify email</a></p>`
+      + `<p>The link expires in ${TOKEN_PURPOSES.verifyEmail.expiresIn}.</p>`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const link = accountLink('/reset-password', createAccountToken('resetPassword', user));
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Someone asked to reset the password for this account. If it was you, open this link:',
+      link,
+      '',
+      `The link expires in ${TOKEN_PURPOSES.resetPassword.expiresIn} and works once. If you didn't ask, ignore this email.`
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p>`
+      + `<p>Someone asked to reset the password for this account. If it was you: <a href="${link}">reset password</a></p>`
+      + `<p>The link expires in ${TOKEN_PURPOSES.resetPassword.expiresIn} and works once. If you didn't ask, ignore this email.</p>`
+  });
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[char]));
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
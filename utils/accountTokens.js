@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { badRequest } = require('./httpError');
+
+// How long each emailed link stays valid
+const TOKEN_PURPOSES = {
+  verifyEmail: { expiresIn: '24h' },
+  resetPassword: { expiresIn: '1h' }
+};
+
+const INVALID_TOKEN = 'This link is invalid or has expired. Please request a new one';
+
+// The account state a token is bound to. Using the token changes that state
+// (the email gets verified, the password hash changes), so each token works
+// once and every older one for the same purpose stops working with it.
+const stateFor = (purpose, user) => (purpose === 'verifyEmail'
+  ? `${user.email}:${Boolean(user.emailVerified)}`
+  : user.password);
+
+const signingKey = (purpose, user) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`${purpose}:${stateFor(purpose, user)}`)
+  .digest('hex');
+
+/**
+ * Signs an expiring, single-use token for an emailed link. `user` must be
+ * loaded with its password hash.
+ */
+const createAccountToken = (purpose, user) => jwt.sign(
+  { id: user._id, purpose },
+  signingKey(purpose, user),
+  { expiresIn: TOKEN_PURPOSES[purpose].expiresIn }
+);
+
+/**
+ * Returns the user a token was issued to. Tampered, expired and already
+ * used tokens all get the same 400 so nothing about the account leaks.
+ */
+const consumeAccountToken = async (purpose, token) => {
+  const decoded = token ? jwt.decode(String(token)) : null;
+  if (!decoded || decoded.purpose !== purpose) {
+    throw badRequest(INVALID_TOKEN);
+  }
+
+  const user = await User.findById(decoded.id).catch(() => null);
+  if (!user) {
+    throw badRequest(INVALID_TOKEN);
+  }
+
+  try {
+    jwt.verify(String(token), signingKey(purpose, user));
+  } catch (error) {
+    throw badRequest(INVALID_TOKEN);
+  }
+
+  return user;
+};
+
+module.exports = {
+  TOKEN_PURPOSES,
+  createAccountToken,
+  consumeAccountToken
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const Transfer = require('../models/Transfer');
+const { normalizeCurrency, roundAmount } = require('./currency');
+const { badRequest } = require('./httpError');
+
+/**
+ * Validates the `account` given for a new or edited transaction. Returns
+ * the fields to store: the account id and a currency that matches it. An
+ * empty account id clears the link.
+ */
+const resolveTransactionAccount = async (userId, accountId, currency) => {
+  if (accountId === undefined) return {};
+  if (accountId === null || accountId === '') return { account: null };
+
+  if (!mongoose.Types.ObjectId.isValid(accountId)) {
+    throw badRequest('Invalid account id');
+  }
+  const account = await Account.findOne({ _id: accountId, user: userId });
+  if (!account) {
+    throw badRequest('Account not found');
+  }
+  if (account.archived) {
+    throw badRequest(`Account "${account.name}" is archived`);
+  }
+
+  const code = normalizeCurrency(currency, account.currency);
+  if (code !== account.currency) {
+    throw badRequest(`Account "${account.name}" holds ${account.currency}; record this transaction in ${account.currency}`);
+  }
+
+  return { account: account._id, currency: code };
+};
+
+const sumByAccount = async (Model, accountField, amountField, accountIds, asOf) => {
+  const match = { [accountField]: { $in: accountIds } };
+  if (asOf) match.date = { $lte: asOf };
+
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: `$${accountField}`, total: { $sum: `$${amountField}` } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.total]));
+};
+
+/**
+ * Balances in each account's own currency: opening balance plus incomes,
+ * minus expenses, plus transfers in and minus transfers out, counting
+ * everything dated up to `asOf` (all of it when omitted). Returns a Map
+ * keyed by account id.
+ */
+const calculateAccountBalances = async (accounts, asOf) => {
+  const ids = accounts.map(account => account._id);
+  const [incomes, expenses, transfersIn, transfersOut] = await Promise.all([
+    sumByAccount(Income, 'account', 'amount', ids, asOf),
+    sumByAccount(Expense, 'account', 'amount', ids, asOf),
+    sumByAccount(Transfer, 'toAccount', 'toAmount', ids, asOf),
+    sumByAccount(Transfer, 'fromAccount', 'amount', ids, asOf)
+  ]);
+
+  return new Map(accounts.map(account => {
+    const id = account._id.toString();
+    const balance = account.openingBalance
+      + (incomes.get(id) || 0)
+      - (expenses.get(id) || 0)
+      + (transfersIn.get(id) || 0)
+      - (transfersOut.get(id) || 0);
+    return [id, roundAmount(balance)];
+  }));
+};
+
+/**
+ * Every movement on an account between `from` and `to`, oldest first, with
+ * the balance after each one.
+ */
+const getAccountLedger = async (account, { from, to }) => {
+  const date = { $gte: from, $lte: to };
+  const [incomes, expenses, transfers, opening] = await Promise.all([
+    Income.find({ account: account._id, date }).lean(),
+    Expense.find({ account: account._id, date }).lean(),
+    Transfer.find({ $or: [{ fromAccount: account._id }, { toAccount: account._id }], date })
+      .populate('fromAccount toAccount', 'name')
+      .lean(),
+    calculateAccountBalances([account], new Date(from.getTime() - 1))
+  ]);
+
+  const entries = [
+    ...incomes.map(income => ({
+      type: 'income', _id: income._id, date: income.date, title: income.title, category: income.category, amount: income.amount
+    })),
+    ...expenses.map(expense => ({
+      type: 'expense', _id: expense._id, date: expense.date, title: expense.title, category: expense.category, amount: -expense.amount
+    })),
+    ...transfers.map(transfer => {
+      const outgoing = transfer.fromAccount._id.equals(account._id);
+      return {
+        type: outgoing ? 'transfer_out' : 'transfer_in',
+        _id: transfer._id,
+        date: transfer.date,
+        title: outgoing ? `Transfer to ${transfer.toAccount.name}` : `Transfer from ${transfer.fromAccount.name}`,
+        description: transfer.description,
+        amount: outgoing ? -transfer.amount : transfer.toAmount
+      };
+    })
+  ].sort((a, b) => a.date - b.date || String(a._id).localeCompare(String(b._id)));
+
+  const openingBalance = opening.get(account._id.toString());
+  let balance = openingBalance;
+  entries.forEach(entry => {
+    balance = roundAmount(balance + entry.amount);
+    entry.balance = balance;
+  });
+
+  return { openingBalance, closingBalance: balance, entries };
+};
+
+module.exports = {
+  resolveTransactionAccount,
+  calculateAccountBalances,
+  getAccountLedger
+};
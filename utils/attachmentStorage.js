@@ -0,0 +1,35 @@
+const { uploadFile, deleteFile } = require('./storage');
+
+const MAX_ATTACHMENTS_PER_EXPENSE = 10;
+
+/**
+ * Stores an uploaded receipt and returns the attachment subdocument to
+ * push onto the expense.
+ */
+const saveAttachment = (file) => uploadFile(file, 'receipt');
+
+const removeAttachment = (attachment) => deleteFile(attachment);
+
+/**
+ * Deletes the stored files of every expense matching `filter`. Call before
+ * deleting the expenses themselves. Failures are logged rather than thrown
+ * so a storage outage never blocks deleting data.
+ */
+const removeExpenseAttachments = async (Expense, filter) => {
+  const expenses = await Expense.find({ ...filter, 'attachments.0': { $exists: true } }).select('attachments');
+  const attachments = expenses.flatMap(expense => expense.attachments);
+
+  const results = await Promise.allSettled(attachments.map(removeAttachment));
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Error deleting attachment:', result.reason.message));
+
+  return attachments.length;
+};
+
+module.exports = {
+  MAX_ATTACHMENTS_PER_EXPENSE,
+  saveAttachment,
+  removeAttachment,
+  removeExpenseAttachments
+};
@@ -0,0 +1,54 @@
+const AuditLog = require('../models/AuditLog');
+
+const ADMIN_ACTIONS = [
+  'users.list',
+  'user.view',
+  'user.suspend',
+  'user.reactivate',
+  'user.logout',
+  'stats.view',
+  'audit.list'
+];
+
+// Detail keys whose values never belong in the log
+const SECRET_KEY_PATTERN = /password|secret|token|otp|^code$|recoveryCode|apiKey|authorization/i;
+
+const isPlainObject = (value) => value !== null
+  && typeof value === 'object'
+  && Object.getPrototypeOf(value) === Object.prototype;
+
+// Copies `details`, replacing secret-looking values at any depth
+const redactDetails = (details) => {
+  if (Array.isArray(details)) return details.map(redactDetails);
+  if (!isPlainObject(details)) return details;
+
+  return Object.fromEntries(Object.entries(details).map(([key, value]) => [
+    key,
+    SECRET_KEY_PATTERN.test(key) && value !== undefined && value !== null ? '[redacted]' : redactDetails(value)
+  ]));
+};
+
+/**
+ * Records an admin action for the acting admin in `req`. Callers await it,
+ * so a failed write surfaces as an error instead of passing silently.
+ */
+const recordAudit = (req, action, { targetUser = null, details = {} } = {}) => {
+  if (!ADMIN_ACTIONS.includes(action)) {
+    throw new Error(`Unknown audit action: ${action}`);
+  }
+
+  return AuditLog.create({
+    actor: req.user._id,
+    action,
+    targetUser,
+    details: redactDetails(details),
+    ip: req.ip || '',
+    userAgent: (req.get('User-Agent') || '').slice(0, 300)
+  });
+};
+
+module.exports = {
+  ADMIN_ACTIONS,
+  redactDetails,
+  recordAudit
+};
@@ -0,0 +1,250 @@
+const Category = require('../models/Category');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const RecurringRule = require('../models/RecurringRule');
+const { badRequest } = require('./httpError');
+
+const CATEGORY_TYPES = ['income', 'expense'];
+
+// Used when nothing more specific matches
+const FALLBACK_CATEGORY = 'Other';
+
+// Seeded for every user the first time their categories are needed
+const DEFAULT_CATEGORIES = {
+  expense: [
+    { name: 'Food', icon: '🍔', color: '#FF7043', keywords: ['food', 'grocery', 'restaurant', 'dining', 'meal', 'cafe', 'supermarket', 'lunch', 'dinner', 'breakfast', 'coffee'] },
+    { name: 'Transport', icon: '🚗', color: '#42A5F5', keywords: ['transport', 'fuel', 'gas', 'uber', 'lyft', 'taxi', 'bus', 'train', 'metro', 'subway', 'parking', 'toll'] },
+    { name: 'Bills', icon: '🧾', color: '#AB47BC', keywords: ['bill', 'utility', 'electric', 'water', 'internet', 'phone', 'rent', 'mortgage', 'insurance', 'subscription'] },
+    { name: 'Shopping', icon: '🛍️', color: '#EC407A', keywords: ['shopping', 'buy', 'purchase', 'mall', 'store', 'amazon', 'online', 'clothing', 'electronics', 'fashion'] },
+    { name: 'Entertainment', icon: '🎬', color: '#FFA726', keywords: ['movie', 'concert', 'game', 'netflix', 'spotify', 'entertainment', 'hobby', 'sports', 'vacation', 'travel'] },
+    { name: 'Healthcare', icon: '🩺', color: '#26A69A', keywords: ['medical', 'doctor', 'hospital', 'medicine', 'pharmacy', 'health', 'dental', 'vision'] },
+    { name: 'Education', icon: '📚', color: '#5C6BC0', keywords: ['education', 'course', 'book', 'tuition', 'school', 'learning', 'training', 'workshop', 'seminar'] },
+    { name: 'Other', icon: '📦', color: '#9E9E9E', keywords: [] }
+  ],
+  income: [
+    { name: 'Salary', icon: '💼', color: '#66BB6A', keywords: ['salary', 'paycheck', 'wage', 'payroll'] },
+    { name: 'Freelance', icon: '🧑‍💻', color: '#29B6F6', keywords: ['freelance', 'contract', 'gig', 'client'] },
+    { name: 'Investment', icon: '📈', color: '#FFCA28', keywords: ['investment', 'dividend', 'stock', 'interest', 'crypto'] },
+    { name: 'Bonus', icon: '🎉', color: '#FF7043', keywords: ['bonus', 'commission'] },
+    { name: 'Business', icon: '🏪', color: '#8D6E63', keywords: ['business', 'side hustle', 'sales'] },
+    { name: 'Gift', icon: '🎁', color: '#EC407A', keywords: ['gift', 'present'] },
+    { name: 'Other', icon: '💰', color: '#9E9E9E', keywords: [] }
+  ]
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Category names already used on a user's records, so seeding keeps them
+const findLegacyCategoryNames = async (userId) => {
+  const [incomeNames, expenseNames, budgetNames, incomeRuleNames, expenseRuleNames] = await Promise.all([
+    Income.distinct('category', { user: userId, group: null }),
+    Expense.distinct('category', { user: userId, group: null }),
+    Budget.distinct('category', { user: userId }),
+    RecurringRule.distinct('category', { user: userId, type: 'income' }),
+    RecurringRule.distinct('category', { user: userId, type: 'expense' })
+  ]);
+
+  return {
+    income: [...incomeNames, ...incomeRuleNames],
+    expense: [...expenseNames, ...budgetNames, ...expenseRuleNames]
+  };
+};
+
+/**
+ * Seeds the default categories for a user who has none yet. Any other
+ * category names found on their existing records are added too, so
+ * records saved under the old fixed list stay valid. Returns the number
+ * of categories created.
+ */
+const ensureUserCategories = async (userId) => {
+  if (await Category.exists({ user: userId })) return 0;
+
+  const legacy = await findLegacyCategoryNames(userId);
+  const documents = CATEGORY_TYPES.flatMap(type => {
+    const defaults = DEFAULT_CATEGORIES[type].map(category => ({ ...category, type, user: userId }));
+    const known = new Set(defaults.map(category => category.name.toLowerCase()));
+    const extra = [...new Set(legacy[type].filter(Boolean))]
+      .filter(name => !known.has(name.toLowerCase()))
+      .map(name => ({ name, type, user: userId }));
+    return [...defaults, ...extra];
+  });
+
+  try {
+    const created = await Category.insertMany(documents, { ordered: false });
+    return created.length;
+  } catch (error) {
+    // Another request seeded the same user at the same time
+    if (error.code === 11000 || (error.writeErrors || []).every(writeError => writeError.code === 11000)) {
+      return error.insertedDocs ? error.insertedDocs.length : 0;
+    }
+    throw error;
+  }
+};
+
+const getUserCategories = async (userId, type, { includeArchived = false } = {}) => {
+  await ensureUserCategories(userId);
+
+  const filter = { user: userId };
+  if (type) filter.type = type;
+  if (!includeArchived) filter.archived = false;
+
+  return Category.find(filter).sort({ type: 1, name: 1 });
+};
+
+/**
+ * Checks a category name against the user's categories of that type and
+ * returns it as stored (matching is case-insensitive). Archived categories
+ * are only accepted when `allowArchived` is set, e.g. for a record that
+ * already uses one.
+ */
+const resolveCategoryName = async (userId, type, name, { allowArchived = false } = {}) => {
+  if (!name || !String(name).trim()) {
+    throw badRequest('Category is required');
+  }
+
+  await ensureUserCategories(userId);
+  const category = await Category.findOne({
+    user: userId,
+    type,
+    name: new RegExp(`^${escapeRegex(String(name).trim())}$`, 'i')
+  });
+
+  if (!category) {
+    const available = await Category.find({ user: userId, type, archived: false }).sort({ name: 1 }).select('name');
+    throw badRequest(`Unknown ${type} category "${name}". Use one of: ${available.map(item => item.name).join(', ')}`);
+  }
+  if (category.archived && !allowArchived) {
+    throw badRequest(`The ${type} category "${category.name}" is archived`);
+  }
+
+  return category.name;
+};
+
+// Looks a name up in an already loaded list, ignoring case
+const findCategoryByName = (categories, name) => {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted) return null;
+  return categories.find(category => category.name.toLowerCase() === wanted) || null;
+};
+
+/**
+ * Picks the category whose name or keywords appear in `text`.
+ * Subcategories are tried first as they are the more specific match.
+ */
+const matchCategory = (categories, text) => {
+  const haystack = String(text || '').toLowerCase();
+  const ordered = [...categories].sort((a, b) => Number(Boolean(b.parent)) - Number(Boolean(a.parent)));
+
+  return ordered.find(category => !category.archived && [category.name, ...(category.keywords || [])]
+    .map(keyword => keyword.toLowerCase())
+    .filter(keyword => keyword && keyword !== FALLBACK_CATEGORY.toLowerCase())
+    .some(keyword => haystack.includes(keyword))) || null;
+};
+
+const fallbackCategory = (categories) => {
+  const active = categories.filter(category => !category.archived);
+  const other = active.find(category => category.name === FALLBACK_CATEGORY);
+  return other ? other.name : (active[0] ? active[0].name : FALLBACK_CATEGORY);
+};
+
+/**
+ * Picks a category for an expense from its title and description, matched
+ * against the names and keywords of `categories` (the user's expense
+ * categories, or the defaults). Unmatched expenses are guessed from the
+ * amount. Returns `{ category, confidence }`.
+ */
+const suggestExpenseCategory = (title, amount, description, categories = DEFAULT_CATEGORIES.expense) => {
+  const matched = matchCategory(categories, `${title} ${description}`);
+  if (matched) {
+    return { category: matched.name, confidence: 'high' };
+  }
+
+  // Amount-based categorization for fallback, where the user still has that category
+  const available = (name) => categories.some(category => category.name === name && !category.archived);
+  if (amount < 30 && available('Food')) return { category: 'Food', confidence: 'low' };
+  if (amount < 100 && available('Shopping')) return { category: 'Shopping', confidence: 'medium' };
+  if (amount < 500 && available('Bills')) return { category: 'Bills', confidence: 'medium' };
+  return { category: fallbackCategory(categories), confidence: 'low' };
+};
+
+const suggestIncomeCategory = (title, description, categories = DEFAULT_CATEGORIES.income) => {
+  const matched = matchCategory(categories, `${title} ${description}`);
+  if (matched) {
+    return { category: matched.name, confidence: 'high' };
+  }
+  return { category: fallbackCategory(categories), confidence: 'low' };
+};
+
+// A category's name plus the names of its subcategories
+const withSubcategoryNames = (categories, name) => {
+  const category = categories.find(candidate => candidate.name === name);
+  if (!category) return [name];
+
+  const children = categories
+    .filter(candidate => candidate.parent && candidate.parent.toString() === category._id.toString())
+    .map(candidate => candidate.name);
+  return [name, ...children];
+};
+
+// Models whose records name a category of the given type. A group's
+// records are shared, so one member's categories never rewrite them.
+const categoryReferences = (type) => (type === 'income'
+  ? [{ Model: Income, filter: { group: null } }, { Model: RecurringRule, filter: { type: 'income' } }]
+  : [
+    { Model: Expense, filter: { group: null } },
+    { Model: Budget, filter: {} },
+    { Model: RecurringRule, filter: { type: 'expense' } }
+  ]);
+
+const countCategoryUsage = async (userId, type, name) => {
+  const counts = await Promise.all(categoryReferences(type)
+    .map(({ Model, filter }) => Model.countDocuments({ ...filter, user: userId, category: name })));
+  // Lines of split expenses name categories too
+  if (type === 'expense') {
+    counts.push(await Expense.countDocuments({ user: userId, group: null, category: { $ne: name }, 'splits.category': name }));
+  }
+  return counts.reduce((sum, count) => sum + count, 0);
+};
+
+/**
+ * Moves every record from one category name to another. Where the user
+ * already has a budget for the target in the same period, the source's
+ * budget is dropped rather than breaking the one-budget-per-period rule.
+ */
+const reassignCategory = async (userId, type, from, to) => {
+  if (type === 'expense') {
+    const periods = await Budget.distinct('period', { user: userId, category: to });
+    if (periods.length > 0) {
+      await Budget.deleteMany({ user: userId, category: from, period: { $in: periods } });
+    }
+  }
+
+  const results = await Promise.all(categoryReferences(type)
+    .map(({ Model, filter }) => Model.updateMany({ ...filter, user: userId, category: from }, { $set: { category: to } })));
+  if (type === 'expense') {
+    results.push(await Expense.updateMany(
+      { user: userId, group: null, 'splits.category': from },
+      { $set: { 'splits.$[line].category': to } },
+      { arrayFilters: [{ 'line.category': from }] }
+    ));
+  }
+  return results.reduce((sum, result) => sum + result.modifiedCount, 0);
+};
+
+module.exports = {
+  CATEGORY_TYPES,
+  FALLBACK_CATEGORY,
+  DEFAULT_CATEGORIES,
+  ensureUserCategories,
+  getUserCategories,
+  resolveCategoryName,
+  findCategoryByName,
+  matchCategory,
+  fallbackCategory,
+  suggestExpenseCategory,
+  suggestIncomeCategory,
+  withSubcategoryNames,
+  countCategoryUsage,
+  reassignCategory
+};
@@ -0,0 +1,79 @@
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Picks the delimiter that splits the header line into the most columns
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  return DELIMITERS.reduce((best, delimiter) => (
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+  ), ',');
+};
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings). Handles quoted
+ * fields containing delimiters, escaped quotes and line breaks, CRLF line
+ * endings and a leading byte-order mark. Blank lines are dropped.
+ */
+const parseCsv = (input, { delimiter } = {}) => {
+  const text = String(input).replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field.trim());
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(value => value !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      endField();
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+/**
+ * Parses CSV text whose first row is a header into `{ headers, records }`,
+ * where each record maps header names to values.
+ */
+const parseCsvWithHeader = (input, options) => {
+  const [headers = [], ...rows] = parseCsv(input, options);
+  const records = rows.map(values => headers.reduce((record, header, index) => {
+    record[header] = values[index] !== undefined ? values[index] : '';
+    return record;
+  }, {}));
+
+  return { headers, records };
+};
+
+module.exports = {
+  detectDelimiter,
+  parseCsv,
+  parseCsvWithHeader
+};
@@ -0,0 +1,156 @@
+const moment = require('moment');
+const ExchangeRate = require('../models/ExchangeRate');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const { badRequest } = require('./httpError');
+
+const DEFAULT_CURRENCY = 'USD';
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Aggregation expression for a record's amount in the user's base currency.
+// Records created before multi-currency support have no baseAmount.
+const BASE_AMOUNT = { $ifNull: ['$baseAmount', '$amount'] };
+
+const normalizeCurrency = (currency, fallback = DEFAULT_CURRENCY) => {
+  const code = String(currency || fallback).trim().toUpperCase();
+  if (!CURRENCY_PATTERN.test(code)) {
+    throw badRequest(`Invalid currency code: ${currency}. Use a 3-letter ISO code such as USD`);
+  }
+  return code;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  const value = Number(amount) || 0;
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(value);
+  } catch (error) {
+    return `${currency} ${value.toFixed(2)}`;
+  }
+};
+
+/**
+ * Looks up the rate converting `from` into `to` for a date, using the user's
+ * rate table. The latest rate on or before the date wins; if the table only
+ * has later rates, the earliest of those is used. Inverse pairs are accepted.
+ */
+const findExchangeRate = async (userId, from, to, date = new Date()) => {
+  if (from === to) return 1;
+
+  const pair = {
+    user: userId,
+    $or: [{ from, to }, { from: to, to: from }]
+  };
+
+  const rate = await ExchangeRate.findOne({ ...pair, date: { $lte: date } }).sort({ date: -1 })
+    || await ExchangeRate.findOne({ ...pair, date: { $gt: date } }).sort({ date: 1 });
+
+  if (!rate) return null;
+  return rate.from === from ? rate.rate : 1 / rate.rate;
+};
+
+/**
+ * Returns the currency fields to store on an Income/Expense: the original
+ * currency, the rate used and the amount in the user's base currency.
+ */
+const convertToBase = async (user, amount, currency, date = new Date()) => {
+  const baseCurrency = user.baseCurrency || DEFAULT_CURRENCY;
+  const code = normalizeCurrency(currency, baseCurrency);
+  const exchangeRate = await findExchangeRate(user._id, code, baseCurrency, date);
+
+  if (exchangeRate === null) {
+    throw badRequest(
+      `No exchange rate from ${code} to ${baseCurrency} found. Add one under /api/exchange-rates first`
+    );
+  }
+
+  return {
+    currency: code,
+    exchangeRate,
+    // Left unset for a missing amount so the schema reports that instead
+    baseAmount: Number.isFinite(Number(amount)) ? roundAmount(Number(amount) * exchangeRate) : undefined
+  };
+};
+
+/**
+ * Maps transactions to plain objects whose `amount` is in the base currency,
+ * keeping the original amount and currency alongside. Lets the analysis code
+ * keep summing `amount` regardless of the currencies involved.
+ */
+const toBaseCurrency = (transactions = []) => transactions.map(transaction => {
+  const plain = typeof transaction.toObject === 'function' ? transaction.toObject() : { ...transaction };
+  const baseAmount = plain.baseAmount !== undefined && plain.baseAmount !== null
+    ? plain.baseAmount
+    : plain.amount;
+
+  return {
+    ...plain,
+    originalAmount: plain.amount,
+    originalCurrency: plain.currency,
+    amount: baseAmount
+  };
+});
+
+/**
+ * Recomputes baseAmount for all of a user's personal records, e.g. after
+ * the base currency changes or rates are corrected. Group records are left
+ * alone: they are kept in the group's currency. Records without a currency
+ * are assumed to be in `previousBaseCurrency`.
+ */
+const recalculateBaseAmounts = async (user, previousBaseCurrency) => {
+  const baseCurrency = user.baseCurrency || DEFAULT_CURRENCY;
+  const rateCache = new Map();
+  const missing = new Set();
+  let updated = 0;
+
+  for (const Model of [Income, Expense]) {
+    await Model.updateMany(
+      { user: user._id, group: null, currency: { $exists: false } },
+      { $set: { currency: previousBaseCurrency || baseCurrency } }
+    );
+
+    const records = await Model.find({ user: user._id, group: null }).select('amount currency date');
+    const operations = [];
+
+    for (const record of records) {
+      const cacheKey = `${record.currency}:${moment(record.date).format('YYYY-MM-DD')}`;
+      if (!rateCache.has(cacheKey)) {
+        rateCache.set(cacheKey, await findExchangeRate(user._id, record.currency, baseCurrency, record.date));
+      }
+
+      const exchangeRate = rateCache.get(cacheKey);
+      if (exchangeRate === null) {
+        missing.add(`${record.currency}->${baseCurrency}`);
+        continue;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: record._id },
+          update: { $set: { exchangeRate, baseAmount: roundAmount(record.amount * exchangeRate) } }
+        }
+      });
+    }
+
+    if (operations.length > 0) {
+      await Model.bulkWrite(operations);
+      updated += operations.length;
+    }
+  }
+
+  return { updated, missingRates: [...missing] };
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCY_PATTERN,
+  BASE_AMOUNT,
+  normalizeCurrency,
+  roundAmount,
+  formatMoney,
+  findExchangeRate,
+  convertToBase,
+  toBaseCurrency,
+  recalculateBaseAmounts
+};
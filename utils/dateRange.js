@@ -0,0 +1,109 @@
+const moment = require('moment');
+const { badRequest } = require('./httpError');
+
+const PERIOD_UNITS = {
+  weekly: 'week',
+  monthly: 'month',
+  quarterly: 'quarter',
+  yearly: 'year'
+};
+
+/**
+ * Returns the { start, end } window of a recurring period (weekly, monthly,
+ * quarterly or yearly) that contains the given date.
+ */
+const getPeriodRange = (period, date = new Date()) => {
+  const unit = PERIOD_UNITS[period];
+  if (!unit) {
+    throw new Error(`Unsupported period: ${period}`);
+  }
+
+  return {
+    start: moment(date).startOf(unit).toDate(),
+    end: moment(date).endOf(unit).toDate()
+  };
+};
+
+/**
+ * Returns the window immediately before the one that contains the given date.
+ */
+const getPreviousPeriodRange = (period, date = new Date()) => {
+  const unit = PERIOD_UNITS[period];
+  if (!unit) {
+    throw new Error(`Unsupported period: ${period}`);
+  }
+
+  return getPeriodRange(period, moment(date).subtract(1, unit).toDate());
+};
+
+/**
+ * Parses an ISO date from a query parameter, throwing a 400 error when invalid.
+ */
+const parseDate = (value, name, endOfDay = false) => {
+  const date = moment(value, moment.ISO_8601, true);
+  if (!date.isValid()) {
+    throw badRequest(`Invalid ${name} date. Use ISO format, e.g. 2024-01-31`);
+  }
+  // A bare calendar date as the upper bound should include that whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.endOf('day');
+  }
+  return date.toDate();
+};
+
+const WINDOW_PERIODS = ['week', 'month', 'quarter', 'year', 'custom'];
+
+/**
+ * Resolves `?period=week|month|quarter|year|custom&from=&to=` into a date
+ * window plus the previous window of equivalent length. Named periods are
+ * calendar periods containing today (or `from`, when given), compared with
+ * the calendar period before; custom ranges are compared with the same
+ * number of days immediately before `from`.
+ */
+const resolveDateWindow = (query = {}, defaultPeriod = 'month') => {
+  const period = query.period || defaultPeriod;
+  if (!WINDOW_PERIODS.includes(period)) {
+    throw badRequest(`period must be one of: ${WINDOW_PERIODS.join(', ')}`);
+  }
+
+  if (period === 'custom') {
+    if (!query.from || !query.to) {
+      throw badRequest('Custom period requires both from and to dates');
+    }
+
+    const start = moment(parseDate(query.from, 'from')).startOf('day');
+    const end = moment(parseDate(query.to, 'to', true));
+    if (end.isBefore(start)) {
+      throw badRequest('from date must be before to date');
+    }
+
+    const length = end.diff(start);
+    return {
+      period,
+      start: start.toDate(),
+      end: end.toDate(),
+      previousStart: start.clone().subtract(length + 1, 'ms').toDate(),
+      previousEnd: start.clone().subtract(1, 'ms').toDate()
+    };
+  }
+
+  const anchor = query.from ? moment(parseDate(query.from, 'from')) : moment();
+  const previous = anchor.clone().subtract(1, period);
+
+  return {
+    period,
+    start: anchor.clone().startOf(period).toDate(),
+    end: anchor.clone().endOf(period).toDate(),
+    previousStart: previous.clone().startOf(period).toDate(),
+    previousEnd: previous.clone().endOf(period).toDate()
+  };
+};
+
+module.exports = {
+  parseDate,
+  PERIOD_UNITS,
+  getPeriodRange,
+  getPreviousPeriodRange,
+  WINDOW_PERIODS,
+  resolveDateWindow
+};
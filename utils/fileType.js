@@ -0,0 +1,55 @@
+// Magic-byte signatures; `offset` is where the signature starts
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: '.jpg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', extension: '.png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/gif', extension: '.gif', ascii: 'GIF87a' },
+  { mimeType: 'image/gif', extension: '.gif', ascii: 'GIF89a' },
+  { mimeType: 'image/webp', extension: '.webp', ascii: 'WEBP', offset: 8, prefix: 'RIFF' },
+  { mimeType: 'application/pdf', extension: '.pdf', ascii: '%PDF-' }
+];
+
+// ISO-BMFF brands used by HEIC/HEIF photos (iPhone camera default)
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+const matches = (buffer, signature) => {
+  const offset = signature.offset || 0;
+  if (signature.prefix && buffer.toString('ascii', 0, signature.prefix.length) !== signature.prefix) {
+    return false;
+  }
+  if (signature.ascii) {
+    return buffer.toString('ascii', offset, offset + signature.ascii.length) === signature.ascii;
+  }
+  return signature.bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+/**
+ * Identifies a file from its leading bytes rather than the name or the
+ * client-supplied Content-Type. Returns `{ mimeType, extension }`, or null
+ * for anything unrecognised.
+ */
+const detectFileType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  const signature = SIGNATURES.find(candidate => matches(buffer, candidate));
+  if (signature) {
+    return { mimeType: signature.mimeType, extension: signature.extension };
+  }
+
+  if (buffer.toString('ascii', 4, 8) === 'ftyp' && HEIC_BRANDS.includes(buffer.toString('ascii', 8, 12))) {
+    return { mimeType: 'image/heic', extension: '.heic' };
+  }
+
+  return null;
+};
+
+// Content-Type for a stored file, from the extension detectFileType chose
+const mimeTypeForExtension = (extension) => {
+  if (extension === '.heic') return 'image/heic';
+  const signature = SIGNATURES.find(candidate => candidate.extension === extension);
+  return signature ? signature.mimeType : 'application/octet-stream';
+};
+
+module.exports = {
+  detectFileType,
+  mimeTypeForExtension
+};
@@ -0,0 +1,77 @@
+const Goal = require('../models/Goal');
+const Income = require('../models/Income');
+const { DEFAULT_CURRENCY, roundAmount } = require('./currency');
+
+/**
+ * Sets aside each active goal's autoAllocatePercent of a new income, capped
+ * at what the goal still needs. Goals created under a different base
+ * currency are skipped rather than mixing currencies. Returns the
+ * allocations made.
+ */
+const allocateIncome = async (user, income) => {
+  const goals = await Goal.find({
+    user: income.user,
+    status: 'active',
+    currency: user.baseCurrency || DEFAULT_CURRENCY,
+    autoAllocatePercent: { $gt: 0 }
+  }).sort({ createdAt: 1 });
+
+  const incomeAmount = income.baseAmount ?? income.amount;
+  const allocations = [];
+
+  for (const goal of goals) {
+    const remaining = goal.targetAmount - goal.savedAmount();
+    const amount = roundAmount(Math.min(incomeAmount * goal.autoAllocatePercent / 100, remaining));
+    if (amount <= 0) continue;
+
+    goal.contributions.push({
+      amount,
+      date: income.date,
+      note: `${goal.autoAllocatePercent}% of ${income.title}`,
+      source: 'auto',
+      income: income._id
+    });
+    goal.refreshStatus();
+    await goal.save();
+
+    allocations.push({ goalId: goal._id, name: goal.name, amount });
+  }
+
+  return allocations;
+};
+
+/**
+ * Drops the automatic contributions made from every income matching
+ * `filter`. Call before deleting the incomes themselves.
+ */
+const removeIncomeContributions = async (filter) => {
+  const incomeIds = await Income.distinct('_id', filter);
+  if (incomeIds.length === 0) return 0;
+
+  const removed = new Set(incomeIds.map(id => id.toString()));
+  const goals = await Goal.find({ 'contributions.income': { $in: incomeIds } });
+
+  for (const goal of goals) {
+    goal.contributions = goal.contributions
+      .filter(contribution => !contribution.income || !removed.has(contribution.income.toString()));
+    goal.refreshStatus();
+    await goal.save();
+  }
+
+  return goals.length;
+};
+
+/**
+ * Re-runs allocation for an income whose amount changed, so goal progress
+ * follows the new figure instead of the one it was first recorded with.
+ */
+const reallocateIncome = async (user, income) => {
+  await removeIncomeContributions({ _id: income._id });
+  return allocateIncome(user, income);
+};
+
+module.exports = {
+  allocateIncome,
+  reallocateIncome,
+  removeIncomeContributions
+};
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const { DEFAULT_CURRENCY } = require('./currency');
+const { httpError, badRequest } = require('./httpError');
+
+// Roles that may add, change and delete a group's transactions
+const WRITE_ROLES = ['owner', 'editor'];
+
+/**
+ * Loads the group a request works in and the user's role there. Only
+ * members get one; anyone else is refused with a 403.
+ */
+const loadGroupContext = async (user, groupId) => {
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    throw badRequest('Invalid group id');
+  }
+
+  const group = await Group.findById(groupId);
+  const role = group ? group.roleOf(user._id) : null;
+  if (!role) {
+    throw httpError(403, 'You are not a member of this group');
+  }
+
+  return { group, role };
+};
+
+const assertGroupRole = (req, roles = WRITE_ROLES) => {
+  if (req.group && !roles.includes(req.groupRole)) {
+    throw httpError(403, `Your role in "${req.group.name}" is ${req.groupRole}; this needs ${roles.join(' or ')}`);
+  }
+};
+
+// Personal records when no group is selected, otherwise the group's
+const transactionScope = (req) => (req.group
+  ? { group: req.group._id }
+  : { user: req.user._id, group: null });
+
+// Group transactions are converted into the group's currency instead of the user's
+const conversionOwner = (user, group) => (group
+  ? { _id: user._id, baseCurrency: group.currency }
+  : user);
+
+const ledgerCurrency = (req) => (req.group
+  ? req.group.currency
+  : req.user.baseCurrency || DEFAULT_CURRENCY);
+
+/**
+ * What the user may do with one income or expense: their own personal
+ * records fully, a group's records according to their role there.
+ * Returns `{ canRead, canWrite, group }`.
+ */
+const getTransactionAccess = async (user, record) => {
+  if (!record.group) {
+    const own = record.user.toString() === user._id.toString();
+    return { canRead: own, canWrite: own, group: null };
+  }
+
+  const group = await Group.findById(record.group);
+  const role = group ? group.roleOf(user._id) : null;
+  return {
+    canRead: Boolean(role),
+    canWrite: WRITE_ROLES.includes(role),
+    group
+  };
+};
+
+module.exports = {
+  WRITE_ROLES,
+  loadGroupContext,
+  assertGroupRole,
+  transactionScope,
+  conversionOwner,
+  ledgerCurrency,
+  getTransactionAccess
+};
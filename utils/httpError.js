@@ -0,0 +1,14 @@
+// Errors carrying an HTTP status; controllers answer with
+// `res.status(error.statusCode || 500)`
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const badRequest = (message) => httpError(400, message);
+
+module.exports = {
+  httpError,
+  badRequest
+};
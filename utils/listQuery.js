@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const { badRequest } = require('./httpError');
+const { parseDate } = require('./dateRange');
+const { normalizeTags } = require('./tags');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SORTABLE_FIELDS = ['date', 'amount', 'title', 'category', 'createdAt'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accepts `?category=Food,Bills` as well as `?category=Food&category=Bills`
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+const parseAmount = (value, name) => {
+  const amount = Number(value);
+  if (value === '' || Number.isNaN(amount)) {
+    throw badRequest(`${name} must be a number`);
+  }
+  return amount;
+};
+
+const parsePositiveInt = (value, name, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw badRequest(`${name} must be a positive integer`);
+  }
+  return number;
+};
+
+const encodeCursor = (doc, sortField) => Buffer
+  .from(JSON.stringify({ value: doc[sortField] ?? null, id: doc._id }))
+  .toString('base64url');
+
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('bad id');
+    const castValue = ['date', 'createdAt'].includes(sortField) && value !== null
+      ? new Date(value)
+      : value;
+    if (castValue instanceof Date && Number.isNaN(castValue.getTime())) throw new Error('bad date');
+    return { value: castValue, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+};
+
+/**
+ * Builds the MongoDB filter for a transaction list within `scope` (the
+ * user's personal records or a group's, see utils/groups) from query
+ * parameters: from, to, category, account, tags, minAmount, maxAmount and
+ * search. Records must carry every listed tag unless `tagMatch=any`.
+ */
+const buildTransactionFilter = (scope, query = {}) => {
+  const filter = { ...scope };
+
+  if (query.from || query.to) {
+    filter.date = {};
+    if (query.from) filter.date.$gte = parseDate(query.from, 'from');
+    if (query.to) filter.date.$lte = parseDate(query.to, 'to', true);
+    if (filter.date.$gte && filter.date.$lte && filter.date.$gte > filter.date.$lte) {
+      throw badRequest('from date must be before to date');
+    }
+  }
+
+  // A split expense is listed under each of its lines' categories too
+  const categories = toList(query.category);
+  if (categories.length > 0) {
+    filter.$and = [{ $or: [{ category: { $in: categories } }, { 'splits.category': { $in: categories } }] }];
+  }
+
+  const accounts = toList(query.account);
+  if (accounts.length > 0) {
+    if (!accounts.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      throw badRequest('account must be a valid account id');
+    }
+    filter.account = { $in: accounts.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  const tags = normalizeTags(query.tags);
+  if (tags.length > 0) {
+    const tagMatch = query.tagMatch || 'all';
+    if (!['all', 'any'].includes(tagMatch)) {
+      throw badRequest('tagMatch must be either all or any');
+    }
+    filter.tags = tagMatch === 'any' ? { $in: tags } : { $all: tags };
+  }
+
+  if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+    filter.amount = {};
+    if (query.minAmount !== undefined) filter.amount.$gte = parseAmount(query.minAmount, 'minAmount');
+    if (query.maxAmount !== undefined) filter.amount.$lte = parseAmount(query.maxAmount, 'maxAmount');
+  }
+
+  if (query.search && String(query.search).trim()) {
+    const pattern = new RegExp(escapeRegex(String(query.search).trim()), 'i');
+    filter.$or = [{ title: pattern }, { description: pattern }, { notes: pattern }];
+  }
+
+  return filter;
+};
+
+const parseSort = (query = {}) => {
+  const sortBy = query.sortBy || 'date';
+  if (!SORTABLE_FIELDS.includes(sortBy)) {
+    throw badRequest(`sortBy must be one of: ${SORTABLE_FIELDS.join(', ')}`);
+  }
+
+  const order = (query.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    throw badRequest('order must be either asc or desc');
+  }
+
+  return { sortBy, direction: order === 'asc' ? 1 : -1 };
+};
+
+/**
+ * Runs a filtered, sorted and paginated list query against a transaction
+ * model (Income or Expense) within the given scope.
+ *
+ * Page mode is used by default (`page`, `limit`). Passing `cursor` (the
+ * `nextCursor` from a previous response) switches to keyset pagination,
+ * which stays stable while new records are being added.
+ */
+const listTransactions = async (Model, scope, query = {}) => {
+  const filter = buildTransactionFilter(scope, query);
+  const { sortBy, direction } = parseSort(query);
+  const limit = Math.min(parsePositiveInt(query.limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT);
+  const sort = { [sortBy]: direction, _id: direction };
+
+  const pageQuery = { ...filter };
+  let page = null;
+
+  if (query.cursor) {
+    const { value, id } = decodeCursor(query.cursor, sortBy);
+    const op = direction === 1 ? '$gt' : '$lt';
+    const keyset = {
+      $or: [
+        { [sortBy]: { [op]: value } },
+        { [sortBy]: value, _id: { [op]: id } }
+      ]
+    };
+    // Keep the search $or and the category condition intact by combining them
+    if (pageQuery.$or || pageQuery.$and) {
+      pageQuery.$and = [...(pageQuery.$and || []), ...(pageQuery.$or ? [{ $or: pageQuery.$or }] : []), keyset];
+      delete pageQuery.$or;
+    } else {
+      Object.assign(pageQuery, keyset);
+    }
+  } else {
+    page = parsePositiveInt(query.page, 'page', 1);
+  }
+
+  let cursorQuery = Model.find(pageQuery).sort(sort);
+  if (page) cursorQuery = cursorQuery.skip((page - 1) * limit);
+
+  const [docs, total] = await Promise.all([
+    cursorQuery.limit(limit + 1),
+    Model.countDocuments(filter)
+  ]);
+
+  const hasNextPage = docs.length > limit;
+  const data = hasNextPage ? docs.slice(0, limit) : docs;
+  const last = data[data.length - 1];
+
+  return {
+    data,
+    pagination: {
+      total,
+      count: data.length,
+      limit,
+      page,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage,
+      nextCursor: hasNextPage && last ? encodeCursor(last, sortBy) : null
+    },
+    sort: {
+      sortBy,
+      order: direction === 1 ? 'asc' : 'desc'
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORTABLE_FIELDS,
+  escapeRegex,
+  toList,
+  parsePositiveInt,
+  encodeCursor,
+  decodeCursor,
+  buildTransactionFilter,
+  parseSort,
+  listTransactions
+};
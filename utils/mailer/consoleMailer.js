@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// Tokens in verification and reset links; logs must never hold a usable one
+const TOKEN_PARAM = /([?&]token=)[^&\s"'<>]+/g;
+
+const redactTokens = (text) => String(text || '').replace(TOKEN_PARAM, '$1[redacted]');
+
+// Prints each message to stdout with its account links redacted; handy on
+// hosts with a read-only filesystem
+const createConsoleMailer = () => ({
+  name: 'console',
+
+  async send(message) {
+    console.log([
+      '--- mail ---',
+      `To: ${message.to}`,
+      `From: ${message.from}`,
+      `Subject: ${message.subject}`,
+      '',
+      redactTokens(message.text),
+      '------------'
+    ].join('\n'));
+
+    return { id: crypto.randomBytes(8).toString('hex') };
+  }
+});
+
+module.exports = createConsoleMailer;
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Writes each message to a JSON file instead of sending it, for development
+ * and tests without a mail server. Links in the mail can be opened straight
+ * from the file.
+ */
+const createFileMailer = ({
+  dir = process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail')
+} = {}) => ({
+  name: 'file',
+
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const target = path.join(dir, `${id}.json`);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(target, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    console.log(`Mail to ${message.to} ("${message.subject}") written to ${target}`);
+
+    return { id };
+  }
+});
+
+module.exports = createFileMailer;
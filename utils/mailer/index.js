@@ -0,0 +1,52 @@
+const createSmtpMailer = require('./smtpMailer');
+const createFileMailer = require('./fileMailer');
+const createConsoleMailer = require('./consoleMailer');
+
+const DRIVERS = {
+  smtp: createSmtpMailer,
+  file: createFileMailer,
+  console: createConsoleMailer
+};
+
+const DEFAULT_FROM = 'Expense Tracker <no-reply@localhost>';
+
+const instances = new Map();
+
+/**
+ * The driver mail goes through: MAIL_DRIVER when set, SMTP when a host is
+ * configured outside tests, otherwise the file driver. Production has no
+ * fallback: mail carries live account links, so it must be configured.
+ */
+const getDefaultDriver = () => {
+  if (process.env.MAIL_DRIVER) return process.env.MAIL_DRIVER;
+  if (process.env.NODE_ENV !== 'test' && process.env.SMTP_HOST) return 'smtp';
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No mail transport configured. Set SMTP_HOST, or MAIL_DRIVER to pick a driver explicitly');
+  }
+  return 'file';
+};
+
+/**
+ * Returns the mailer for a driver name. Every mailer implements
+ * send({ from, to, subject, text, html }) and resolves to `{ id }`.
+ */
+const getMailer = (name = getDefaultDriver()) => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown mail driver: ${name}. Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, DRIVERS[name]());
+  }
+  return instances.get(name);
+};
+
+const sendMail = async (message) => getMailer().send({
+  from: process.env.MAIL_FROM || DEFAULT_FROM,
+  ...message
+});
+
+module.exports = {
+  getDefaultDriver,
+  getMailer,
+  sendMail
+};
@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Sends through any SMTP server (Postmark, SES, Mailgun, a local relay...).
+ * SMTP_SECURE=true uses implicit TLS, usually on port 465.
+ */
+const createSmtpMailer = ({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS
+} = {}) => {
+  if (!host) {
+    throw new Error('SMTP mailer requires SMTP_HOST');
+  }
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transport.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+module.exports = createSmtpMailer;
@@ -0,0 +1,29 @@
+const { badRequest } = require('./httpError');
+
+const PASSWORD_MIN_LENGTH = 8;
+// bcrypt only reads the first 72 bytes
+const PASSWORD_MAX_LENGTH = 72;
+
+/**
+ * Throws a 400 describing the first rule a new password breaks. `email`
+ * is the account's address, which can't be the password.
+ */
+const assertPasswordPolicy = (password, { email } = {}) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    throw badRequest(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long`);
+  }
+  if (Buffer.byteLength(password) > PASSWORD_MAX_LENGTH) {
+    throw badRequest(`Password cannot be longer than ${PASSWORD_MAX_LENGTH} bytes`);
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    throw badRequest('Password must contain at least one letter and one number');
+  }
+  if (email && password.toLowerCase() === String(email).toLowerCase()) {
+    throw badRequest('Password cannot be the same as your email address');
+  }
+};
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  assertPasswordPolicy
+};
@@ -0,0 +1,179 @@
+const path = require('path');
+const moment = require('moment');
+const { createWorker } = require('tesseract.js');
+const { DATE_FORMATS, parseBankAmount } = require('./statementImport');
+
+// English model shipped with the npm package, so OCR never downloads anything
+const LANG_PATH = process.env.OCR_LANG_PATH
+  || path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+
+// The worker holds ~100MB of model data; release it when scans stop coming in
+const WORKER_IDLE_TIMEOUT = 5 * 60 * 1000;
+
+const RECEIPT_DATE_FORMATS = [
+  ...DATE_FORMATS,
+  'D MMM YYYY',
+  'D MMMM YYYY',
+  'MMM D YYYY',
+  'MMMM D YYYY',
+  'DD-MMM-YYYY',
+  'DD-MMM-YY'
+];
+
+const CURRENCY_SYMBOLS = {
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  '₦': 'NGN',
+  '₩': 'KRW',
+  '₱': 'PHP'
+};
+
+// The lookarounds keep dotted and slashed dates ("15.01.2026") from reading as amounts
+const AMOUNT_PATTERN = /(?<![\d.\/])-?\d{1,3}(?:[,.]\d{3})*[.,]\d{2}(?!\s*%)(?!\d)(?![.\/-]\d)/g;
+const TOTAL_PATTERN = /\b(grand\s*total|total\s*(due|amount|to\s*pay)?|amount\s*(due|paid)|balance\s*due)\b/i;
+const NOT_TOTAL_PATTERN = /\b(sub\s*-?\s*total|total\s*(tax|vat|savings?|discount|items?|qty)|tax\s*total|you\s*saved)\b/i;
+const GRAND_TOTAL_PATTERN = /\b(grand\s*total|amount\s*due|balance\s*due|total\s*(due|to\s*pay))\b/i;
+const TAX_PATTERN = /\b(tax|vat|gst|hst|pst|iva|tva|mwst)\b/i;
+const TAX_TOTAL_PATTERN = /\b(total\s*(tax|vat)|(tax|vat)\s*total)\b/i;
+// Lines near the top that are never the store name
+const NOT_MERCHANT_PATTERN = /(receipt|invoice|welcome|thank|tel|phone|www\.|\.com|@|^\d|\bst\b|\bstreet\b|\bave\b|\broad\b|\brd\b)/i;
+
+let workerPromise = null;
+let idleTimer = null;
+
+const getWorker = () => {
+  if (!workerPromise) {
+    workerPromise = createWorker('eng', 1, {
+      langPath: LANG_PATH,
+      cacheMethod: 'none'
+    }).catch(error => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+};
+
+const scheduleWorkerShutdown = () => {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(async () => {
+    const pending = workerPromise;
+    workerPromise = null;
+    if (pending) (await pending).terminate();
+  }, WORKER_IDLE_TIMEOUT);
+  idleTimer.unref();
+};
+
+/**
+ * Runs Tesseract on an image buffer in-process. Returns the raw text and
+ * Tesseract's mean confidence (0-100).
+ */
+const recognizeReceiptText = async (buffer) => {
+  const worker = await getWorker();
+  try {
+    const { data } = await worker.recognize(buffer);
+    return { text: data.text || '', confidence: Math.round(data.confidence || 0) };
+  } finally {
+    scheduleWorkerShutdown();
+  }
+};
+
+const findAmounts = (line) => (line.match(AMOUNT_PATTERN) || [])
+  .map(parseBankAmount)
+  .filter(value => value !== null && value > 0);
+
+const lastAmount = (line) => {
+  const amounts = findAmounts(line);
+  return amounts.length > 0 ? amounts[amounts.length - 1] : null;
+};
+
+const findTotal = (lines) => {
+  const candidates = lines
+    .filter(line => TOTAL_PATTERN.test(line) && !NOT_TOTAL_PATTERN.test(line))
+    .map(line => ({ amount: lastAmount(line), grand: GRAND_TOTAL_PATTERN.test(line) }))
+    .filter(candidate => candidate.amount !== null);
+
+  const grand = candidates.filter(candidate => candidate.grand);
+  if (grand.length > 0) return grand[grand.length - 1].amount;
+  if (candidates.length > 0) return candidates[candidates.length - 1].amount;
+
+  // No labelled total: the largest figure on a receipt is almost always it
+  const amounts = lines.flatMap(findAmounts);
+  return amounts.length > 0 ? Math.max(...amounts) : null;
+};
+
+const findTax = (lines) => {
+  const taxLines = lines.filter(line => TAX_PATTERN.test(line) && !/\b(incl|excl|before|pre)\b/i.test(line));
+  const totalLine = taxLines.find(line => TAX_TOTAL_PATTERN.test(line));
+  if (totalLine) return lastAmount(totalLine);
+
+  const amounts = taxLines.map(lastAmount).filter(amount => amount !== null);
+  if (amounts.length === 0) return null;
+  return Math.round(amounts.reduce((sum, amount) => sum + amount, 0) * 100) / 100;
+};
+
+const findDate = (text) => {
+  const candidates = [
+    ...(text.match(/\b\d{1,4}[/.-]\d{1,2}[/.-]\d{2,4}\b/g) || []),
+    ...(text.match(/\b\d{1,2}[\s-][A-Za-z]{3,9}\.?[\s-]\d{2,4}\b/g) || []),
+    ...(text.match(/\b[A-Za-z]{3,9}\.?\s\d{1,2},?\s\d{4}\b/g) || [])
+  ];
+  const latest = moment().endOf('day');
+  const earliest = moment().subtract(5, 'years');
+
+  for (const candidate of candidates) {
+    // "Jan. 5, 2024" -> "Jan 5 2024"; dotted numeric dates are left alone
+    const value = candidate.replace(/,|\.(?=\s)/g, '').replace(/\s+/g, ' ');
+    const parsed = RECEIPT_DATE_FORMATS
+      .map(format => moment(value, format, true))
+      .find(date => date.isValid() && date.isBetween(earliest, latest, undefined, '[]'));
+    if (parsed) return parsed.format('YYYY-MM-DD');
+  }
+  return null;
+};
+
+const findMerchant = (lines) => {
+  const line = lines.slice(0, 6).find(candidate => {
+    const letters = candidate.replace(/[^A-Za-z]/g, '');
+    return letters.length >= 3
+      && letters.length >= candidate.replace(/\s/g, '').length / 2
+      && !NOT_MERCHANT_PATTERN.test(candidate)
+      && findAmounts(candidate).length === 0;
+  });
+  return line ? line.replace(/^[^A-Za-z0-9]+|[^A-Za-z0-9.)]+$/g, '') : null;
+};
+
+const findCurrency = (text) => {
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(candidate => text.includes(candidate));
+  if (symbol) return CURRENCY_SYMBOLS[symbol];
+
+  const code = text.match(/\b(USD|EUR|GBP|CAD|AUD|NZD|INR|JPY|CHF|NGN|ZAR|KES|SGD|MXN)\b/);
+  return code ? code[1] : null;
+};
+
+/**
+ * Pulls merchant, date, total, tax and currency out of OCR text. Any field
+ * it can't find is null; receipts vary too much for this to be more than a
+ * best guess the user confirms.
+ */
+const parseReceiptText = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  return {
+    merchant: findMerchant(lines),
+    date: findDate(text),
+    total: findTotal(lines),
+    tax: findTax(lines),
+    currency: findCurrency(text)
+  };
+};
+
+module.exports = {
+  recognizeReceiptText,
+  parseReceiptText
+};
@@ -0,0 +1,164 @@
+const moment = require('moment');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const RecurringRule = require('../models/RecurringRule');
+const User = require('../models/User');
+const { convertToBase } = require('./currency');
+const { allocateIncome } = require('./goalAllocation');
+
+const CADENCE_UNITS = {
+  weekly: 'weeks',
+  monthly: 'months',
+  yearly: 'years'
+};
+
+// Guards against runaway loops on malformed rules
+const MAX_OCCURRENCES = 5000;
+
+const isSkipped = (rule, date) => (rule.skippedDates || [])
+  .some(skipped => moment(skipped).isSame(date, 'day'));
+
+/**
+ * Returns the n-th scheduled date of a rule, counting from its start date.
+ * Monthly rules land on `dayOfMonth` (or the start date's day), clamped to
+ * the last day of shorter months.
+ */
+const nthOccurrence = (rule, n) => {
+  const start = moment(rule.startDate).startOf('day');
+  const unit = CADENCE_UNITS[rule.cadence];
+  const date = start.clone().add(n * (rule.interval || 1), unit);
+
+  if (rule.cadence === 'monthly') {
+    const day = rule.dayOfMonth || start.date();
+    date.date(Math.min(day, date.daysInMonth()));
+  }
+
+  return date;
+};
+
+/**
+ * Lists a rule's occurrence dates within [from, to], honouring its end date
+ * and skipped dates.
+ */
+const getOccurrences = (rule, from, to) => {
+  const rangeStart = moment.max(moment(from), moment(rule.startDate).startOf('day'));
+  let rangeEnd = moment(to);
+  if (rule.endDate && moment(rule.endDate).isBefore(rangeEnd)) {
+    rangeEnd = moment(rule.endDate);
+  }
+
+  const occurrences = [];
+  if (rangeEnd.isBefore(rangeStart)) return occurrences;
+
+  for (let n = 0; n < MAX_OCCURRENCES; n++) {
+    const date = nthOccurrence(rule, n);
+    if (date.isAfter(rangeEnd)) break;
+    if (date.isBefore(rangeStart)) continue;
+    // A custom dayOfMonth earlier than the start date's day would land before the series starts
+    if (date.isBefore(moment(rule.startDate).startOf('day'))) continue;
+    if (!isSkipped(rule, date)) occurrences.push(date.toDate());
+  }
+
+  return occurrences;
+};
+
+const getTransactionModel = (type) => (type === 'income' ? Income : Expense);
+
+/**
+ * Creates the concrete Income/Expense documents for every occurrence of the
+ * rule that has fallen due up to `until`. Each document is keyed on
+ * (recurringRule, occurrenceDate), so running this repeatedly never creates
+ * duplicates.
+ */
+const materializeRule = async (rule, until = new Date()) => {
+  if (!rule.active) return [];
+
+  const Model = getTransactionModel(rule.type);
+  const from = rule.materializedThrough
+    ? moment(rule.materializedThrough).add(1, 'ms').toDate()
+    : rule.startDate;
+  const occurrences = getOccurrences(rule, from, until);
+  const created = [];
+  const user = occurrences.length > 0 ? await User.findById(rule.user).select('baseCurrency') : null;
+
+  for (const occurrenceDate of occurrences) {
+    const conversion = await convertToBase(user, rule.amount, rule.currency, occurrenceDate);
+    const result = await Model.updateOne(
+      { recurringRule: rule._id, occurrenceDate },
+      {
+        $setOnInsert: {
+          user: rule.user,
+          title: rule.title,
+          amount: rule.amount,
+          ...conversion,
+          category: rule.category,
+          description: rule.description,
+          date: occurrenceDate,
+          recurringRule: rule._id,
+          occurrenceDate,
+          createdAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) {
+      if (rule.type === 'income') {
+        await allocateIncome(user, {
+          _id: result.upsertedId,
+          user: rule.user,
+          title: rule.title,
+          amount: rule.amount,
+          baseAmount: conversion.baseAmount,
+          date: occurrenceDate
+        });
+      }
+      created.push({ type: rule.type, ruleId: rule._id, date: occurrenceDate, _id: result.upsertedId });
+    }
+  }
+
+  const latest = rule.endDate && moment(rule.endDate).isBefore(until) ? rule.endDate : until;
+  if (!rule.materializedThrough || moment(latest).isAfter(rule.materializedThrough)) {
+    rule.materializedThrough = latest;
+  }
+  rule.lastMaterializedAt = new Date();
+  await rule.save();
+
+  return created;
+};
+
+/**
+ * Materializes all due occurrences for one user, or for every user when
+ * `userId` is omitted (used by the standalone job script).
+ */
+const materializeDueTransactions = async ({ userId, until = new Date() } = {}) => {
+  const filter = { active: true, startDate: { $lte: until } };
+  if (userId) filter.user = userId;
+
+  const rules = await RecurringRule.find(filter);
+  const created = [];
+  const errors = [];
+
+  // One broken rule (e.g. a missing exchange rate) must not block the others
+  for (const rule of rules) {
+    try {
+      created.push(...await materializeRule(rule, until));
+    } catch (error) {
+      errors.push({ ruleId: rule._id, message: error.message });
+    }
+  }
+
+  return {
+    rulesProcessed: rules.length,
+    created,
+    errors
+  };
+};
+
+module.exports = {
+  CADENCE_UNITS,
+  getOccurrences,
+  getTransactionModel,
+  materializeRule,
+  materializeDueTransactions
+};
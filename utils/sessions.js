@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { httpError } = require('./httpError');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// The session id travels with the secret so a refresh finds its family even
+// when the secret is stale
+const splitRefreshToken = (token) => {
+  const [sessionId, secret] = String(token || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+const signTokens = (session, secret) => {
+  const accessToken = jwt.sign({ id: session.user, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  });
+
+  return {
+    token: accessToken,
+    accessTokenExpiresAt: new Date(jwt.decode(accessToken).exp * 1000),
+    refreshToken: `${session._id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Signs a user in on a new device: stores the session and returns a
+ * short-lived access token with the refresh token that renews it.
+ */
+const issueSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    userAgent: (req.get('User-Agent') || '').slice(0, 300),
+    ip: req.ip || '',
+    expiresAt: refreshExpiry()
+  });
+
+  return signTokens(session, secret);
+};
+
+/**
+ * Exchanges a refresh token for a new pair. Each refresh token works once:
+ * presenting an old one means it was copied, so the whole session is
+ * revoked and every token issued from it stops working.
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const parts = splitRefreshToken(refreshToken);
+  const session = parts ? await Session.findById(parts.sessionId) : null;
+  if (!session || !session.isActive()) {
+    throw httpError(401, 'Invalid or expired refresh token');
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  // Conditional on the current hash so two concurrent refreshes can't both win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hashToken(parts.secret), revokedAt: null },
+    { tokenHash: hashToken(secret), lastUsedAt: new Date(), expiresAt: refreshExpiry() },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, 'reuse_detected');
+    throw httpError(401, 'Refresh token has already been used; this session was ended for safety. Please log in again');
+  }
+
+  return signTokens(rotated, secret);
+};
+
+/**
+ * The live session behind an access token, or null once it has been
+ * revoked, has expired or belongs to someone else.
+ */
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+    return null;
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.user.toString() !== String(decoded.id)) {
+    return null;
+  }
+  return session;
+};
+
+const revokeSession = (sessionId, reason = 'revoked') => Session.updateOne(
+  { _id: sessionId, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Signs the user out everywhere, optionally keeping the device making the request
+const revokeUserSessions = (userId, { except, reason = 'revoked' } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  return Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+const listActiveSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+})
+  .select('-tokenHash')
+  .sort({ lastUsedAt: -1 });
+
+module.exports = {
+  issueSession,
+  rotateRefreshToken,
+  findActiveSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+};
@@ -0,0 +1,114 @@
+const { BASE_AMOUNT, roundAmount } = require('./currency');
+const { resolveCategoryName } = require('./categories');
+const { badRequest } = require('./httpError');
+
+const MAX_SPLIT_LINES = 20;
+
+// Split lines are in the expense's currency; totals this close count as equal
+const SPLIT_TOLERANCE = 0.005;
+
+const splitTotal = (splits) => roundAmount(splits.reduce((sum, split) => sum + Number(split.amount), 0));
+
+const splitsMatchAmount = (splits, amount) => Math.abs(splitTotal(splits) - Number(amount)) < SPLIT_TOLERANCE;
+
+/**
+ * Validates the split lines given for an expense of `amount` and returns
+ * them ready to store. Each line needs a positive amount and one of the
+ * user's expense categories, and the lines must add up to the amount.
+ * An empty list means the expense isn't split.
+ */
+const resolveSplits = async (userId, splits, amount) => {
+  if (splits === undefined || splits === null || splits === '') return [];
+  if (!Array.isArray(splits)) {
+    throw badRequest('splits must be an array of { amount, category, note } lines');
+  }
+  if (splits.length === 0) return [];
+  if (splits.length < 2) {
+    throw badRequest('A split needs at least two lines; use the expense category for a single one');
+  }
+  if (splits.length > MAX_SPLIT_LINES) {
+    throw badRequest(`An expense can have at most ${MAX_SPLIT_LINES} split lines`);
+  }
+
+  const lines = [];
+  for (const [index, split] of splits.entries()) {
+    const lineAmount = Number(split && split.amount);
+    if (!Number.isFinite(lineAmount) || lineAmount <= 0) {
+      throw badRequest(`Split line ${index + 1}: amount must be a positive number`);
+    }
+    lines.push({
+      amount: roundAmount(lineAmount),
+      category: await resolveCategoryName(userId, 'expense', split.category),
+      note: split.note
+    });
+  }
+
+  if (!splitsMatchAmount(lines, amount)) {
+    throw badRequest(`Split lines add up to ${splitTotal(lines)} but the expense amount is ${amount}`);
+  }
+  return lines;
+};
+
+// The category of the largest line, used as the expense's own category
+const primarySplitCategory = (splits) => splits
+  .reduce((largest, split) => (split.amount > largest.amount ? split : largest)).category;
+
+/**
+ * Aggregation stages that turn a split expense into one document per
+ * line, carrying the line's category and its share of the amount and
+ * base amount. Expenses without splits pass through unchanged.
+ */
+const SPLIT_LINE_STAGES = [
+  { $unwind: { path: '$splits', preserveNullAndEmptyArrays: true } },
+  {
+    $set: {
+      category: { $ifNull: ['$splits.category', '$category'] },
+      baseAmount: {
+        $cond: [
+          { $eq: [{ $type: '$splits' }, 'object'] },
+          { $multiply: [BASE_AMOUNT, { $divide: ['$splits.amount', '$amount'] }] },
+          BASE_AMOUNT
+        ]
+      },
+      amount: { $ifNull: ['$splits.amount', '$amount'] }
+    }
+  }
+];
+
+/**
+ * The same for transactions already loaded in memory: a split expense
+ * becomes one entry per line with its share of `amount` (and of
+ * `baseAmount` where present). Works on plain documents as well as on
+ * toBaseCurrency output, whose `amount` is already in the base currency.
+ */
+const expandSplits = (transactions = []) => transactions.flatMap(transaction => {
+  if (!transaction || !Array.isArray(transaction.splits) || transaction.splits.length === 0) {
+    return [transaction];
+  }
+
+  const original = transaction.originalAmount ?? transaction.amount;
+  return transaction.splits.map(split => {
+    const share = original ? split.amount / original : 0;
+    const line = {
+      ...transaction,
+      category: split.category,
+      splitNote: split.note,
+      amount: roundAmount(transaction.amount * share),
+      splits: undefined
+    };
+    if (transaction.originalAmount !== undefined) line.originalAmount = split.amount;
+    if (transaction.baseAmount !== undefined && transaction.baseAmount !== null) {
+      line.baseAmount = roundAmount(transaction.baseAmount * share);
+    }
+    return line;
+  });
+});
+
+module.exports = {
+  MAX_SPLIT_LINES,
+  splitsMatchAmount,
+  resolveSplits,
+  primarySplitCategory,
+  SPLIT_LINE_STAGES,
+  expandSplits
+};
@@ -0,0 +1,511 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const ImportBatch = require('../models/ImportBatch');
+const {
+  getUserCategories,
+  findCategoryByName,
+  suggestExpenseCategory,
+  suggestIncomeCategory
+} = require('./categories');
+const { parseCsvWithHeader } = require('./csv');
+const { badRequest } = require('./httpError');
+const { DEFAULT_CURRENCY, normalizeCurrency, convertToBase } = require('./currency');
+const { removeExpenseAttachments } = require('./attachmentStorage');
+const { allocateIncome, removeIncomeContributions } = require('./goalAllocation');
+
+// Tried when the mapping doesn't name a date format; the one parsing the
+// most rows wins, earlier entries on a tie. Day-first exports only need an
+// explicit format when no day in the file is above 12
+const DATE_FORMATS = [
+  'YYYY-MM-DD',
+  'YYYY/MM/DD',
+  'MM/DD/YYYY',
+  'DD/MM/YYYY',
+  'DD.MM.YYYY',
+  'DD-MM-YYYY',
+  'MM-DD-YYYY',
+  'M/D/YYYY',
+  'D/M/YYYY',
+  'MM/DD/YY',
+  'DD/MM/YY',
+  'YYYYMMDD'
+];
+
+// Header names recognised when a column isn't mapped explicitly
+const COLUMN_PATTERNS = {
+  date: /\bdate\b/i,
+  description: /desc|memo|narrative|details|payee|merchant|reference|title/i,
+  amount: /^(transaction )?amount$|^value$|^sum$/i,
+  debit: /debit|withdrawal|paid out|money out|outflow/i,
+  credit: /credit|deposit|paid in|money in|inflow/i,
+  // Debit/credit indicator column; banks reuse "Type" for other things, so
+  // it is only used when mapped explicitly
+  type: null,
+  currency: /^(currency|ccy)$/i
+};
+
+const MAPPING_FIELDS = Object.keys(COLUMN_PATTERNS);
+const SIGN_CONVENTIONS = ['negative-expense', 'positive-expense'];
+const DEBIT_MARKERS = ['debit', 'dr', 'd', 'withdrawal', 'out', 'expense'];
+
+const parseJsonField = (value, name) => {
+  if (value === undefined || value === '') return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw badRequest(`${name} must be valid JSON`);
+  }
+};
+
+/**
+ * Parses a bank amount such as "1,234.56", "-12.50", "(12.50)", "€ 12,50"
+ * or "1.234,56". The right-most separator is treated as the decimal mark
+ * when it is followed by one or two digits.
+ */
+const parseBankAmount = (value) => {
+  if (value === undefined || value === null) return null;
+  let text = String(value).trim();
+  if (text === '') return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (/-/.test(text)) negative = true;
+
+  text = text.replace(/[^\d.,]/g, '');
+  const decimalMatch = text.match(/[.,](\d{1,2})$/);
+  const digits = decimalMatch
+    ? `${text.slice(0, decimalMatch.index).replace(/[.,]/g, '')}.${decimalMatch[1]}`
+    : text.replace(/[.,]/g, '');
+
+  const amount = Number(digits);
+  if (digits === '' || Number.isNaN(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+const detectDateFormat = (values) => {
+  const dates = values.filter(Boolean);
+  let best = null;
+  let bestMatches = 0;
+
+  DATE_FORMATS.forEach(format => {
+    const matches = dates.filter(value => moment(value, format, true).isValid()).length;
+    if (matches > bestMatches) {
+      best = format;
+      bestMatches = matches;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Fills in unmapped columns from the header names and checks that the
+ * mapping is usable: a date, a description and either an amount column or
+ * separate debit/credit columns.
+ */
+const resolveCsvMapping = (headers, requested = {}) => {
+  const columns = {};
+
+  MAPPING_FIELDS.forEach(field => {
+    if (requested[field]) {
+      if (!headers.includes(requested[field])) {
+        throw badRequest(`Mapped ${field} column "${requested[field]}" is not in the file`);
+      }
+      columns[field] = requested[field];
+    } else if (requested[field] === undefined && COLUMN_PATTERNS[field]) {
+      const used = Object.values(columns);
+      columns[field] = headers.find(header => !used.includes(header) && COLUMN_PATTERNS[field].test(header));
+    }
+  });
+
+  if (!columns.date) throw badRequest('Could not find a date column; map one with mapping.date');
+  if (!columns.description) throw badRequest('Could not find a description column; map one with mapping.description');
+  if (!columns.amount && !columns.debit && !columns.credit) {
+    throw badRequest('Map either an amount column or debit/credit columns');
+  }
+  // A single signed amount column takes precedence over debit/credit guesses
+  if (columns.amount && !requested.debit && !requested.credit) {
+    delete columns.debit;
+    delete columns.credit;
+  } else if ((requested.debit || requested.credit) && !requested.amount) {
+    delete columns.amount;
+  }
+
+  Object.keys(columns).forEach(field => columns[field] === undefined && delete columns[field]);
+  return columns;
+};
+
+/**
+ * Turns a CSV bank export into import rows. `options.mapping` names the
+ * columns (see COLUMN_PATTERNS); `dateFormat`, `signConvention` and
+ * `currency` control how values are read.
+ */
+const parseCsvStatement = (text, options = {}) => {
+  const { headers, records } = parseCsvWithHeader(text, { delimiter: options.delimiter });
+  if (headers.length === 0 || records.length === 0) {
+    throw badRequest('The file has no rows to import');
+  }
+
+  const columns = resolveCsvMapping(headers, parseJsonField(options.mapping, 'mapping'));
+  const signConvention = options.signConvention || 'negative-expense';
+  if (!SIGN_CONVENTIONS.includes(signConvention)) {
+    throw badRequest(`signConvention must be one of: ${SIGN_CONVENTIONS.join(', ')}`);
+  }
+
+  const dateFormat = options.dateFormat || detectDateFormat(records.map(record => record[columns.date]));
+  if (!dateFormat) {
+    throw badRequest('Could not detect the date format; pass dateFormat, e.g. DD/MM/YYYY');
+  }
+
+  const rows = records.map((record, index) => {
+    // Row numbers match the spreadsheet, counting the header as row 1
+    const row = { row: index + 2, raw: record };
+
+    const date = moment(record[columns.date], dateFormat, true);
+    if (!date.isValid()) {
+      return { ...row, error: `Invalid date "${record[columns.date]}"` };
+    }
+
+    let amount;
+    let type;
+    if (columns.amount) {
+      amount = parseBankAmount(record[columns.amount]);
+      if (amount !== null && columns.type) {
+        const marker = String(record[columns.type]).trim().toLowerCase();
+        type = DEBIT_MARKERS.includes(marker) ? 'expense' : 'income';
+        amount = Math.abs(amount);
+      } else if (amount !== null) {
+        const isExpense = signConvention === 'negative-expense' ? amount < 0 : amount > 0;
+        type = isExpense ? 'expense' : 'income';
+        amount = Math.abs(amount);
+      }
+    } else {
+      const debit = parseBankAmount(record[columns.debit]);
+      const credit = parseBankAmount(record[columns.credit]);
+      if (debit) {
+        type = 'expense';
+        amount = Math.abs(debit);
+      } else if (credit) {
+        type = 'income';
+        amount = Math.abs(credit);
+      } else {
+        amount = null;
+      }
+    }
+
+    if (amount === null || amount === undefined) {
+      return { ...row, error: 'Missing or invalid amount' };
+    }
+    if (amount === 0) {
+      return { ...row, error: 'Amount is zero' };
+    }
+
+    const title = String(record[columns.description] || '').trim();
+    if (!title) {
+      return { ...row, error: 'Missing description' };
+    }
+
+    return {
+      ...row,
+      date: date.toDate(),
+      title,
+      amount,
+      type,
+      currency: columns.currency ? record[columns.currency] : options.currency
+    };
+  });
+
+  return {
+    headers,
+    mapping: columns,
+    dateFormat,
+    signConvention,
+    rows
+  };
+};
+
+const duplicateKey = (type, date, amount, currency) => (
+  `${type}|${moment(date).format('YYYY-MM-DD')}|${Number(amount).toFixed(2)}|${currency}`
+);
+
+// Counts existing records per (type, day, amount, currency) in the rows' date span.
+// Records from before multi-currency support have no currency and are in the base one.
+async function loadExistingKeys(user, rows) {
+  const userId = user._id;
+  const baseCurrency = user.baseCurrency || DEFAULT_CURRENCY;
+  const counts = new Map();
+  if (rows.length === 0) return counts;
+
+  const times = rows.map(row => row.date.getTime());
+  const range = {
+    $gte: moment(Math.min(...times)).startOf('day').toDate(),
+    $lte: moment(Math.max(...times)).endOf('day').toDate()
+  };
+
+  const [incomes, expenses] = await Promise.all([
+    Income.find({ user: userId, group: null, date: range }).select('amount currency date').lean(),
+    Expense.find({ user: userId, group: null, date: range }).select('amount currency date').lean()
+  ]);
+
+  [['income', incomes], ['expense', expenses]].forEach(([type, records]) => {
+    records.forEach(record => {
+      const key = duplicateKey(type, record.date, record.amount, record.currency || baseCurrency);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+
+  return counts;
+}
+
+// External ids among the rows that an earlier import already created
+async function loadImportedIds(userId, rows) {
+  const externalIds = rows.map(row => row.externalId).filter(Boolean);
+  if (externalIds.length === 0) return new Set();
+
+  const filter = { user: userId, group: null, externalId: { $in: externalIds } };
+  const [incomes, expenses] = await Promise.all([
+    Income.find(filter).select('externalId').lean(),
+    Expense.find(filter).select('externalId').lean()
+  ]);
+
+  return new Set([...incomes, ...expenses].map(record => record.externalId));
+}
+
+/**
+ * Enriches parsed rows for preview and commit: converts amounts into the
+ * base currency, suggests a category from the user's own categories
+ * when the statement has none they know, and flags rows that
+ * already exist. Duplicates are matched one-for-one, so two identical
+ * purchases on the same day are only flagged if two records already exist.
+ * Rows whose externalId was imported before are flagged `alreadyImported`
+ * and never imported again.
+ */
+const prepareImportRows = async (user, rows) => {
+  const valid = rows.filter(row => !row.error);
+  const [existing, importedIds, incomeCategories, expenseCategories] = await Promise.all([
+    loadExistingKeys(user, valid),
+    loadImportedIds(user._id, valid),
+    getUserCategories(user._id, 'income'),
+    getUserCategories(user._id, 'expense')
+  ]);
+  const conversions = new Map();
+
+  const prepared = [];
+  for (const row of rows) {
+    if (row.error) {
+      prepared.push(row);
+      continue;
+    }
+
+    let conversion;
+    try {
+      const currency = normalizeCurrency(row.currency, user.baseCurrency);
+      const cacheKey = `${currency}|${moment(row.date).format('YYYY-MM-DD')}`;
+      if (!conversions.has(cacheKey)) {
+        conversions.set(cacheKey, await convertToBase(user, 1, currency, row.date));
+      }
+      const { exchangeRate } = conversions.get(cacheKey);
+      conversion = {
+        currency,
+        exchangeRate,
+        baseAmount: Math.round(row.amount * exchangeRate * 100) / 100
+      };
+    } catch (error) {
+      prepared.push({ ...row, error: error.message });
+      continue;
+    }
+
+    const known = findCategoryByName(row.type === 'expense' ? expenseCategories : incomeCategories, row.category);
+    const suggestion = known
+      ? { category: known.name, confidence: 'high' }
+      : row.type === 'expense'
+        ? suggestExpenseCategory(row.title, row.amount, row.description || '', expenseCategories)
+        : suggestIncomeCategory(row.title, row.description || '', incomeCategories);
+
+    const key = duplicateKey(row.type, row.date, row.amount, conversion.currency);
+    const alreadyImported = Boolean(row.externalId && importedIds.has(row.externalId));
+    const duplicate = alreadyImported || (existing.get(key) || 0) > 0;
+    if ((existing.get(key) || 0) > 0) existing.set(key, existing.get(key) - 1);
+
+    prepared.push({
+      ...row,
+      ...conversion,
+      category: suggestion.category,
+      confidence: suggestion.confidence,
+      duplicate,
+      ...(row.externalId ? { alreadyImported } : {})
+    });
+  }
+
+  return prepared;
+};
+
+const summarizeRows = (rows) => ({
+  rows: rows.length,
+  valid: rows.filter(row => !row.error).length,
+  invalid: rows.filter(row => row.error).length,
+  duplicates: rows.filter(row => row.duplicate).length,
+  alreadyImported: rows.filter(row => row.alreadyImported).length,
+  incomes: rows.filter(row => !row.error && row.type === 'income').length,
+  expenses: rows.filter(row => !row.error && row.type === 'expense').length
+});
+
+// Standalone mongod (typical local setup) rejects multi-document transactions
+const isTransactionUnsupported = (error) => error.code === 20
+  || /Transaction numbers are only allowed|replica set/i.test(error.message || '');
+
+async function runInTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Writes the selected rows and their ImportBatch in one transaction. On a
+ * server without transaction support the batch is written directly and
+ * removed again if any insert fails, so a batch is either fully imported
+ * or not at all.
+ *
+ * `skipDuplicates` (default true) leaves flagged rows out, `exclude` lists
+ * row numbers to leave out and `categories` maps row numbers to a category
+ * that overrides the suggestion; it must be one of the user's categories
+ * for the row's type. Rows imported before are always left out.
+ */
+const commitImport = async (user, rows, { format, filename, options, skipDuplicates = true, exclude = [], categories = {} }) => {
+  const excluded = new Set(exclude.map(Number));
+  const selected = rows.filter(row => !row.error
+    && !row.alreadyImported
+    && !excluded.has(row.row)
+    && !(skipDuplicates && row.duplicate));
+
+  if (selected.length === 0) {
+    throw badRequest('No rows left to import');
+  }
+
+  const userCategories = {
+    income: await getUserCategories(user._id, 'income'),
+    expense: await getUserCategories(user._id, 'expense')
+  };
+  const overrides = new Map();
+  selected.filter(row => categories[row.row]).forEach(row => {
+    const category = findCategoryByName(userCategories[row.type], categories[row.row]);
+    if (!category) {
+      throw badRequest(`Row ${row.row}: "${categories[row.row]}" is not one of your ${row.type} categories`);
+    }
+    overrides.set(row.row, category.name);
+  });
+
+  const batchId = new mongoose.Types.ObjectId();
+  const toRecord = (row) => ({
+    user: user._id,
+    title: row.title,
+    amount: row.amount,
+    currency: row.currency,
+    exchangeRate: row.exchangeRate,
+    baseAmount: row.baseAmount,
+    category: overrides.get(row.row) || row.category,
+    description: row.description,
+    date: row.date,
+    externalId: row.externalId,
+    importBatch: batchId
+  });
+
+  const incomes = selected.filter(row => row.type === 'income').map(toRecord);
+  const expenses = selected.filter(row => row.type === 'expense').map(toRecord);
+  const summary = summarizeRows(rows);
+
+  const write = async (session) => {
+    const [batch] = await ImportBatch.create([{
+      _id: batchId,
+      user: user._id,
+      format,
+      filename,
+      options,
+      counts: {
+        rows: summary.rows,
+        incomes: incomes.length,
+        expenses: expenses.length,
+        duplicates: summary.duplicates,
+        skipped: summary.valid - selected.length,
+        invalid: summary.invalid
+      }
+    }], { session });
+
+    if (incomes.length > 0) await Income.insertMany(incomes, { session });
+    if (expenses.length > 0) await Expense.insertMany(expenses, { session });
+    return batch;
+  };
+
+  const batch = await writeImport(write, batchId);
+
+  // Imported income feeds auto-allocating goals like income added by hand
+  for (const income of await Income.find({ importBatch: batchId }).sort({ date: 1 })) {
+    await allocateIncome(user, income);
+  }
+
+  return batch;
+};
+
+// Inside a transaction where the server supports one, otherwise cleaning up by hand on failure
+async function writeImport(write, batchId) {
+  try {
+    return await runInTransaction(write);
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+  }
+
+  try {
+    return await write(null);
+  } catch (error) {
+    await removeBatchRecords(batchId);
+    await ImportBatch.deleteOne({ _id: batchId });
+    throw error;
+  }
+}
+
+async function removeBatchRecords(batchId) {
+  await removeIncomeContributions({ importBatch: batchId });
+  await removeExpenseAttachments(Expense, { importBatch: batchId });
+  const [incomes, expenses] = await Promise.all([
+    Income.deleteMany({ importBatch: batchId }),
+    Expense.deleteMany({ importBatch: batchId })
+  ]);
+  return { incomes: incomes.deletedCount, expenses: expenses.deletedCount };
+}
+
+/**
+ * Deletes every record an import created and marks the batch rolled back.
+ */
+const rollbackImport = async (batch) => {
+  const removed = await removeBatchRecords(batch._id);
+  batch.status = 'rolled_back';
+  batch.rolledBackAt = new Date();
+  await batch.save();
+  return removed;
+};
+
+module.exports = {
+  DATE_FORMATS,
+  SIGN_CONVENTIONS,
+  parseJsonField,
+  parseBankAmount,
+  resolveCsvMapping,
+  parseCsvStatement,
+  prepareImportRows,
+  summarizeRows,
+  commitImport,
+  rollbackImport
+};
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { badRequest } = require('./httpError');
+
+const STATEMENT_FORMATS = ['ofx', 'qfx', 'qif'];
+
+// QIF has no standard date format; US-style dates are by far the most common
+const QIF_DATE_FORMATS = ['MM/DD/YYYY', 'M/D/YYYY', 'MM/DD/YY', 'M/D/YY', 'DD/MM/YYYY', 'DD/MM/YY', 'YYYY-MM-DD'];
+
+/**
+ * Works out the statement format from the file name, falling back to the
+ * content for files without a useful extension.
+ */
+const detectStatementFormat = (filename = '', content = '') => {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (STATEMENT_FORMATS.includes(extension)) return extension;
+
+  if (/OFXHEADER|<OFX>/i.test(content)) return 'ofx';
+  if (/^\s*!Type:/im.test(content)) return 'qif';
+  return null;
+};
+
+// Reads a leaf element; OFX 1.x (SGML) leaves usually have no closing tag
+const readTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : undefined;
+};
+
+// OFX dates look like 20240131, 20240131120000 or 20240131120000.000[-5:EST];
+// only the calendar date matters here
+const parseOfxDate = (value) => {
+  const match = String(value || '').match(/^(\d{8})/);
+  if (!match) return null;
+  const date = moment(match[1], 'YYYYMMDD', true);
+  return date.isValid() ? date.toDate() : null;
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// OFX allows a comma as the decimal point. When both marks appear, the last
+// one is the decimal point and the other groups thousands. A mark that
+// repeats, or a lone one before exactly three digits, groups thousands too,
+// as in parseBankAmount.
+const parseOfxAmount = (value) => {
+  const text = String(value || '').trim();
+  const marks = text.match(/[.,]/g) || [];
+  const last = marks[marks.length - 1];
+  const grouping = marks.every(mark => mark === last) && (marks.length > 1 || /[.,]\d{3}$/.test(text));
+
+  if (!last || grouping) return Number(text.replace(/[.,]/g, ''));
+
+  const thousands = last === ',' ? '.' : ',';
+  return Number(text.split(thousands).join('').replace(last, '.'));
+};
+
+/**
+ * Parses OFX/QFX (SGML 1.x or XML 2.x) into import rows. The bank's FITID
+ * becomes the row's externalId, scoped to the account so ids from different
+ * accounts can't collide.
+ */
+const parseOfx = (content) => {
+  const text = String(content);
+  if (!/<OFX>/i.test(text)) {
+    throw badRequest('The file is not a valid OFX/QFX statement');
+  }
+
+  const currency = readTag(text, 'CURDEF');
+  const accountId = readTag(text, 'ACCTID');
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  const rows = blocks.map((block, index) => {
+    const row = { row: index + 1 };
+    const fitId = readTag(block, 'FITID');
+    const date = parseOfxDate(readTag(block, 'DTPOSTED'));
+    const amount = parseOfxAmount(readTag(block, 'TRNAMT'));
+    const name = decodeEntities(readTag(block, 'NAME') || readTag(block, 'PAYEE') || '');
+    const memo = decodeEntities(readTag(block, 'MEMO') || '');
+
+    if (!date) return { ...row, error: 'Missing or invalid DTPOSTED' };
+    if (!Number.isFinite(amount) || readTag(block, 'TRNAMT') === undefined) {
+      return { ...row, error: 'Missing or invalid TRNAMT' };
+    }
+    if (amount === 0) return { ...row, error: 'Amount is zero' };
+
+    const title = name || memo;
+    if (!title) return { ...row, error: 'Missing NAME and MEMO' };
+
+    return {
+      ...row,
+      date,
+      title,
+      description: name && memo && memo !== name ? memo : undefined,
+      amount: Math.abs(amount),
+      type: amount < 0 ? 'expense' : 'income',
+      currency: readTag(block, 'CURSYM') || currency,
+      externalId: fitId ? `ofx:${accountId || 'account'}:${fitId}` : undefined,
+      transactionType: readTag(block, 'TRNTYPE')
+    };
+  });
+
+  return { accountId, currency, rows };
+};
+
+const mostCommonFormat = (values, formats) => {
+  let best = formats[0];
+  let bestMatches = 0;
+
+  formats.forEach(format => {
+    const matches = values.filter(value => value && moment(value, format, true).isValid()).length;
+    if (matches > bestMatches) {
+      best = format;
+      bestMatches = matches;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Parses QIF into import rows. QIF carries no transaction ids, so each row
+ * gets a fingerprint of its date, amount and payee (numbered when the same
+ * combination repeats in the file) to keep re-imports idempotent.
+ */
+const parseQif = (content, { dateFormat, currency } = {}) => {
+  const text = String(content).replace(/^\uFEFF/, '');
+  const typeMatch = text.match(/^\s*!Type:(\w+)/im);
+  if (!typeMatch) {
+    throw badRequest('The file is not a valid QIF statement');
+  }
+
+  const accountType = typeMatch[1];
+  const records = [];
+  let current = {};
+
+  text.split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.startsWith('!')) return;
+    if (line.startsWith('^')) {
+      if (Object.keys(current).length > 0) records.push(current);
+      current = {};
+      return;
+    }
+    const code = line[0];
+    const value = line.slice(1).trim();
+    // Split lines (S/E/$) repeat; only the first of each field is kept
+    if (current[code] === undefined) current[code] = value;
+  });
+  if (Object.keys(current).length > 0) records.push(current);
+
+  // Quicken writes 2-digit years as 1/15'24
+  const dates = records.map(record => (record.D || '').replace(/'\s*/, '/'));
+  // The format matching most rows is tried first; the rest cover rows
+  // written differently (e.g. 1/5/24 next to 01/16/2024)
+  const format = dateFormat || mostCommonFormat(dates, QIF_DATE_FORMATS);
+  const formats = dateFormat ? [dateFormat] : [format, ...QIF_DATE_FORMATS];
+
+  const seen = new Map();
+  const rows = records.map((record, index) => {
+    const row = { row: index + 1 };
+    const date = dates[index] ? moment(dates[index], formats, true) : null;
+    const rawAmount = record.T !== undefined ? record.T : record.U;
+    const amount = Number(String(rawAmount || '').replace(/,/g, ''));
+    const title = record.P || record.M || '';
+
+    if (!date || !date.isValid()) return { ...row, error: `Invalid date "${record.D || ''}"` };
+    if (rawAmount === undefined || !Number.isFinite(amount)) return { ...row, error: 'Missing or invalid amount' };
+    if (amount === 0) return { ...row, error: 'Amount is zero' };
+    if (!title) return { ...row, error: 'Missing payee' };
+
+    const fingerprint = `${date.format('YYYY-MM-DD')}|${amount}|${title.toLowerCase()}`;
+    const occurrence = (seen.get(fingerprint) || 0) + 1;
+    seen.set(fingerprint, occurrence);
+
+    return {
+      ...row,
+      date: date.toDate(),
+      title,
+      description: record.P && record.M ? record.M : undefined,
+      amount: Math.abs(amount),
+      type: amount < 0 ? 'expense' : 'income',
+      currency,
+      externalId: `qif:${crypto.createHash('sha1').update(`${fingerprint}|${occurrence}`).digest('hex')}`
+    };
+  });
+
+  return { accountType, dateFormat: format, rows };
+};
+
+/**
+ * Parses an OFX, QFX or QIF statement into import rows.
+ */
+const parseStatementFile = (format, content, options = {}) => {
+  if (format === 'qif') return parseQif(content, options);
+  return parseOfx(content);
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  detectStatementFormat,
+  parseOfx,
+  parseQif,
+  parseStatementFile
+};
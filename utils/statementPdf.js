@@ -0,0 +1,227 @@
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+const { formatMoney } = require('./currency');
+
+const PAGE_MARGIN = 50;
+const COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  rule: '#e5e7eb',
+  income: '#059669',
+  expense: '#dc2626'
+};
+// Cycled through for the category chart bars
+const CHART_PALETTE = ['#2563eb', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#6b7280'];
+
+const contentWidth = (doc) => doc.page.width - PAGE_MARGIN * 2;
+
+// Starts a new page when fewer than `height` points are left
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+}
+
+function drawRule(doc) {
+  doc.moveTo(PAGE_MARGIN, doc.y)
+    .lineTo(PAGE_MARGIN + contentWidth(doc), doc.y)
+    .lineWidth(0.5)
+    .strokeColor(COLORS.rule)
+    .stroke();
+  doc.moveDown(0.5);
+}
+
+function drawHeading(doc, text) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.text).text(text, PAGE_MARGIN);
+  doc.moveDown(0.3);
+  drawRule(doc);
+}
+
+function drawHeader(doc, statement) {
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text)
+    .text('Monthly Statement', PAGE_MARGIN, PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(11).fillColor(COLORS.muted)
+    .text(statement.month)
+    .text(`${statement.range.startDate} to ${statement.range.endDate}`);
+
+  if (statement.account.name || statement.account.email) {
+    doc.text([statement.account.name, statement.account.email].filter(Boolean).join(' · '));
+  }
+  doc.moveDown(0.5);
+  drawRule(doc);
+}
+
+function drawSummary(doc, statement) {
+  const { currency, summary } = statement;
+  const rows = [
+    ['Opening balance', summary.openingBalance, COLORS.text],
+    ['Income', summary.income, COLORS.income],
+    ['Expenses', -summary.expense, COLORS.expense],
+    ['Net for the month', summary.net, summary.net >= 0 ? COLORS.income : COLORS.expense],
+    ['Closing balance', summary.closingBalance, COLORS.text]
+  ];
+
+  drawHeading(doc, 'Summary');
+  const width = contentWidth(doc);
+
+  rows.forEach(([label, amount, color], index) => {
+    const bold = index === 0 || index === rows.length - 1;
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(11).fillColor(COLORS.text)
+      .text(label, PAGE_MARGIN, y, { width: width / 2 });
+    doc.fillColor(color)
+      .text(formatMoney(amount, currency), PAGE_MARGIN + width / 2, y, { width: width / 2, align: 'right' });
+    doc.moveDown(0.3);
+  });
+}
+
+// Horizontal bar per category, scaled to the largest one
+function drawCategoryChart(doc, title, categories, currency) {
+  drawHeading(doc, title);
+
+  if (categories.length === 0) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text('No transactions this month.', PAGE_MARGIN);
+    return;
+  }
+
+  const width = contentWidth(doc);
+  const labelWidth = 110;
+  const valueWidth = 120;
+  const barArea = width - labelWidth - valueWidth - 10;
+  const max = Math.max(...categories.map(item => item.total));
+
+  categories.forEach((item, index) => {
+    ensureSpace(doc, 20);
+    const y = doc.y;
+    const barWidth = max > 0 ? Math.max((item.total / max) * barArea, 1) : 1;
+
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text)
+      .text(item.category, PAGE_MARGIN, y + 2, { width: labelWidth, ellipsis: true, lineBreak: false });
+    doc.rect(PAGE_MARGIN + labelWidth, y, barWidth, 12)
+      .fill(CHART_PALETTE[index % CHART_PALETTE.length]);
+    doc.fillColor(COLORS.muted)
+      .text(
+        `${formatMoney(item.total, currency)} (${item.percentage}%)`,
+        PAGE_MARGIN + width - valueWidth,
+        y + 2,
+        { width: valueWidth, align: 'right', lineBreak: false }
+      );
+    doc.x = PAGE_MARGIN;
+    doc.y = y + 18;
+  });
+}
+
+function drawTransactionTable(doc, title, categories, currency) {
+  drawHeading(doc, title);
+
+  if (categories.length === 0) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text('No transactions this month.', PAGE_MARGIN);
+    return;
+  }
+
+  const width = contentWidth(doc);
+  const columns = [
+    { key: 'date', width: 70 },
+    { key: 'title', width: width - 70 - 110 - 110 },
+    { key: 'original', width: 110, align: 'right' },
+    { key: 'amount', width: 110, align: 'right' }
+  ];
+
+  const drawRow = (values, font, color) => {
+    ensureSpace(doc, 16);
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    doc.font(font).fontSize(9).fillColor(color);
+    columns.forEach(column => {
+      doc.text(values[column.key] || '', x, y, {
+        width: column.width - 4,
+        align: column.align || 'left',
+        ellipsis: true,
+        lineBreak: false
+      });
+      x += column.width;
+    });
+    doc.x = PAGE_MARGIN;
+    doc.y = y + 14;
+  };
+
+  categories.forEach(group => {
+    ensureSpace(doc, 40);
+    doc.moveDown(0.4);
+    drawRow(
+      { date: group.category, amount: formatMoney(group.total, currency) },
+      'Helvetica-Bold',
+      COLORS.text
+    );
+
+    group.transactions.forEach(transaction => {
+      drawRow({
+        date: moment(transaction.date).format('YYYY-MM-DD'),
+        title: transaction.title,
+        // Only show the original amount for foreign-currency records
+        original: transaction.currency && transaction.currency !== currency
+          ? formatMoney(transaction.amount, transaction.currency)
+          : '',
+        amount: formatMoney(transaction.baseAmount, currency)
+      }, 'Helvetica', COLORS.muted);
+    });
+  });
+}
+
+function drawInsights(doc, statement) {
+  const { insights, currency } = statement;
+  const rows = [
+    ['Savings rate', `${insights.savingsRate}%`],
+    ['Highest income', formatMoney(insights.highestIncome, currency)],
+    ['Highest expense', formatMoney(insights.highestExpense, currency)],
+    ['Average income', formatMoney(insights.averageIncome, currency)],
+    ['Average expense', formatMoney(insights.averageExpense, currency)],
+    ['Transactions', String(insights.totalTransactions)]
+  ];
+
+  drawHeading(doc, 'Insights');
+  const width = contentWidth(doc);
+
+  rows.forEach(([label, value]) => {
+    ensureSpace(doc, 16);
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text)
+      .text(label, PAGE_MARGIN, y, { width: width / 2 });
+    doc.text(value, PAGE_MARGIN + width / 2, y, { width: width / 2, align: 'right' });
+    doc.moveDown(0.2);
+  });
+}
+
+/**
+ * Renders a monthly statement (as built by the dashboard controller) into a
+ * PDF and pipes it to `stream`. Everything is drawn locally with pdfkit.
+ */
+const renderStatementPdf = (statement, stream) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `Statement ${statement.month}`,
+      CreationDate: new Date()
+    }
+  });
+
+  doc.pipe(stream);
+
+  drawHeader(doc, statement);
+  drawSummary(doc, statement);
+  drawCategoryChart(doc, 'Spending by category', statement.expense.categories, statement.currency);
+  drawCategoryChart(doc, 'Income by category', statement.income.categories, statement.currency);
+  drawInsights(doc, statement);
+  drawTransactionTable(doc, 'Income', statement.income.categories, statement.currency);
+  drawTransactionTable(doc, 'Expenses', statement.expense.categories, statement.currency);
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  renderStatementPdf
+};
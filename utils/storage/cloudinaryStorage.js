@@ -0,0 +1,55 @@
+const path = require('path');
+const { cloudinary, uploadToCloudinary } = require('../../config/realCloudinary');
+
+// Keys of "authenticated" uploads end in the format, which the signed
+// download URL needs; older public uploads' keys are the bare public id
+const parseKey = (key) => {
+  const format = path.posix.extname(key).slice(1);
+  return format
+    ? { publicId: key.slice(0, -(format.length + 1)), format, type: 'authenticated' }
+    : { publicId: key, format: '', type: 'upload' };
+};
+
+/**
+ * Cloudinary backend, built on the retrying upload helper in
+ * config/realCloudinary. Files are "authenticated" resources read through
+ * signed, expiring download URLs, like the other backends. Files uploaded
+ * before that keep their permanent public URL.
+ */
+const createCloudinaryStorage = () => ({
+  name: 'cloudinary',
+  signedUrls: true,
+
+  async put(buffer, { key, contentType }) {
+    const result = await uploadToCloudinary(buffer, {
+      folder: path.posix.dirname(key),
+      public_id: path.posix.basename(key, path.posix.extname(key)),
+      type: 'authenticated',
+      // PDFs become "image" resources, which keeps page previews working
+      resource_type: 'auto',
+      mimeType: contentType
+    });
+
+    return { key: `${result.public_id}.${result.format}`, resourceType: result.resource_type };
+  },
+
+  async delete(key, { resourceType } = {}) {
+    const { publicId, type } = parseKey(key);
+    await cloudinary.uploader.destroy(publicId, { resource_type: resourceType || 'image', type });
+  },
+
+  async getUrl(key, { url, resourceType, expiresIn } = {}) {
+    const { publicId, format, type } = parseKey(key);
+    if (type === 'upload') {
+      return url || cloudinary.url(publicId, { secure: true, resource_type: resourceType || 'image' });
+    }
+
+    return cloudinary.utils.private_download_url(publicId, format, {
+      type,
+      resource_type: resourceType || 'image',
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    });
+  }
+});
+
+module.exports = createCloudinaryStorage;
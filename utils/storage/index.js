@@ -0,0 +1,141 @@
+const path = require('path');
+const crypto = require('crypto');
+const createCloudinaryStorage = require('./cloudinaryStorage');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+const { detectFileType } = require('../fileType');
+const { badRequest } = require('../httpError');
+
+const DRIVERS = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+// Matches the express-fileupload limit in app.js
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024;
+const URL_EXPIRES_IN = Number(process.env.STORAGE_URL_EXPIRES_IN) || 60 * 60;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic'];
+
+// What each kind of upload accepts and where it is stored
+const UPLOAD_POLICIES = {
+  profileImage: {
+    folder: 'expense-tracker/profiles',
+    maxSize: MAX_UPLOAD_SIZE,
+    types: IMAGE_TYPES,
+    description: 'Only image files are allowed (JPEG, PNG, GIF, WebP or HEIC)'
+  },
+  receipt: {
+    folder: 'expense-tracker/receipts',
+    maxSize: MAX_UPLOAD_SIZE,
+    types: [...IMAGE_TYPES, 'application/pdf'],
+    description: 'Only images and PDFs can be attached'
+  },
+  // Read by OCR and discarded, so no folder; Tesseract can't decode HEIC or PDF
+  receiptScan: {
+    maxSize: MAX_UPLOAD_SIZE,
+    types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    description: 'Receipt scanning supports JPEG, PNG, GIF and WebP images'
+  }
+};
+
+const instances = new Map();
+
+const isCloudinaryConfigured = () => Boolean(process.env.CLOUDINARY_CLOUD_NAME
+  && process.env.CLOUDINARY_API_KEY
+  && process.env.CLOUDINARY_API_SECRET);
+
+/**
+ * The driver new uploads go to: STORAGE_DRIVER when set, local disk under
+ * test or without Cloudinary credentials, otherwise Cloudinary.
+ */
+const getDefaultDriver = () => {
+  if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER;
+  if (process.env.NODE_ENV === 'test' || !isCloudinaryConfigured()) return 'local';
+  return 'cloudinary';
+};
+
+/**
+ * Returns the storage backend for a driver name. Every backend implements
+ * put(buffer, { key, contentType }), delete(key, file) and
+ * getUrl(key, { expiresIn, ...file }).
+ */
+const getStorage = (name = getDefaultDriver()) => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown storage driver: ${name}. Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, DRIVERS[name]());
+  }
+  return instances.get(name);
+};
+
+/**
+ * Checks an express-fileupload file against a policy and returns its
+ * sniffed `{ mimeType, extension }`. The type comes from the file's bytes;
+ * the client's Content-Type and file name are not trusted.
+ */
+const validateUpload = (file, policyName) => {
+  const policy = UPLOAD_POLICIES[policyName];
+  const label = file.name ? `${file.name}: ` : '';
+
+  if (!file.data || file.data.length === 0) {
+    throw badRequest(`${label}File data is empty or corrupted`);
+  }
+  if (file.truncated || file.data.length > policy.maxSize) {
+    throw badRequest(`${label}File size must be less than ${policy.maxSize / 1024 / 1024}MB`);
+  }
+
+  const type = detectFileType(file.data);
+  if (!type || !policy.types.includes(type.mimeType)) {
+    throw badRequest(`${label}${policy.description}`);
+  }
+
+  return type;
+};
+
+/**
+ * Validates a file against a policy and stores it. Returns the descriptor
+ * to persist: filename, mimeType, size, storage, key and any
+ * backend-specific fields such as Cloudinary's resourceType.
+ */
+const uploadFile = async (file, policyName) => {
+  const policy = UPLOAD_POLICIES[policyName];
+  const type = validateUpload(file, policyName);
+
+  const storage = getStorage();
+  const key = path.posix.join(policy.folder, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${type.extension}`);
+  const stored = await storage.put(file.data, { key, contentType: type.mimeType });
+
+  return {
+    filename: file.name,
+    mimeType: type.mimeType,
+    size: file.data.length,
+    storage: storage.name,
+    ...stored
+  };
+};
+
+// `file` is a descriptor returned by uploadFile (or a document holding one)
+const deleteFile = (file) => getStorage(file.storage).delete(file.key, file);
+
+/**
+ * Returns a URL for a stored file. Backends that support it return a
+ * signed URL valid for `expiresIn` seconds.
+ */
+const getFileUrl = (file, { expiresIn = URL_EXPIRES_IN } = {}) => {
+  const descriptor = typeof file.toObject === 'function' ? file.toObject() : file;
+  return getStorage(descriptor.storage).getUrl(descriptor.key, { ...descriptor, expiresIn });
+};
+
+module.exports = {
+  MAX_UPLOAD_SIZE,
+  UPLOAD_POLICIES,
+  getDefaultDriver,
+  getStorage,
+  validateUpload,
+  uploadFile,
+  deleteFile,
+  getFileUrl
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Files are served by GET /api/files/<key> when the URL's signature checks out
+const FILE_ROUTE = '/api/files';
+
+/**
+ * Local-disk backend, used in tests and for self-hosted setups. URLs are
+ * HMAC-signed and expire, so files are never publicly listable.
+ */
+const createLocalStorage = ({
+  root = process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'),
+  baseUrl = process.env.API_URL || '',
+  secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+} = {}) => {
+  const resolveKey = (key) => {
+    const target = path.resolve(root, key);
+    // Keys come back in from URLs, so refuse anything escaping the upload root
+    if (!target.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return target;
+  };
+
+  const sign = (key, expires) => {
+    if (!secret) {
+      throw new Error('Local storage requires STORAGE_SIGNING_SECRET or JWT_SECRET to sign URLs');
+    }
+    return crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+  };
+
+  return {
+    name: 'local',
+    signedUrls: true,
+
+    async put(buffer, { key }) {
+      const target = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, buffer);
+      return { key };
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    async getUrl(key, { expiresIn }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+      return `${baseUrl}${FILE_ROUTE}/${encodedKey}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    verifySignature(key, expires, signature) {
+      if (!signature || !/^\d+$/.test(String(expires))) return false;
+      if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+      const expected = Buffer.from(sign(key, Number(expires)));
+      const received = Buffer.from(String(signature));
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,115 @@
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const { badRequest } = require('./httpError');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const DEFAULT_SUGGESTIONS = 10;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeTag = (value) => {
+  const tag = String(value || '').trim().toLowerCase().replace(/^#/, '').replace(/\s+/g, '-');
+  if (tag.length > MAX_TAG_LENGTH) {
+    throw badRequest(`Tag "${tag}" is longer than ${MAX_TAG_LENGTH} characters`);
+  }
+  return tag;
+};
+
+/**
+ * Cleans a tag list given as an array or a comma-separated string: tags
+ * are lower-cased, inner whitespace becomes "-" and duplicates are
+ * dropped, so "Vacation 2026" and "vacation-2026" are the same tag.
+ */
+const normalizeTags = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+
+  const tags = [...new Set(values
+    .flatMap(item => String(item).split(','))
+    .map(normalizeTag)
+    .filter(Boolean))];
+
+  if (tags.length > MAX_TAGS) {
+    throw badRequest(`A transaction can have at most ${MAX_TAGS} tags`);
+  }
+  return tags;
+};
+
+/**
+ * The user's tags starting with `prefix`, most used first, with how many
+ * incomes and expenses carry each one.
+ */
+const suggestTags = async (userId, prefix = '', limit = DEFAULT_SUGGESTIONS) => {
+  const tagPrefix = normalizeTag(prefix);
+  const match = { user: userId, group: null };
+  if (tagPrefix) match.tags = new RegExp(`^${escapeRegex(tagPrefix)}`);
+
+  // Matched again after $unwind to drop the record's other tags
+  const pipeline = [
+    { $match: match },
+    { $unwind: '$tags' },
+    { $match: tagPrefix ? { tags: match.tags } : {} },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ];
+
+  const [incomeTags, expenseTags] = await Promise.all([
+    Income.aggregate(pipeline),
+    Expense.aggregate(pipeline)
+  ]);
+
+  const counts = new Map();
+  incomeTags.forEach(item => counts.set(item._id, { tag: item._id, incomes: item.count, expenses: 0 }));
+  expenseTags.forEach(item => {
+    const entry = counts.get(item._id) || { tag: item._id, incomes: 0, expenses: 0 };
+    entry.expenses = item.count;
+    counts.set(item._id, entry);
+  });
+
+  return [...counts.values()]
+    .map(entry => ({ ...entry, count: entry.incomes + entry.expenses }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .slice(0, limit);
+};
+
+/**
+ * Replaces every tag in `sources` with `target` on all of the user's
+ * incomes and expenses. Renaming a tag is a merge with one source.
+ * Returns the number of records changed.
+ */
+const mergeTags = async (userId, sources, target) => {
+  const from = normalizeTags(sources);
+  const [to] = normalizeTags(target);
+
+  if (from.length === 0 || !to) {
+    throw badRequest('Both the tags to replace and the new tag are required');
+  }
+
+  const others = from.filter(tag => tag !== to);
+  if (others.length === 0) {
+    throw badRequest('The new tag must differ from the tags it replaces');
+  }
+
+  // Pipeline update so a record that already has the target doesn't get it twice
+  const update = [{
+    $set: {
+      tags: {
+        $concatArrays: [
+          { $filter: { input: '$tags', cond: { $and: [{ $not: [{ $in: ['$$this', others] }] }, { $ne: ['$$this', to] }] } } },
+          [to]
+        ]
+      }
+    }
+  }];
+
+  const results = await Promise.all([Income, Expense]
+    .map(Model => Model.updateMany({ user: userId, group: null, tags: { $in: others } }, update)));
+  return results.reduce((sum, result) => sum + result.modifiedCount, 0);
+};
+
+module.exports = {
+  MAX_TAGS,
+  normalizeTags,
+  suggestTags,
+  mergeTags
+};
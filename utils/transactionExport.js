@@ -0,0 +1,125 @@
+const ExcelJS = require('exceljs');
+const { once } = require('events');
+const { buildTransactionFilter, parseSort } = require('./listQuery');
+const { transactionScope, ledgerCurrency } = require('./groups');
+const { badRequest } = require('./httpError');
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const toIsoDate = (value) => (value ? new Date(value).toISOString() : '');
+
+// Every stored field, in the order they appear in the file
+const EXPORT_COLUMNS = [
+  { header: 'id', key: 'id', width: 26, value: doc => String(doc._id) },
+  { header: 'date', key: 'date', width: 26, value: doc => toIsoDate(doc.date) },
+  { header: 'title', key: 'title', width: 30, value: doc => doc.title || '' },
+  { header: 'category', key: 'category', width: 16, value: doc => doc.category || '' },
+  // Split lines as "Food:12.50;Shopping:7.49"
+  { header: 'splits', key: 'splits', width: 30, value: doc => (doc.splits || []).map(split => `${split.category}:${split.amount}`).join(';') },
+  { header: 'amount', key: 'amount', width: 12, value: doc => doc.amount },
+  { header: 'currency', key: 'currency', width: 10, value: (doc, base) => doc.currency || base },
+  { header: 'exchangeRate', key: 'exchangeRate', width: 14, value: doc => doc.exchangeRate ?? 1 },
+  { header: 'baseAmount', key: 'baseAmount', width: 12, value: doc => doc.baseAmount ?? doc.amount },
+  { header: 'baseCurrency', key: 'baseCurrency', width: 13, value: (doc, base) => base },
+  { header: 'account', key: 'account', width: 26, value: doc => (doc.account ? String(doc.account) : '') },
+  { header: 'description', key: 'description', width: 40, value: doc => doc.description || '' },
+  { header: 'tags', key: 'tags', width: 24, value: doc => (doc.tags || []).join(',') },
+  { header: 'notes', key: 'notes', width: 40, value: doc => doc.notes || '' },
+  { header: 'recurringRule', key: 'recurringRule', width: 26, value: doc => (doc.recurringRule ? String(doc.recurringRule) : '') },
+  { header: 'occurrenceDate', key: 'occurrenceDate', width: 26, value: doc => toIsoDate(doc.occurrenceDate) },
+  { header: 'createdAt', key: 'createdAt', width: 26, value: doc => toIsoDate(doc.createdAt) }
+];
+
+// Spreadsheet apps run text starting with these as a formula; titles from
+// bank imports are untrusted, so such cells get a leading quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const neutralizeFormula = (value) => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+const rowValues = (doc, baseCurrency) => EXPORT_COLUMNS.map(column => neutralizeFormula(column.value(doc, baseCurrency)));
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => `${values.map(escapeCsv).join(',')}\r\n`;
+
+const parseExportFormat = (format = 'csv') => {
+  const normalized = String(format).toLowerCase();
+  if (!EXPORT_FORMATS[normalized]) {
+    throw badRequest(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return normalized;
+};
+
+async function writeCsv(res, cursor, baseCurrency) {
+  res.write(toCsvLine(EXPORT_COLUMNS.map(column => column.header)));
+
+  for await (const doc of cursor) {
+    const line = toCsvLine(rowValues(doc, baseCurrency));
+    // Respect backpressure so a slow client doesn't buffer the whole history
+    if (!res.write(line)) await once(res, 'drain');
+  }
+
+  res.end();
+}
+
+async function writeXlsx(res, cursor, baseCurrency, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = EXPORT_COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+  worksheet.getRow(1).font = { bold: true };
+
+  for await (const doc of cursor) {
+    worksheet.addRow(rowValues(doc, baseCurrency)).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Streams a user's (or the selected group's) incomes or expenses as CSV or XLSX. Accepts the same
+ * filter and sort parameters as the list endpoints, plus `format`.
+ * Documents are read through a cursor, so memory use stays flat however
+ * long the history is.
+ */
+const streamTransactionExport = async (req, res, Model, name) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const filter = buildTransactionFilter(transactionScope(req), req.query);
+    const { sortBy, direction } = parseSort(req.query);
+    const baseCurrency = ledgerCurrency(req);
+    const filename = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    const cursor = Model.find(filter)
+      .sort({ [sortBy]: direction, _id: direction })
+      .lean()
+      .cursor();
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    if (format === 'xlsx') {
+      await writeXlsx(res, cursor, baseCurrency, name);
+    } else {
+      await writeCsv(res, cursor, baseCurrency);
+    }
+  } catch (error) {
+    // Once the file has started there is no way to send a JSON error
+    if (res.headersSent) return res.destroy(error);
+    res.removeHeader('Content-Disposition');
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  neutralizeFormula,
+  streamTransactionExport
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyCode } = require('./totp');
+const { httpError } = require('./httpError');
+
+// Paths left out of User queries unless asked for
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+const RECOVERY_CODE_COUNT = 10;
+// Wrong codes allowed per password entry before the user must log in again
+const MAX_FAILED_ATTEMPTS = 5;
+const CHALLENGE_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+// AES-256-GCM, stored as "iv.tag.ciphertext" in base64
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Fresh one-time recovery codes, e.g. "3f9a1-c04be". The plain codes are
+ * shown to the user once; only `hashes` are stored.
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+/**
+ * Accepts a TOTP code for an encrypted secret at most once: the step it
+ * matched is recorded atomically, so the same code can't be used twice,
+ * even by two requests racing each other.
+ */
+const consumeTotpCode = async (user, encryptedSecret, code) => {
+  if (!encryptedSecret) return false;
+
+  const step = verifyCode(decryptSecret(encryptedSecret), code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Marks an unused recovery code as used; false when there is none to use
+const consumeRecoveryCode = async (user, code) => {
+  if (!normalizeRecoveryCode(code)) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(code), usedAt: null } }
+    },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const remainingRecoveryCodes = (user) => (user.twoFactor.recoveryCodes || [])
+  .filter(entry => !entry.usedAt).length;
+
+const challengeKey = () => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update('two-factor-challenge')
+  .digest('hex');
+
+/**
+ * Proof that the password was right, traded for a session once the second
+ * factor checks out. Signed with its own key so it can never pass as an
+ * access token.
+ */
+const createChallengeToken = (user) => {
+  const token = jwt.sign({ id: user._id, purpose: 'twoFactor' }, challengeKey(), { expiresIn: CHALLENGE_EXPIRE });
+  return {
+    challengeToken: token,
+    challengeExpiresAt: new Date(jwt.decode(token).exp * 1000)
+  };
+};
+
+// Returns the user id a challenge was issued for
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), challengeKey());
+    if (decoded.purpose !== 'twoFactor') throw new Error('Wrong token purpose');
+    return decoded.id;
+  } catch (error) {
+    throw httpError(401, 'Two-factor challenge is invalid or has expired. Please log in again');
+  }
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  MAX_FAILED_ATTEMPTS,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  consumeTotpCode,
+  consumeRecoveryCode,
+  remainingRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken
+};